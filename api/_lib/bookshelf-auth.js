@@ -0,0 +1,218 @@
+/**
+ * Bookshelf Site Authentication
+ *
+ * Proof that a caller owns the bookshelf site it is writing to.
+ *
+ * A site token is issued once the caller proves it owns the site, either with
+ * an active license activation for it (/api/bookshelf/register) or by passing
+ * the domain verification challenge (/api/bookshelf/verify, see
+ * site-verification.js). The site is then marked verified, and the plugin sends
+ * the token with every write (/sync, /sync-batch, /remove, /deregister) and
+ * with /manifest reads:
+ *
+ *   Authorization: Bearer <site_token>
+ *
+ * Tokens are stored hashed in bookshelf_site_tokens, one per site - registering
+ * again replaces it, deregistering revokes it. A token tied to a license
+ * activation stops working once that activation is deactivated.
+ */
+
+import crypto from 'crypto';
+import supabase from './supabase.js';
+import { resolveLicense, getActiveInstance, getInstanceSite } from './license-ledger.js';
+import {
+  createErrorResponse,
+  unauthorizedError,
+  forbiddenError,
+  ERROR_CODES,
+  HTTP_STATUS
+} from './errors.js';
+
+/**
+ * Check that a license activation belongs to a site
+ *
+ * @param {Object} proof - { license_key, instance_id } from the request
+ * @param {string} siteIdentity - Canonical site identity
+ * @returns {Promise<{ok: boolean, instance_id?: string, status?: number, error?: Object}>}
+ *   On failure, status and a standard error response to send
+ */
+export async function verifyLicenseOwnership(proof, siteIdentity) {
+  if (!proof.license_key || !proof.instance_id) {
+    return {
+      ok: false,
+      status: HTTP_STATUS.UNAUTHORIZED,
+      error: unauthorizedError('Proof of site ownership required: license_key and instance_id of the license activation for this site')
+    };
+  }
+
+  const resolved = await resolveLicense(String(proof.license_key));
+
+  if (resolved.status === 'unavailable') {
+    return {
+      ok: false,
+      status: HTTP_STATUS.SERVICE_UNAVAILABLE,
+      error: createErrorResponse(
+        'License service is temporarily unavailable. Please try again later.',
+        ERROR_CODES.SERVICE_UNAVAILABLE
+      )
+    };
+  }
+
+  if (resolved.status === 'invalid') {
+    return {
+      ok: false,
+      status: HTTP_STATUS.UNAUTHORIZED,
+      error: unauthorizedError('Invalid license key')
+    };
+  }
+
+  const instance = (resolved.data.meta?.instances || []).find(i => i.id === proof.instance_id);
+
+  if (!instance || getInstanceSite(instance) !== siteIdentity) {
+    return {
+      ok: false,
+      status: HTTP_STATUS.FORBIDDEN,
+      error: forbiddenError('This license is not activated on this site')
+    };
+  }
+
+  return { ok: true, instance_id: instance.id };
+}
+
+/**
+ * Register a site whose ownership was just proved, and issue its site token
+ *
+ * @param {Object} site - { identity, home_url }
+ * @param {string} siteName - Site name
+ * @param {Object} ownership - { method: 'license'|'domain', license_instance_id? }
+ * @returns {Promise<{site_id: number, site_token: string, verified_at: string}>}
+ * @throws {Error} If the site or token can't be stored
+ */
+export async function registerVerifiedSite(site, siteName, ownership) {
+  const now = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from('bookshelf_sites')
+    .upsert({
+      site_url: site.identity,
+      home_url: site.home_url,
+      site_name: siteName,
+      active: true,
+      registered_at: now,
+      verified_at: now,
+      verification_method: ownership.method
+    }, { onConflict: 'site_url' })
+    .select('id')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to register site: ${error.message}`);
+  }
+
+  const siteToken = await issueSiteToken(site.identity, ownership);
+
+  return { site_id: data.id, site_token: siteToken, verified_at: now };
+}
+
+/**
+ * Issue a new site token, replacing any previous one
+ *
+ * @param {string} siteIdentity - Canonical site identity (must be registered)
+ * @param {Object} ownership - { license_instance_id } (none for domain verification)
+ * @returns {Promise<string>} Raw site token - only ever returned here
+ * @throws {Error} If the token can't be stored
+ */
+export async function issueSiteToken(siteIdentity, ownership) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  const { error } = await supabase
+    .from('bookshelf_site_tokens')
+    .upsert({
+      site_url: siteIdentity,
+      token_hash: hashToken(token),
+      license_instance_id: ownership.license_instance_id || null,
+      issued_at: new Date().toISOString()
+    }, { onConflict: 'site_url' });
+
+  if (error) {
+    throw new Error(`Failed to issue site token: ${error.message}`);
+  }
+
+  return token;
+}
+
+/**
+ * Revoke a site's token
+ *
+ * @param {string} siteIdentity - Canonical site identity
+ * @throws {Error} If the token can't be deleted
+ */
+export async function revokeSiteToken(siteIdentity) {
+  const { error } = await supabase
+    .from('bookshelf_site_tokens')
+    .delete()
+    .eq('site_url', siteIdentity);
+
+  if (error) {
+    throw new Error(`Failed to revoke site token: ${error.message}`);
+  }
+}
+
+/**
+ * Authenticate a bookshelf write for a site
+ *
+ * @param {Object} req - Request with "Authorization: Bearer <site_token>"
+ * @param {string} siteIdentity - Canonical site identity being written to
+ * @returns {Promise<{ok: boolean, status?: number, error?: Object}>}
+ *   401 UNAUTHORIZED when the token is missing, 403 FORBIDDEN when it isn't
+ *   this site's token or its license activation was deactivated
+ * @throws {Error} If the token can't be looked up
+ */
+export async function authenticateSite(req, siteIdentity) {
+  const header = req.headers.authorization || '';
+
+  if (!header.startsWith('Bearer ') || !header.substring(7).trim()) {
+    return {
+      ok: false,
+      status: HTTP_STATUS.UNAUTHORIZED,
+      error: unauthorizedError('Site token required. Register the site to get one.')
+    };
+  }
+
+  const { data: record, error } = await supabase
+    .from('bookshelf_site_tokens')
+    .select('token_hash, license_instance_id')
+    .eq('site_url', siteIdentity)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to read site token: ${error.message}`);
+  }
+
+  const provided = Buffer.from(hashToken(header.substring(7).trim()), 'hex');
+
+  if (!record || !crypto.timingSafeEqual(provided, Buffer.from(record.token_hash, 'hex'))) {
+    return {
+      ok: false,
+      status: HTTP_STATUS.FORBIDDEN,
+      error: forbiddenError('Site token does not match this site')
+    };
+  }
+
+  if (record.license_instance_id && !(await getActiveInstance(record.license_instance_id))) {
+    return {
+      ok: false,
+      status: HTTP_STATUS.FORBIDDEN,
+      error: forbiddenError('Site token revoked: the license activation for this site was deactivated. Register the site again.')
+    };
+  }
+
+  return { ok: true };
+}
+
+/**
+ * Hash a site token for storage and lookup
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
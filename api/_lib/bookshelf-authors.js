@@ -0,0 +1,116 @@
+/**
+ * Bookshelf Authors
+ *
+ * Reads author profiles for the public bookshelf. Each registered site has one
+ * author, keyed by the site's ID and copied from its synced books (migration
+ * 017). Authors are found with the search_bookshelf_authors() database
+ * function; only authors on verified sites are ever returned.
+ */
+
+import supabase from './supabase.js';
+import { normalizeSearch } from './bookshelf-catalog.js';
+
+/**
+ * Find a page of authors (see search_bookshelf_authors())
+ *
+ * @param {Object} options - { search, sort, limit, offset }
+ * @returns {Promise<{authors: Object[], total: number}>} Author rows in page order, and the number of matches
+ * @throws {Error} If the search fails
+ */
+export async function searchAuthors({ search = null, sort = 'name', limit, offset = 0 }) {
+  const { data, error } = await supabase
+    .rpc('search_bookshelf_authors', {
+      search_query: normalizeSearch(search),
+      sort_order: sort,
+      page_limit: limit,
+      page_offset: offset
+    });
+
+  if (error) {
+    throw new Error(`Failed to search authors: ${error.message}`);
+  }
+
+  return {
+    authors: data,
+    total: Number(data[0]?.total_count || 0)
+  };
+}
+
+/**
+ * Get one author profile
+ *
+ * @param {number} id - Author ID (the site's ID)
+ * @returns {Promise<Object|null>} bookshelf_authors row with its site, or null if not listed
+ * @throws {Error} If the author can't be read
+ */
+export async function getAuthor(id) {
+  const { data, error } = await supabase
+    .from('bookshelf_authors')
+    .select(`
+      site_id,
+      name,
+      bio,
+      website,
+      twitter,
+      instagram,
+      updated_at,
+      bookshelf_sites!inner (
+        site_url,
+        home_url,
+        site_name
+      )
+    `)
+    .eq('site_id', id)
+    .not('bookshelf_sites.verified_at', 'is', null)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load author: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Format a search_bookshelf_authors() row for API responses
+ *
+ * @param {Object} author - search_bookshelf_authors() row
+ * @returns {Object} Author
+ */
+export function formatAuthorSummary(author) {
+  return {
+    id: author.author_id,
+    name: author.name,
+    bio: author.bio,
+    site: author.site_url,
+    site_url: author.home_url || `https://${author.site_url}`,
+    cover: author.cover || null,
+    book_count: Number(author.book_count),
+    latest_synced_at: author.latest_synced_at
+  };
+}
+
+/**
+ * Format a getAuthor() row for API responses
+ *
+ * @param {Object} author - bookshelf_authors row with its site
+ * @param {number} bookCount - Number of books the author has on the Bookshelf
+ * @returns {Object} Author
+ */
+export function formatAuthor(author, bookCount) {
+  const site = author.bookshelf_sites;
+
+  return {
+    id: author.site_id,
+    name: author.name,
+    bio: author.bio,
+    website: author.website,
+    twitter: author.twitter,
+    instagram: author.instagram,
+    site: site.site_url,
+    site_name: site.site_name,
+    site_url: site.home_url || `https://${site.site_url}`,
+    book_count: bookCount,
+    updated_at: author.updated_at
+  };
+}
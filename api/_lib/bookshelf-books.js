@@ -0,0 +1,223 @@
+/**
+ * Bookshelf Book Payloads
+ *
+ * Validation and database mapping for the book payloads the plugin sends to
+ * /api/bookshelf/sync and /api/bookshelf/sync-batch.
+ *
+ * Each stored book carries a content_hash computed from the payload as the
+ * plugin sent it (see computeContentHash()), so the plugin can compute the same
+ * hash for its current copy of a book and compare it with
+ * /api/bookshelf/manifest to find books that drifted.
+ */
+
+import crypto from 'crypto';
+import supabase from './supabase.js';
+
+export const MAX_GENRES_PER_BOOK = 2;
+
+const SLUG_PATTERN = /^[a-z0-9-]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_TITLE_LENGTH = 500;
+// Supabase returns at most 1000 rows per request
+const MANIFEST_PAGE_SIZE = 1000;
+
+// Payload fields covered by the content hash, in hash order
+export const CONTENT_HASH_FIELDS = [
+  'book_post_id',
+  'title',
+  'slug',
+  'description',
+  'cover.thumbnail',
+  'cover.medium',
+  'cover.large',
+  'cover.full',
+  'author',
+  'author_bio',
+  'author_website',
+  'author_twitter',
+  'author_instagram',
+  'purchase_links.amazon_in',
+  'purchase_links.amazon_com',
+  'purchase_links.other',
+  'local_categories',
+  'formats',
+  'isbn',
+  'rating',
+  'review_count',
+  'publication_date',
+  'bookshelf_genres'
+];
+
+const CONTENT_HASH_LIST_FIELDS = ['local_categories', 'formats', 'bookshelf_genres'];
+
+/**
+ * Validate a book payload
+ *
+ * Optional fields may be missing, null or empty.
+ *
+ * @param {Object} book - Book payload
+ * @returns {string[]} Validation errors (empty if the book is valid)
+ */
+export function validateBookPayload(book) {
+  const errors = [];
+
+  if (!book || typeof book !== 'object' || Array.isArray(book)) {
+    return ['book must be an object'];
+  }
+
+  if (!/^\d+$/.test(String(book.book_post_id ?? '')) || Number(book.book_post_id) <= 0) {
+    errors.push('book_post_id must be a positive integer');
+  }
+
+  if (typeof book.title !== 'string' || book.title.trim() === '') {
+    errors.push('title is required');
+  } else if (book.title.length > MAX_TITLE_LENGTH) {
+    errors.push(`title must be less than ${MAX_TITLE_LENGTH} characters`);
+  }
+
+  if (isPresent(book.bookshelf_genres) && (
+    !Array.isArray(book.bookshelf_genres) ||
+    !book.bookshelf_genres.every(genre => !genre || (typeof genre === 'string' && SLUG_PATTERN.test(genre)))
+  )) {
+    errors.push('bookshelf_genres must be an array of genre slugs');
+  }
+
+  for (const field of ['local_categories', 'formats']) {
+    if (isPresent(book[field]) && !Array.isArray(book[field])) {
+      errors.push(`${field} must be an array`);
+    }
+  }
+
+  if (isPresent(book.rating) && !(Number(book.rating) >= 0 && Number(book.rating) <= 5)) {
+    errors.push('rating must be a number between 0 and 5');
+  }
+
+  if (isPresent(book.review_count) && !/^\d+$/.test(String(book.review_count))) {
+    errors.push('review_count must be a non-negative integer');
+  }
+
+  if (isPresent(book.publication_date) && (
+    !DATE_PATTERN.test(String(book.publication_date)) ||
+    isNaN(new Date(book.publication_date).getTime())
+  )) {
+    errors.push('publication_date must be a YYYY-MM-DD date');
+  }
+
+  return errors;
+}
+
+/**
+ * Map a book payload to a bookshelf_books row
+ *
+ * @param {string} siteIdentity - Canonical site identity
+ * @param {Object} book - Validated book payload
+ * @param {string} syncedAt - ISO timestamp
+ * @returns {Object} Row for bookshelf_books
+ */
+export function buildBookRecord(siteIdentity, book, syncedAt) {
+  const record = {
+    site_url: siteIdentity,
+    book_post_id: Number(book.book_post_id),
+    title: book.title,
+    slug: book.slug || '',
+    description: book.description || '',
+    cover_thumbnail: book.cover?.thumbnail || '',
+    cover_medium: book.cover?.medium || '',
+    cover_large: book.cover?.large || '',
+    cover_full: book.cover?.full || '',
+    author_name: book.author || '',
+    author_bio: book.author_bio || '',
+    author_website: book.author_website || '',
+    author_twitter: book.author_twitter || '',
+    author_instagram: book.author_instagram || '',
+    purchase_amazon_in: book.purchase_links?.amazon_in || '',
+    purchase_amazon_com: book.purchase_links?.amazon_com || '',
+    purchase_other: book.purchase_links?.other || '',
+    local_categories: JSON.stringify(book.local_categories || []),
+    formats: JSON.stringify(book.formats || []),
+    isbn: book.isbn || '',
+    // A rating or review count of 0 is kept; only missing or empty values are null
+    rating: isPresent(book.rating) ? book.rating : null,
+    review_count: isPresent(book.review_count) ? book.review_count : null,
+    publication_date: book.publication_date || null
+  };
+
+  return {
+    ...record,
+    content_hash: computeContentHash(book),
+    synced_at: syncedAt
+  };
+}
+
+/**
+ * Compute the content hash of a book payload
+ *
+ * SHA-256 (hex) of the JSON array of the CONTENT_HASH_FIELDS values, in that
+ * order and without whitespace. Values are taken as sent: missing, null or
+ * empty values are "", other scalars are strings ("4.5", "42"), and list
+ * fields are arrays of strings ([] when missing). Slashes, non-ASCII
+ * characters and line terminators are not escaped, so in PHP the input is
+ * wp_json_encode( $values, JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE |
+ * JSON_UNESCAPED_LINE_TERMINATORS ).
+ *
+ * @param {Object} book - Validated book payload
+ * @returns {string} Content hash
+ */
+export function computeContentHash(book) {
+  const values = CONTENT_HASH_FIELDS.map(field => {
+    const value = field.split('.').reduce((parent, key) => parent?.[key], book);
+
+    if (CONTENT_HASH_LIST_FIELDS.includes(field)) {
+      return isPresent(value) ? value.map(item => (isPresent(item) ? String(item) : '')) : [];
+    }
+
+    return isPresent(value) ? String(value) : '';
+  });
+
+  return crypto.createHash('sha256').update(JSON.stringify(values)).digest('hex');
+}
+
+/**
+ * Get the bookshelf genres of a book payload (empty values dropped, max MAX_GENRES_PER_BOOK)
+ *
+ * @param {Object} book - Validated book payload
+ * @returns {string[]} Genre slugs
+ */
+export function getBookGenres(book) {
+  return [...new Set((book.bookshelf_genres || []).filter(genre => genre))]
+    .slice(0, MAX_GENRES_PER_BOOK);
+}
+
+/**
+ * Get every book a site has on the Bookshelf, ordered by book_post_id
+ *
+ * @param {string} siteIdentity - Canonical site identity
+ * @returns {Promise<Array<{book_post_id: number, content_hash: string|null, synced_at: string}>>}
+ * @throws {Error} If the books can't be read
+ */
+export async function getSiteManifest(siteIdentity) {
+  const books = [];
+
+  for (let from = 0; ; from += MANIFEST_PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('bookshelf_books')
+      .select('book_post_id, content_hash, synced_at')
+      .eq('site_url', siteIdentity)
+      .order('book_post_id', { ascending: true })
+      .range(from, from + MANIFEST_PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Failed to read site manifest: ${error.message}`);
+    }
+
+    books.push(...data);
+
+    if (data.length < MANIFEST_PAGE_SIZE) {
+      return books;
+    }
+  }
+}
+
+function isPresent(value) {
+  return value !== undefined && value !== null && value !== '';
+}
@@ -0,0 +1,392 @@
+/**
+ * Bookshelf Catalog
+ *
+ * Reads books for the public bookshelf: finds them with the
+ * search_bookshelf_books() database function, loads them by ID and formats
+ * them for API responses. Only books from verified sites are ever returned.
+ *
+ * Pages of books can be fetched by offset or by cursor. A cursor is an opaque
+ * string holding the sort order and the sort values of the last book of the
+ * previous page (migration 018), so the next page starts right after that book
+ * even if books were synced or removed in the meantime.
+ */
+
+import supabase from './supabase.js';
+
+export const MAX_SEARCH_LENGTH = 200;
+
+const BOOK_COLUMNS = `
+  id,
+  title,
+  slug,
+  description,
+  cover_medium,
+  cover_large,
+  cover_full,
+  author_name,
+  author_bio,
+  author_website,
+  author_twitter,
+  author_instagram,
+  site_url,
+  purchase_amazon_in,
+  purchase_amazon_com,
+  purchase_other,
+  formats,
+  isbn,
+  rating,
+  review_count,
+  publication_date,
+  synced_at,
+  bookshelf_book_genres (
+    genre_slug
+  ),
+  bookshelf_sites!inner (
+    id,
+    home_url
+  )
+`;
+
+// Sort value a cursor holds for each sort order, besides synced_at and id: a column
+// returned by search_bookshelf_books(), the parameter taking it back, and its type
+// (nullable columns sort last, so a cursor can stop on a null)
+const CURSOR_VALUES = {
+  latest: null,
+  oldest: { column: 'publication_date', param: 'after_date', type: 'date', nullable: true },
+  newest: { column: 'publication_date', param: 'after_date', type: 'date', nullable: true },
+  'title-asc': { column: 'title', param: 'after_title', type: 'text' },
+  'title-desc': { column: 'title', param: 'after_title', type: 'text' },
+  relevance: { column: 'rank', param: 'after_rank', type: 'number' },
+  rating: { column: 'rating', param: 'after_rating', type: 'number', nullable: true },
+  reviews: { column: 'review_count', param: 'after_review_count', type: 'integer', nullable: true },
+  added: { column: 'created_at', param: 'after_created_at', type: 'date', nullable: true }
+};
+
+export const SORT_ORDERS = Object.keys(CURSOR_VALUES);
+
+// Orders for getSiteBooks(), as in search_bookshelf_books() (then synced_at DESC, id DESC):
+// [column, ascending, nullsFirst]
+const SITE_BOOK_ORDERS = {
+  latest: [],
+  oldest: [['publication_date', true, false]],
+  newest: [['publication_date', false, false]],
+  'title-asc': [['title', true]],
+  'title-desc': [['title', false]],
+  rating: [['rating', false, false]],
+  reviews: [['review_count', false, false]],
+  added: [['created_at', false, false]]
+};
+
+/**
+ * Trim and cap a search from a visitor (terms are sanitized in the database)
+ *
+ * @param {string} search - Search from the query string
+ * @returns {string|null} Search to pass to the database, or null for none
+ */
+export function normalizeSearch(search) {
+  return search ? String(search).trim().slice(0, MAX_SEARCH_LENGTH) : null;
+}
+
+/**
+ * Find a page of books (see search_bookshelf_books())
+ *
+ * @param {Object} options - { search, genres, genreMode, sort, limit, offset, after }
+ *   after: decoded cursor (see decodeCursor()) to continue from instead of offset
+ * @returns {Promise<{ids: number[], total: number, nextCursor: string|null}>} Book IDs in page order,
+ *   the number of matches (after the cursor, if any), and the cursor of the next page (null on the last page)
+ * @throws {Error} If the search fails
+ */
+export async function searchBooks({ search = null, genres = [], genreMode = 'any', sort = 'latest', limit, offset = 0, after = null }) {
+  const params = {
+    search_query: normalizeSearch(search),
+    genre_filters: genres.length > 0 ? genres : null,
+    genre_mode: genreMode,
+    sort_order: sort,
+    // One extra, to tell whether there is a next page
+    page_limit: limit + 1,
+    page_offset: after ? 0 : offset
+  };
+
+  if (after) {
+    params.after_id = after.id;
+    params.after_synced_at = after.syncedAt;
+
+    if (CURSOR_VALUES[sort]) {
+      params[CURSOR_VALUES[sort].param] = after.value;
+    }
+  }
+
+  const { data, error } = await supabase
+    .rpc('search_bookshelf_books', params);
+
+  if (error) {
+    throw new Error(`Failed to search books: ${error.message}`);
+  }
+
+  const matches = data.slice(0, limit);
+
+  return {
+    ids: matches.map(match => match.book_id),
+    total: Number(data[0]?.total_count || 0),
+    nextCursor: data.length > limit ? encodeCursor(sort, matches[matches.length - 1]) : null
+  };
+}
+
+/**
+ * Make the cursor continuing after a search_bookshelf_books() row
+ *
+ * @param {string} sort - Sort order of the search
+ * @param {Object} match - search_bookshelf_books() row
+ * @returns {string} Cursor
+ */
+function encodeCursor(sort, match) {
+  const value = CURSOR_VALUES[sort] ? match[CURSOR_VALUES[sort].column] : null;
+
+  return Buffer
+    .from(JSON.stringify([sort, match.book_id, match.synced_at, value]))
+    .toString('base64url');
+}
+
+/**
+ * Read a cursor from a visitor
+ *
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {Object|null} { sort, id, syncedAt, value }, or null if the cursor is not valid
+ */
+export function decodeCursor(cursor) {
+  let decoded;
+
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+
+  if (!Array.isArray(decoded) || decoded.length !== 4) {
+    return null;
+  }
+
+  const [sort, id, syncedAt, value] = decoded;
+
+  if (
+    !Object.hasOwn(CURSOR_VALUES, sort) ||
+    !Number.isInteger(id) || id <= 0 ||
+    typeof syncedAt !== 'string' || Number.isNaN(Date.parse(syncedAt))
+  ) {
+    return null;
+  }
+
+  return isCursorValue(value, CURSOR_VALUES[sort]) ? { sort, id, syncedAt, value } : null;
+}
+
+/**
+ * Check the sort value of a cursor
+ *
+ * @param {*} value - Sort value from the cursor
+ * @param {Object|null} expected - Entry of CURSOR_VALUES (null: the sort order has no value)
+ * @returns {boolean} True if the value has the expected type
+ */
+function isCursorValue(value, expected) {
+  if (!expected || value === null) {
+    return value === null && (!expected || expected.nullable === true);
+  }
+
+  switch (expected.type) {
+    case 'date':
+      return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+    case 'text':
+      return typeof value === 'string';
+    case 'integer':
+      return Number.isInteger(value);
+    default:
+      return typeof value === 'number' && Number.isFinite(value);
+  }
+}
+
+/**
+ * Load books by ID, keeping the order of the IDs
+ *
+ * @param {number[]} ids - Book IDs
+ * @returns {Promise<Object[]>} bookshelf_books rows (format with formatBook())
+ * @throws {Error} If the books can't be read
+ */
+export async function getBooksById(ids) {
+  if (ids.length === 0) {
+    return [];
+  }
+
+  const { data, error } = await supabase
+    .from('bookshelf_books')
+    .select(BOOK_COLUMNS)
+    .in('id', ids)
+    .not('bookshelf_sites.verified_at', 'is', null);
+
+  if (error) {
+    throw new Error(`Failed to load books: ${error.message}`);
+  }
+
+  const rowsById = new Map(data.map(row => [row.id, row]));
+
+  return ids.map(id => rowsById.get(id)).filter(Boolean);
+}
+
+/**
+ * Get one book, by ID or by its slug on a site
+ *
+ * @param {Object} lookup - { id } or { slug, siteIdentity }
+ * @returns {Promise<Object|null>} bookshelf_books row, or null if not listed
+ * @throws {Error} If the book can't be read
+ */
+export async function getBook(lookup) {
+  let query = supabase
+    .from('bookshelf_books')
+    .select(BOOK_COLUMNS)
+    .not('bookshelf_sites.verified_at', 'is', null);
+
+  query = lookup.id
+    ? query.eq('id', lookup.id)
+    : query.eq('site_url', lookup.siteIdentity).eq('slug', lookup.slug);
+
+  const { data, error } = await query.maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load book: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Get a page of the books on one site (an author's books)
+ *
+ * @param {string} siteIdentity - Canonical site identity
+ * @param {Object} options - { sort, limit, offset }
+ * @returns {Promise<{books: Object[], total: number}>} bookshelf_books rows, and the number of books
+ * @throws {Error} If the books can't be read
+ */
+export async function getSiteBooks(siteIdentity, { sort = 'latest', limit, offset = 0 }) {
+  let query = supabase
+    .from('bookshelf_books')
+    .select(BOOK_COLUMNS, { count: 'exact' })
+    .eq('site_url', siteIdentity)
+    .not('bookshelf_sites.verified_at', 'is', null);
+
+  for (const [column, ascending, nullsFirst] of SITE_BOOK_ORDERS[sort] || SITE_BOOK_ORDERS.latest) {
+    query = query.order(column, { ascending, nullsFirst });
+  }
+
+  const { data, error, count } = await query
+    .order('synced_at', { ascending: false })
+    .order('id', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) {
+    throw new Error(`Failed to load site books: ${error.message}`);
+  }
+
+  return { books: data, total: count || 0 };
+}
+
+/**
+ * Get other books by the same author on the same site, latest first
+ *
+ * @param {Object} book - bookshelf_books row
+ * @param {number} limit - Maximum number of books
+ * @returns {Promise<Object[]>} bookshelf_books rows
+ * @throws {Error} If the books can't be read
+ */
+export async function getMoreByAuthor(book, limit) {
+  const { data, error } = await supabase
+    .from('bookshelf_books')
+    .select(BOOK_COLUMNS)
+    .eq('site_url', book.site_url)
+    .eq('author_name', book.author_name)
+    .neq('id', book.id)
+    .not('bookshelf_sites.verified_at', 'is', null)
+    .order('synced_at', { ascending: false })
+    .order('id', { ascending: false })
+    .limit(limit);
+
+  if (error) {
+    throw new Error(`Failed to load books by author: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Get other books sharing a genre with a book, latest first
+ *
+ * @param {Object} book - bookshelf_books row
+ * @param {number} limit - Maximum number of books
+ * @returns {Promise<Object[]>} bookshelf_books rows
+ * @throws {Error} If the books can't be read
+ */
+export async function getMoreInGenre(book, limit) {
+  const genres = (book.bookshelf_book_genres || []).map(g => g.genre_slug);
+
+  if (genres.length === 0) {
+    return [];
+  }
+
+  // One extra, in case the book itself is among them
+  const { ids } = await searchBooks({ genres, genreMode: 'any', limit: limit + 1 });
+
+  return getBooksById(ids.filter(id => id !== book.id).slice(0, limit));
+}
+
+/**
+ * Format a bookshelf_books row for API responses
+ *
+ * @param {Object} book - bookshelf_books row (with genres and site joined)
+ * @param {Object} [options] - { detail: true } adds the fields only the book page shows
+ * @returns {Object} Book
+ */
+export function formatBook(book, { detail = false } = {}) {
+  // Construct the full book URL (assumes default 'books' slug)
+  // Format: home_url/books/book-slug
+  // site_url is the canonical site identity, so fall back to https:// for links
+  const siteUrl = book.bookshelf_sites?.home_url || `https://${book.site_url}`;
+  const bookUrl = book.slug ? `${siteUrl}/books/${book.slug}` : siteUrl;
+
+  const formatted = {
+    id: book.id,
+    title: book.title,
+    slug: book.slug,
+    description: book.description,
+    book_url: bookUrl,
+    cover: {
+      medium: book.cover_medium,
+      large: book.cover_large
+    },
+    author: {
+      // Authors are keyed by site (see _lib/bookshelf-authors.js); books without an author name have none
+      id: book.author_name ? book.bookshelf_sites?.id ?? null : null,
+      name: book.author_name,
+      bio: book.author_bio,
+      site_url: siteUrl
+    },
+    genres: book.bookshelf_book_genres?.map(g => g.genre_slug) || [],
+    purchase_links: {
+      amazon_in: book.purchase_amazon_in,
+      amazon_com: book.purchase_amazon_com,
+      other: book.purchase_other
+    },
+    formats: book.formats ? JSON.parse(book.formats) : [],
+    rating: book.rating,
+    review_count: book.review_count,
+    publication_date: book.publication_date,
+    synced_at: book.synced_at
+  };
+
+  if (detail) {
+    formatted.site = book.site_url;
+    formatted.cover.full = book.cover_full;
+    formatted.author.website = book.author_website;
+    formatted.author.twitter = book.author_twitter;
+    formatted.author.instagram = book.author_instagram;
+    formatted.isbn = book.isbn;
+  }
+
+  return formatted;
+}
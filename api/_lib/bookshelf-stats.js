@@ -0,0 +1,64 @@
+/**
+ * Bookshelf Stats
+ *
+ * Reads and refreshes the bookshelf_stats materialized view (migration 019):
+ * total books and authors, books added this week and books per genre, for
+ * /api/bookshelf/stats.
+ *
+ * The view is refreshed after changes to the listed books (sync, batch sync,
+ * remove, deregister), at most once every STATS_REFRESH_INTERVAL_SECONDS so a
+ * burst of syncs doesn't recompute it for every book, and daily by the
+ * keepalive cron. The stats are only informational, so a failed refresh is
+ * logged and never fails the change.
+ */
+
+import supabase from './supabase.js';
+
+const STATS_REFRESH_INTERVAL_SECONDS = 60;
+
+/**
+ * Get the bookshelf stats
+ *
+ * @returns {Promise<Object>} bookshelf_stats row
+ * @throws {Error} If the stats can't be read
+ */
+export async function getBookshelfStats() {
+  const { data, error } = await supabase
+    .from('bookshelf_stats')
+    .select('total_books, total_authors, books_this_week, genres, refreshed_at')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to load bookshelf stats: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Recompute the bookshelf stats after books changed
+ *
+ * Skipped if the stats were refreshed in the last STATS_REFRESH_INTERVAL_SECONDS,
+ * unless forced.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Refresh even if the stats are recent
+ * @returns {Promise<boolean>} True if the stats were refreshed
+ */
+export async function refreshBookshelfStats({ force = false } = {}) {
+  try {
+    const { data, error } = await supabase.rpc('refresh_bookshelf_stats', {
+      min_interval_seconds: force ? 0 : STATS_REFRESH_INTERVAL_SECONDS
+    });
+
+    if (error) {
+      console.error('Stats refresh error:', error);
+      return false;
+    }
+
+    return data === true;
+  } catch (error) {
+    console.error('Stats refresh error:', error);
+    return false;
+  }
+}
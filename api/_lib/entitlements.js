@@ -0,0 +1,96 @@
+/**
+ * Feature Entitlements
+ *
+ * Builds the set of features a license unlocks, with per-feature limits:
+ * the product's entitlements and feature_limits from the product catalog,
+ * plus any active entitlement_grants (add-ons and promotions, see
+ * database/migrations/007_create_entitlements.sql).
+ *
+ * Result format, keyed by feature slug:
+ *   { "landing-pages": { limit: 10, source: "product", expires_at: null } }
+ * A limit of null means unlimited. When a feature comes from several places,
+ * the most generous limit wins.
+ */
+
+import supabase from './supabase.js';
+import logger from './logger.js';
+
+/**
+ * Resolve a license's entitlements
+ *
+ * Grant lookups that fail are logged and skipped - the product's own
+ * entitlements are always returned.
+ *
+ * @param {Object} lsData - Lemon Squeezy validate response or ledger record ({ license_key, meta })
+ * @param {Object} product - Entry from resolveProduct()
+ * @returns {Promise<Object<string, {limit: number|null, source: string, expires_at: string|null}>>}
+ */
+export async function resolveEntitlements(lsData, product) {
+  const entitlements = {};
+  const featureLimits = product.feature_limits || {};
+
+  for (const feature of product.entitlements || []) {
+    entitlements[feature] = {
+      limit: featureLimits[feature] ?? null,
+      source: 'product',
+      expires_at: null
+    };
+  }
+
+  const grants = await getActiveGrants(lsData?.license_key?.id, lsData?.meta?.product_id);
+
+  for (const grant of grants) {
+    const current = entitlements[grant.feature];
+
+    if (!current || isMoreGenerous(grant.feature_limit, current.limit)) {
+      entitlements[grant.feature] = {
+        limit: grant.feature_limit,
+        source: grant.source,
+        expires_at: grant.expires_at
+      };
+    }
+  }
+
+  return entitlements;
+}
+
+/**
+ * Load grants that apply to a license right now
+ */
+async function getActiveGrants(licenseId, productId) {
+  const scopes = ['and(license_id.is.null,product_id.is.null)'];
+
+  if (Number(licenseId)) {
+    scopes.push(`license_id.eq.${Number(licenseId)}`);
+  }
+
+  if (Number(productId)) {
+    scopes.push(`and(license_id.is.null,product_id.eq.${Number(productId)})`);
+  }
+
+  const now = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from('entitlement_grants')
+    .select('feature, feature_limit, source, starts_at, expires_at')
+    .or(scopes.join(','))
+    .lte('starts_at', now);
+
+  if (error) {
+    logger.error('[Entitlements] Failed to load entitlement grants', error);
+    return [];
+  }
+
+  return (data || []).filter(grant => !grant.expires_at || new Date(grant.expires_at) > new Date(now));
+}
+
+/**
+ * Compare two limits where null means unlimited
+ */
+function isMoreGenerous(limit, currentLimit) {
+  if (currentLimit === null) {
+    return false;
+  }
+
+  return limit === null || limit > currentLimit;
+}
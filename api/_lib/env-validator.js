@@ -30,6 +30,67 @@ const ENV_REQUIREMENTS = {
     description: 'Lemon Squeezy webhook signature secret',
     sensitive: true
   },
+  LEMON_SQUEEZY_TIMEOUT: {
+    required: false,
+    description: 'Milliseconds before a Lemon Squeezy request attempt times out',
+    default: '3000'
+  },
+
+  // License ledger
+  LICENSE_LEDGER_MAX_AGE: {
+    required: false,
+    description: 'Seconds a license ledger record is trusted before refreshing from Lemon Squeezy',
+    default: '21600'
+  },
+
+  // License validation cache
+  LICENSE_CACHE_TTL: {
+    required: false,
+    description: 'Seconds a license validation result is cached',
+    default: '300'
+  },
+  LICENSE_CACHE_PERSIST: {
+    required: false,
+    description: 'Share the validation cache across instances via Supabase (true/false)',
+    default: 'false'
+  },
+
+  // Product catalog
+  PRODUCT_CATALOG_CACHE_TTL: {
+    required: false,
+    description: 'Seconds the product catalog is cached in memory',
+    default: '300'
+  },
+
+  // Staging sites
+  STAGING_SITE_PATTERNS: {
+    required: false,
+    description: 'Extra comma-separated hostname patterns treated as staging/development sites'
+  },
+  MAX_STAGING_ACTIVATIONS: {
+    required: false,
+    description: 'Staging activations allowed per license, on top of the activation limit',
+    default: '3'
+  },
+
+  // License transfers
+  LICENSE_TRANSFER_COOLDOWN: {
+    required: false,
+    description: 'Seconds a license must wait between transfers to a new site',
+    default: '2592000'
+  },
+
+  // License certificates
+  LICENSE_SIGNING_PRIVATE_KEY: {
+    required: false,
+    description: 'Ed25519 private key for signing license certificates (base64 DER or PEM)',
+    sensitive: true
+  },
+  LICENSE_CERTIFICATE_TTL: {
+    required: false,
+    description: 'Seconds a license certificate stays valid before the plugin must check in',
+    default: '604800'
+  },
 
   // Security
   DOWNLOAD_TOKEN_SECRET: {
@@ -38,6 +99,35 @@ const ENV_REQUIREMENTS = {
     sensitive: true,
     minLength: 32
   },
+  ADMIN_API_KEY: {
+    required: false,
+    description: 'Bearer token for admin endpoints (e.g. /api/admin/heartbeat-summary)',
+    sensitive: true,
+    minLength: 32
+  },
+  REQUEST_SIGNING_SECRET: {
+    required: false,
+    description: 'Secret per-activation request signing secrets are derived from',
+    sensitive: true,
+    minLength: 32
+  },
+  REQUEST_SIGNATURE_WINDOW: {
+    required: false,
+    description: 'Seconds a signed request timestamp may differ from server time',
+    default: '300'
+  },
+  REQUIRE_SIGNED_REQUESTS: {
+    required: false,
+    description: 'Reject unsigned plugin requests (true/false)',
+    default: 'false'
+  },
+
+  // Bookshelf
+  BOOKSHELF_VERIFY_ALLOW_PRIVATE_HOSTS: {
+    required: false,
+    description: 'Let bookshelf domain verification fetch private/loopback hosts (testing only)',
+    default: 'false'
+  },
 
   // Optional but recommended
   NODE_ENV: {
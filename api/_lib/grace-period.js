@@ -0,0 +1,65 @@
+/**
+ * License Grace Period
+ *
+ * Keeps a lapsed license working for the product's grace_period_days, so a
+ * declined card or a late renewal doesn't break Pro widgets on an author's site
+ * straight away. During the grace period validation returns status "grace"
+ * and update downloads are withheld.
+ *
+ * A license lapses when a subscription payment fails (licenses.payment_failed_at,
+ * set by the subscription_payment_failed webhook - Lemon Squeezy still reports
+ * the license as active then) or when it passes its expiry. The grace period
+ * starts at the first failed payment or, failing that, at the expiry. Once it
+ * ends, the license is invalid until a payment succeeds or it is renewed.
+ * Licenses disabled for any reason (refunds, manual disables) get no grace
+ * period.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Statuses that never get a grace period
+ */
+const NO_GRACE_STATUSES = ['disabled'];
+
+/**
+ * Get the grace period of a lapsed license
+ *
+ * @param {Object} lsData - Resolved license ({ license_key, meta, payment_failed_at })
+ * @param {Object} product - Entry from resolveProduct()
+ * @returns {{reason: string, grace_ends_at: string, ended: boolean}|null}
+ *   reason is 'payment_failed' or 'expired'; ended is true once the grace
+ *   period is over (or the product has none). Null if the license hasn't
+ *   lapsed, or is disabled.
+ */
+export function getGracePeriod(lsData, product) {
+  const graceDays = Math.max(0, product.grace_period_days || 0);
+  const license = lsData?.license_key;
+
+  if (!license || NO_GRACE_STATUSES.includes(license.status)) {
+    return null;
+  }
+
+  let reason = null;
+  let startedAt = null;
+
+  if (lsData.payment_failed_at) {
+    reason = 'payment_failed';
+    startedAt = new Date(lsData.payment_failed_at);
+  } else if (license.expires_at && (license.status === 'expired' || new Date(license.expires_at) < new Date())) {
+    reason = 'expired';
+    startedAt = new Date(license.expires_at);
+  }
+
+  if (!startedAt || isNaN(startedAt.getTime())) {
+    return null;
+  }
+
+  const endsAt = new Date(startedAt.getTime() + graceDays * DAY_MS);
+
+  return {
+    reason,
+    grace_ends_at: endsAt.toISOString(),
+    ended: endsAt <= new Date()
+  };
+}
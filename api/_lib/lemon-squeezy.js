@@ -0,0 +1,377 @@
+/**
+ * Lemon Squeezy Client
+ *
+ * Shared client for the Lemon Squeezy license API (validate, activate,
+ * deactivate) and license key instance listing.
+ *
+ * - Every attempt has a timeout (LEMON_SQUEEZY_TIMEOUT, default 3s). Endpoints
+ *   create one deadline per request (createDeadline()) and pass it to every
+ *   call, so a chain of calls stays under Vercel's 10s maxDuration: attempts are
+ *   cut short at the deadline, and none is started with less than
+ *   MIN_ATTEMPT_MS left
+ * - 5xx, 429, timeouts and network errors are retried with jittered backoff.
+ *   Activation is only retried on 429, since a retried 5xx could create a
+ *   second instance.
+ * - After FAILURE_THRESHOLD consecutive provider failures the circuit opens and
+ *   calls fail fast for CIRCUIT_OPEN_MS, then one trial call is let through
+ * - Failures are thrown as LemonSqueezyError with a type, so endpoints can tell
+ *   a bad key (INVALID: 400, 404 or 422 from the license API) apart from the
+ *   provider being down (UNAVAILABLE) or our API key being rejected
+ *   (NOT_CONFIGURED: 401 or 403)
+ *
+ * Circuit state is per serverless instance.
+ */
+
+import logger from './logger.js';
+
+const API_BASE = 'https://api.lemonsqueezy.com/v1';
+
+const TIMEOUT_MS = parseInt(process.env.LEMON_SQUEEZY_TIMEOUT, 10) || 3000;
+// Leaves time within Vercel's 10s maxDuration to respond and update the ledger
+const REQUEST_BUDGET_MS = 8000;
+const MIN_ATTEMPT_MS = 1000;
+const MAX_RETRIES = 2;
+const RETRY_BASE_MS = 250;
+
+const FAILURE_THRESHOLD = 5;
+const CIRCUIT_OPEN_MS = 30000;
+
+/**
+ * Failure types
+ */
+export const LS_ERROR_TYPES = {
+  // Lemon Squeezy rejected the request (bad key, unknown instance, limit reached)
+  INVALID: 'invalid',
+  // Lemon Squeezy is down, slow, rate limiting us, or the circuit is open
+  UNAVAILABLE: 'unavailable',
+  // LEMON_SQUEEZY_API_KEY is missing, or Lemon Squeezy rejected it
+  NOT_CONFIGURED: 'not_configured'
+};
+
+/**
+ * Typed Lemon Squeezy failure
+ *
+ * @property {string} type - One of LS_ERROR_TYPES
+ * @property {number|null} status - HTTP status from Lemon Squeezy, if any
+ * @property {Object|null} details - Response body from Lemon Squeezy, if any
+ */
+export class LemonSqueezyError extends Error {
+  constructor(message, type, status = null, details = null) {
+    super(message);
+    this.name = 'LemonSqueezyError';
+    this.type = type;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Map a Lemon Squeezy failure to an HTTP status and client-safe message
+ *
+ * @param {LemonSqueezyError} error
+ * @returns {{status: number, message: string}}
+ *   INVALID -> 400 with Lemon Squeezy's message, UNAVAILABLE -> 503, NOT_CONFIGURED -> 500
+ */
+export function describeError(error) {
+  switch (error.type) {
+    case LS_ERROR_TYPES.INVALID:
+      return { status: 400, message: error.message };
+    case LS_ERROR_TYPES.UNAVAILABLE:
+      return { status: 503, message: 'License service temporarily unavailable. Please try again later.' };
+    default:
+      return { status: 500, message: 'License service not configured' };
+  }
+}
+
+/**
+ * Create the deadline for the Lemon Squeezy calls a request makes
+ *
+ * @param {number} [budgetMs] - Time the calls may take, from now
+ * @returns {number} Deadline (epoch milliseconds) to pass to the client's calls
+ */
+export function createDeadline(budgetMs = REQUEST_BUDGET_MS) {
+  return Date.now() + budgetMs;
+}
+
+const circuit = {
+  failures: 0,
+  openedAt: 0,
+  trialInFlight: false
+};
+
+/**
+ * Validate a license key
+ *
+ * @param {string} licenseKey - Raw license key
+ * @param {Object} [options]
+ * @param {boolean} [options.includeInstances] - Also list the key's activation
+ *   instances into meta.instances (the validate response doesn't include them)
+ * @param {number} [options.deadline] - Request deadline from createDeadline()
+ * @returns {Promise<Object>} Validate response ({ valid, license_key, instance, meta })
+ * @throws {LemonSqueezyError}
+ */
+export async function validateLicense(licenseKey, options = {}) {
+  const deadline = options.deadline ?? createDeadline();
+  const data = await licenseRequest('validate', { license_key: licenseKey }, { deadline });
+
+  if (options.includeInstances && data.license_key?.id) {
+    data.meta = {
+      ...data.meta,
+      instances: await listInstances(data.license_key.id, { deadline })
+    };
+  }
+
+  return data;
+}
+
+/**
+ * Activate a license key for an instance (site)
+ *
+ * @param {string} licenseKey - Raw license key
+ * @param {string} instanceName - Instance name (canonical site identity)
+ * @param {Object} [options]
+ * @param {number} [options.deadline] - Request deadline from createDeadline()
+ * @returns {Promise<Object>} Activate response ({ activated, license_key, instance, meta })
+ * @throws {LemonSqueezyError}
+ */
+export function activateLicense(licenseKey, instanceName, options = {}) {
+  return licenseRequest('activate', {
+    license_key: licenseKey,
+    instance_name: instanceName
+  }, { retryServerErrors: false, deadline: options.deadline });
+}
+
+/**
+ * Deactivate a license key instance
+ *
+ * @param {string} licenseKey - Raw license key
+ * @param {string} instanceId - Instance ID
+ * @param {Object} [options]
+ * @param {number} [options.deadline] - Request deadline from createDeadline()
+ * @returns {Promise<Object>} Deactivate response ({ deactivated, license_key, meta })
+ * @throws {LemonSqueezyError} INVALID with status 404 if the instance doesn't exist
+ */
+export function deactivateLicense(licenseKey, instanceId, options = {}) {
+  return licenseRequest('deactivate', {
+    license_key: licenseKey,
+    instance_id: instanceId
+  }, { deadline: options.deadline });
+}
+
+/**
+ * List a license key's activation instances
+ *
+ * @param {number} licenseKeyId - Lemon Squeezy license key ID
+ * @param {Object} [options]
+ * @param {number} [options.deadline] - Request deadline from createDeadline()
+ * @returns {Promise<Array<{id: string, name: string, created_at: string}>>}
+ *   id is the instance identifier used by the license API
+ * @throws {LemonSqueezyError} UNAVAILABLE or NOT_CONFIGURED - never INVALID, as
+ *   the key was already validated
+ */
+export async function listInstances(licenseKeyId, options = {}) {
+  let body;
+
+  try {
+    body = await request(
+      `/license-key-instances?filter[license_key_id]=${encodeURIComponent(licenseKeyId)}&page[size]=100`,
+      { method: 'GET', accept: 'application/vnd.api+json', deadline: options.deadline }
+    );
+  } catch (error) {
+    if (error.type === LS_ERROR_TYPES.INVALID) {
+      throw new LemonSqueezyError('Failed to list license instances', LS_ERROR_TYPES.UNAVAILABLE, error.status, error.details);
+    }
+
+    throw error;
+  }
+
+  return (body.data || []).map(instance => ({
+    id: instance.attributes?.identifier,
+    name: instance.attributes?.name,
+    created_at: instance.attributes?.created_at
+  }));
+}
+
+/**
+ * POST to a license API action
+ */
+function licenseRequest(action, payload, options = {}) {
+  return request(`/licenses/${action}`, {
+    method: 'POST',
+    accept: 'application/json',
+    body: JSON.stringify(payload),
+    ...options
+  });
+}
+
+/**
+ * Make a request with timeouts, retries and the circuit breaker
+ */
+async function request(path, { method, accept, body, retryServerErrors = true, deadline = createDeadline() }) {
+  const apiKey = process.env.LEMON_SQUEEZY_API_KEY;
+
+  if (!apiKey) {
+    throw new LemonSqueezyError('License service not configured', LS_ERROR_TYPES.NOT_CONFIGURED);
+  }
+
+  if (deadline - Date.now() < MIN_ATTEMPT_MS) {
+    throw new LemonSqueezyError('Lemon Squeezy request deadline reached', LS_ERROR_TYPES.UNAVAILABLE);
+  }
+
+  enterCircuit();
+
+  let lastError = null;
+
+  for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+    if (attempt > 0) {
+      const delay = retryDelay(attempt, lastError);
+
+      // Don't retry once the request's deadline is (nearly) reached
+      if (deadline - Date.now() - delay < MIN_ATTEMPT_MS) {
+        break;
+      }
+
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    let response;
+
+    try {
+      response = await fetch(`${API_BASE}${path}`, {
+        method,
+        headers: {
+          'Accept': accept,
+          'Content-Type': accept,
+          'Authorization': `Bearer ${apiKey}`
+        },
+        body,
+        signal: AbortSignal.timeout(Math.min(TIMEOUT_MS, deadline - Date.now()))
+      });
+    } catch (error) {
+      const timedOut = error.name === 'TimeoutError' || error.name === 'AbortError';
+      lastError = new LemonSqueezyError(
+        timedOut ? 'Lemon Squeezy request timed out' : 'Lemon Squeezy request failed',
+        LS_ERROR_TYPES.UNAVAILABLE
+      );
+
+      logger.warn(`[LemonSqueezy] ${method} ${path} attempt ${attempt + 1}: ${error.message}`);
+
+      if (!retryServerErrors) {
+        break;
+      }
+
+      continue;
+    }
+
+    const data = await readJson(response);
+
+    if (response.ok) {
+      recordSuccess();
+      return data;
+    }
+
+    if (response.status === 429 || response.status >= 500) {
+      lastError = new LemonSqueezyError(
+        response.status === 429 ? 'Lemon Squeezy rate limit exceeded' : 'Lemon Squeezy server error',
+        LS_ERROR_TYPES.UNAVAILABLE,
+        response.status,
+        data
+      );
+      lastError.retryAfter = parseInt(response.headers.get('retry-after'), 10) || null;
+
+      logger.warn(`[LemonSqueezy] ${method} ${path} attempt ${attempt + 1}: HTTP ${response.status}`);
+
+      if (response.status >= 500 && !retryServerErrors) {
+        break;
+      }
+
+      continue;
+    }
+
+    // 4xx - Lemon Squeezy answered, so the provider is healthy
+    recordSuccess();
+
+    if (response.status === 401 || response.status === 403) {
+      logger.error(`[LemonSqueezy] ${method} ${path}: API key rejected (HTTP ${response.status})`);
+
+      throw new LemonSqueezyError('License service not configured', LS_ERROR_TYPES.NOT_CONFIGURED, response.status, data);
+    }
+
+    if (![400, 404, 422].includes(response.status)) {
+      logger.error(`[LemonSqueezy] ${method} ${path}: unexpected HTTP ${response.status}`);
+
+      throw new LemonSqueezyError('Unexpected Lemon Squeezy response', LS_ERROR_TYPES.UNAVAILABLE, response.status, data);
+    }
+
+    throw new LemonSqueezyError(
+      data?.error || data?.errors?.[0]?.detail || data?.message || 'Request rejected by Lemon Squeezy',
+      LS_ERROR_TYPES.INVALID,
+      response.status,
+      data
+    );
+  }
+
+  recordFailure();
+  throw lastError;
+}
+
+/**
+ * Jittered exponential backoff, honoring a short Retry-After
+ */
+function retryDelay(attempt, lastError) {
+  const backoff = RETRY_BASE_MS * 2 ** (attempt - 1);
+  const jittered = backoff / 2 + Math.random() * backoff;
+
+  if (lastError?.retryAfter) {
+    return Math.max(jittered, lastError.retryAfter * 1000);
+  }
+
+  return jittered;
+}
+
+/**
+ * Fail fast while the circuit is open; let one trial call through after CIRCUIT_OPEN_MS
+ */
+function enterCircuit() {
+  if (circuit.failures < FAILURE_THRESHOLD) {
+    return;
+  }
+
+  const isCoolingDown = Date.now() - circuit.openedAt < CIRCUIT_OPEN_MS;
+
+  if (isCoolingDown || circuit.trialInFlight) {
+    throw new LemonSqueezyError('License service temporarily unavailable', LS_ERROR_TYPES.UNAVAILABLE);
+  }
+
+  circuit.trialInFlight = true;
+}
+
+function recordSuccess() {
+  if (circuit.failures >= FAILURE_THRESHOLD) {
+    logger.info('[LemonSqueezy] Circuit closed');
+  }
+
+  circuit.failures = 0;
+  circuit.trialInFlight = false;
+}
+
+function recordFailure() {
+  circuit.failures++;
+  circuit.trialInFlight = false;
+
+  if (circuit.failures >= FAILURE_THRESHOLD) {
+    circuit.openedAt = Date.now();
+    logger.warn(`[LemonSqueezy] Circuit open after ${circuit.failures} consecutive failures`);
+  }
+}
+
+/**
+ * Read a JSON body without throwing on empty/non-JSON responses
+ */
+async function readJson(response) {
+  try {
+    return await response.json();
+  } catch (e) {
+    return null;
+  }
+}
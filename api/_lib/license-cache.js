@@ -0,0 +1,161 @@
+/**
+ * License Validation Cache
+ *
+ * Short-lived cache of resolved licenses for /api/validate-license, which the
+ * plugin can call on every WordPress admin page load. Keyed by
+ * hashSensitiveData(license_key).
+ *
+ * - In memory per serverless instance, for up to MEMORY_TTL_MS
+ * - Optionally backed by the Supabase license_validation_cache table
+ *   (LICENSE_CACHE_PERSIST=true), shared by all instances for LICENSE_CACHE_TTL
+ *
+ * Webhooks (license_key_updated, subscription_*, order_refunded) and
+ * activation changes invalidate entries immediately. Memory entries on other
+ * instances can't be reached, which is why they are kept for at most a minute.
+ *
+ * Cache failures are logged and treated as misses - they never fail validation.
+ */
+
+import supabase from './supabase.js';
+import logger from './logger.js';
+import { hashSensitiveData } from './security.js';
+
+const CACHE_TTL_MS = (parseInt(process.env.LICENSE_CACHE_TTL, 10) || 300) * 1000;
+const MEMORY_TTL_MS = Math.min(CACHE_TTL_MS, 60000);
+const MAX_MEMORY_ENTRIES = 1000;
+const PERSIST = process.env.LICENSE_CACHE_PERSIST === 'true';
+
+const memoryCache = new Map();
+
+/**
+ * Get a cached license
+ *
+ * @param {string} licenseKey - Raw license key
+ * @returns {Promise<{data: Object, cached_at: string}|null>} Cached license, or null on a miss
+ */
+export async function getCachedLicense(licenseKey) {
+  const keyHash = hashSensitiveData(licenseKey);
+  const entry = memoryCache.get(keyHash);
+
+  if (entry) {
+    if (Date.now() < entry.expiresAt) {
+      return { data: entry.data, cached_at: entry.cachedAt };
+    }
+
+    memoryCache.delete(keyHash);
+  }
+
+  if (!PERSIST) {
+    return null;
+  }
+
+  const { data: row, error } = await supabase
+    .from('license_validation_cache')
+    .select('license_id, order_id, data, cached_at, expires_at')
+    .eq('key_hash', keyHash)
+    .gt('expires_at', new Date().toISOString())
+    .maybeSingle();
+
+  if (error) {
+    logger.error('[Cache] Failed to read license cache', error);
+    return null;
+  }
+
+  if (!row) {
+    return null;
+  }
+
+  remember(keyHash, row.data, row.cached_at, row.order_id, new Date(row.expires_at).getTime());
+  return { data: row.data, cached_at: row.cached_at };
+}
+
+/**
+ * Cache a resolved license
+ *
+ * @param {string} licenseKey - Raw license key
+ * @param {Object} data - Resolved license ({ license_key, meta, ... })
+ */
+export async function cacheLicense(licenseKey, data) {
+  const keyHash = hashSensitiveData(licenseKey);
+  const cachedAt = new Date().toISOString();
+  const orderId = data?.meta?.order_id || null;
+
+  remember(keyHash, data, cachedAt, orderId);
+
+  if (!PERSIST) {
+    return;
+  }
+
+  const { error } = await supabase
+    .from('license_validation_cache')
+    .upsert({
+      key_hash: keyHash,
+      license_id: data?.license_key?.id || null,
+      order_id: orderId,
+      data: data,
+      cached_at: cachedAt,
+      expires_at: new Date(Date.now() + CACHE_TTL_MS).toISOString()
+    }, { onConflict: 'key_hash' });
+
+  if (error) {
+    logger.error('[Cache] Failed to write license cache', error);
+  }
+}
+
+/**
+ * Drop cached licenses
+ *
+ * @param {Object} target - What to invalidate (any combination)
+ * @param {string} [target.licenseKey] - Raw license key
+ * @param {number|string} [target.orderId] - Every license on a Lemon Squeezy order
+ */
+export async function invalidateLicenseCache({ licenseKey, orderId } = {}) {
+  const keyHash = licenseKey ? hashSensitiveData(licenseKey) : null;
+
+  for (const [hash, entry] of memoryCache) {
+    if (hash === keyHash || (orderId && String(entry.orderId) === String(orderId))) {
+      memoryCache.delete(hash);
+    }
+  }
+
+  if (!PERSIST || (!keyHash && !Number(orderId))) {
+    return;
+  }
+
+  const filters = [];
+
+  if (keyHash) {
+    filters.push(`key_hash.eq.${keyHash}`);
+  }
+
+  if (Number(orderId)) {
+    filters.push(`order_id.eq.${Number(orderId)}`);
+  }
+
+  const { error } = await supabase
+    .from('license_validation_cache')
+    .delete()
+    .or(filters.join(','));
+
+  if (error) {
+    logger.error('[Cache] Failed to invalidate license cache', error);
+  }
+}
+
+/**
+ * Store an entry in memory, evicting the oldest entry when full
+ */
+function remember(keyHash, data, cachedAt, orderId, sharedExpiresAt = Infinity) {
+  memoryCache.delete(keyHash);
+
+  if (memoryCache.size >= MAX_MEMORY_ENTRIES) {
+    memoryCache.delete(memoryCache.keys().next().value);
+  }
+
+  memoryCache.set(keyHash, {
+    data,
+    cachedAt,
+    orderId,
+    expiresAt: Math.min(Date.now() + MEMORY_TTL_MS, sharedExpiresAt)
+  });
+}
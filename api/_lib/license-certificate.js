@@ -0,0 +1,161 @@
+/**
+ * License Certificate Utilities
+ *
+ * Issues Ed25519-signed license certificates that the WordPress plugin can
+ * verify offline between check-ins, using the key from /api/license-public-key.
+ *
+ * Certificate format: base64url(payload JSON) + '.' + base64url(signature)
+ * The signature covers the exact payload JSON bytes, so the plugin can verify
+ * with sodium_crypto_sign_verify_detached() against the raw public key.
+ *
+ * Environment variables:
+ * - LICENSE_SIGNING_PRIVATE_KEY: Ed25519 private key (PKCS#8 PEM, or base64 DER)
+ * - LICENSE_CERTIFICATE_TTL: Seconds a certificate stays valid (default: 7 days)
+ */
+
+import crypto from 'crypto';
+
+const CERTIFICATE_VERSION = 2;
+const CERTIFICATE_TTL_MS = (parseInt(process.env.LICENSE_CERTIFICATE_TTL, 10) || 604800) * 1000;
+
+let cachedKeys = null;
+
+/**
+ * Load the signing key pair from the environment
+ * @returns {{privateKey: KeyObject, publicKey: KeyObject, keyId: string}|null}
+ */
+function getSigningKeys() {
+  if (cachedKeys) {
+    return cachedKeys;
+  }
+
+  const value = process.env.LICENSE_SIGNING_PRIVATE_KEY;
+
+  if (!value) {
+    return null;
+  }
+
+  const privateKey = value.includes('BEGIN')
+    ? crypto.createPrivateKey(value.replace(/\\n/g, '\n'))
+    : crypto.createPrivateKey({ key: Buffer.from(value, 'base64'), format: 'der', type: 'pkcs8' });
+
+  if (privateKey.asymmetricKeyType !== 'ed25519') {
+    throw new Error('LICENSE_SIGNING_PRIVATE_KEY must be an Ed25519 private key');
+  }
+
+  const publicKey = crypto.createPublicKey(privateKey);
+
+  // Key ID lets the plugin pick the right key after a rotation
+  const keyId = crypto
+    .createHash('sha256')
+    .update(publicKey.export({ type: 'spki', format: 'der' }))
+    .digest('hex')
+    .substring(0, 16);
+
+  cachedKeys = { privateKey, publicKey, keyId };
+  return cachedKeys;
+}
+
+/**
+ * Check whether certificate signing is configured
+ * @returns {boolean}
+ */
+export function isSigningConfigured() {
+  return Boolean(process.env.LICENSE_SIGNING_PRIVATE_KEY);
+}
+
+/**
+ * Issue a signed license certificate
+ *
+ * @param {Object} claims
+ * @param {string|number} claims.license_id - Lemon Squeezy license key ID
+ * @param {string} claims.tier - License tier (e.g. 'pro', 'agency')
+ * @param {string|null} claims.expires_at - License expiry (ISO 8601), null for lifetime
+ * @param {string} claims.site - Normalized site domain the certificate is bound to
+ * @param {string} claims.instance_id - Lemon Squeezy instance ID for the site
+ * @param {string} [claims.environment] - 'production' (default) or 'staging'
+ * @param {Object} claims.entitlements - Features the license unlocks, keyed by slug ({ limit, source, expires_at })
+ * @returns {{certificate: string, key_id: string, algorithm: string, valid_until: string}}
+ */
+export function issueLicenseCertificate(claims) {
+  const keys = getSigningKeys();
+
+  if (!keys) {
+    throw new Error('LICENSE_SIGNING_PRIVATE_KEY environment variable is not configured. This is required for license certificates.');
+  }
+
+  const now = Date.now();
+
+  // A certificate never outlives the license itself
+  let validUntil = now + CERTIFICATE_TTL_MS;
+  if (claims.expires_at) {
+    validUntil = Math.min(validUntil, new Date(claims.expires_at).getTime());
+  }
+
+  const payload = {
+    v: CERTIFICATE_VERSION,
+    kid: keys.keyId,
+    license_id: claims.license_id,
+    tier: claims.tier,
+    expires_at: claims.expires_at || null,
+    site: claims.site,
+    instance_id: claims.instance_id,
+    environment: claims.environment || 'production',
+    entitlements: claims.entitlements || {},
+    issued_at: new Date(now).toISOString(),
+    valid_until: new Date(validUntil).toISOString()
+  };
+
+  const payloadBytes = Buffer.from(JSON.stringify(payload), 'utf-8');
+  const signature = crypto.sign(null, payloadBytes, keys.privateKey);
+
+  return {
+    certificate: payloadBytes.toString('base64url') + '.' + signature.toString('base64url'),
+    key_id: keys.keyId,
+    algorithm: 'Ed25519',
+    valid_until: payload.valid_until
+  };
+}
+
+/**
+ * Issue a certificate for an activation response
+ * Returns null (the activation still succeeds) if signing is not configured or fails
+ *
+ * @param {Object} claims - See issueLicenseCertificate()
+ * @returns {{certificate: string, key_id: string, algorithm: string, valid_until: string}|null}
+ */
+export function buildLicenseCertificate(claims) {
+  if (!isSigningConfigured()) {
+    return null;
+  }
+
+  try {
+    return issueLicenseCertificate(claims);
+  } catch (error) {
+    console.error('License certificate error:', error);
+    return null;
+  }
+}
+
+/**
+ * Get the public verification key in the formats the plugin needs
+ *
+ * @returns {{algorithm: string, key_id: string, public_key_pem: string, public_key: string}}
+ *   public_key is the raw 32-byte key, base64-encoded (for libsodium)
+ */
+export function getPublicKeyInfo() {
+  const keys = getSigningKeys();
+
+  if (!keys) {
+    throw new Error('LICENSE_SIGNING_PRIVATE_KEY environment variable is not configured. This is required for license certificates.');
+  }
+
+  const jwk = keys.publicKey.export({ format: 'jwk' });
+
+  return {
+    algorithm: 'Ed25519',
+    key_id: keys.keyId,
+    public_key_pem: keys.publicKey.export({ type: 'spki', format: 'pem' }),
+    public_key: Buffer.from(jwk.x, 'base64url').toString('base64')
+  };
+}
@@ -0,0 +1,838 @@
+/**
+ * License Ledger
+ *
+ * Local mirror of Lemon Squeezy licenses, activation instances and customers,
+ * stored in Supabase (see database/migrations/002_create_license_ledger.sql).
+ *
+ * - Webhooks and activate/deactivate calls write to the ledger
+ * - Validation reads from the ledger and only calls Lemon Squeezy when a record
+ *   is missing or stale
+ * - If Lemon Squeezy is unreachable, a stale record is still served
+ *
+ * Ledger writes never fail the calling request: the ledger is a mirror, and
+ * Lemon Squeezy remains the source of truth.
+ */
+
+import crypto from 'crypto';
+import supabase from './supabase.js';
+import logger from './logger.js';
+import { normalizeSiteUrl } from './site-identity.js';
+import { validateLicense, LemonSqueezyError, LS_ERROR_TYPES } from './lemon-squeezy.js';
+
+/**
+ * How long a ledger record is trusted before it is refreshed from Lemon Squeezy
+ * Configurable via LICENSE_LEDGER_MAX_AGE (seconds), default 6 hours
+ */
+const LEDGER_MAX_AGE_MS = (parseInt(process.env.LICENSE_LEDGER_MAX_AGE, 10) || 21600) * 1000;
+
+/**
+ * Staging activations only exist in the ledger (they don't use up a Lemon
+ * Squeezy activation), so their instance IDs are generated locally
+ */
+const STAGING_INSTANCE_PREFIX = 'staging_';
+
+/**
+ * Hash a license key for storage and lookup
+ * Full SHA-256 digest - raw keys are never written to the database
+ *
+ * @param {string} licenseKey - Raw license key
+ * @returns {string} 64-character hex digest
+ */
+export function hashLicenseKey(licenseKey) {
+  return crypto
+    .createHash('sha256')
+    .update(licenseKey.trim())
+    .digest('hex');
+}
+
+/**
+ * Check whether a ledger record needs to be refreshed from Lemon Squeezy
+ *
+ * @param {Object} record - Record returned by getLicenseRecord()
+ * @returns {boolean}
+ */
+export function isRecordStale(record) {
+  if (!record?.synced_at) {
+    return true;
+  }
+
+  return Date.now() - new Date(record.synced_at).getTime() > LEDGER_MAX_AGE_MS;
+}
+
+/**
+ * Load a license from the ledger
+ *
+ * Returns the same shape as a Lemon Squeezy validate response
+ * ({ license_key, meta }) so endpoints can treat both sources alike,
+ * plus the ledger's payment_failed_at and synced_at timestamps.
+ *
+ * @param {string} licenseKey - Raw license key
+ * @returns {Promise<Object|null>} License record, or null if not in the ledger
+ */
+export async function getLicenseRecord(licenseKey) {
+  const { data: row, error } = await supabase
+    .from('licenses')
+    .select(`
+      *,
+      customers (
+        name,
+        email
+      ),
+      license_instances (
+        id,
+        name,
+        site_url,
+        environment,
+        created_at,
+        deactivated_at
+      )
+    `)
+    .eq('key_hash', hashLicenseKey(licenseKey))
+    .maybeSingle();
+
+  if (error) {
+    logger.error('[Ledger] Failed to read license', error);
+    return null;
+  }
+
+  if (!row) {
+    return null;
+  }
+
+  const instances = (row.license_instances || [])
+    .filter(instance => !instance.deactivated_at)
+    .map(instance => ({
+      id: instance.id,
+      name: instance.name,
+      site_url: instance.site_url,
+      environment: instance.environment,
+      created_at: instance.created_at
+    }));
+
+  return {
+    license_key: {
+      id: row.id,
+      status: row.status,
+      key_short: row.key_short,
+      activation_limit: row.activation_limit,
+      activation_usage: row.activation_usage,
+      expires_at: row.expires_at
+    },
+    meta: {
+      store_id: row.store_id,
+      order_id: row.order_id,
+      order_item_id: row.order_item_id,
+      product_id: row.product_id,
+      product_name: row.product_name,
+      variant_id: row.variant_id,
+      variant_name: row.variant_name,
+      customer_id: row.customer_id,
+      customer_name: row.customers?.name || '',
+      customer_email: row.customers?.email || '',
+      instances: instances
+    },
+    payment_failed_at: row.payment_failed_at,
+    synced_at: row.synced_at
+  };
+}
+
+/**
+ * Record a Lemon Squeezy validate/activate response in the ledger
+ *
+ * Upserts the customer and license, and - when the response lists instances -
+ * reconciles the license's active instances against it.
+ *
+ * @param {string} licenseKey - Raw license key
+ * @param {Object} lsData - Lemon Squeezy response ({ license_key, meta, instance })
+ */
+export async function recordLicense(licenseKey, lsData) {
+  const license = lsData?.license_key;
+  const meta = lsData?.meta || {};
+
+  if (!license?.id) {
+    return;
+  }
+
+  try {
+    if (meta.customer_id) {
+      await upsertCustomer({
+        id: meta.customer_id,
+        name: meta.customer_name,
+        email: meta.customer_email
+      });
+    }
+
+    const { error } = await supabase
+      .from('licenses')
+      .upsert(withoutUndefined({
+        id: license.id,
+        key_hash: hashLicenseKey(licenseKey),
+        key_short: license.key_short,
+        status: license.status,
+        activation_limit: license.activation_limit,
+        activation_usage: license.activation_usage,
+        expires_at: license.expires_at,
+        customer_id: meta.customer_id,
+        store_id: meta.store_id,
+        order_id: meta.order_id,
+        order_item_id: meta.order_item_id,
+        product_id: meta.product_id,
+        product_name: meta.product_name,
+        variant_id: meta.variant_id,
+        variant_name: meta.variant_name,
+        synced_at: new Date().toISOString()
+      }), { onConflict: 'id' });
+
+    if (error) {
+      logger.error('[Ledger] Failed to upsert license', error);
+      return;
+    }
+
+    if (Array.isArray(meta.instances)) {
+      await syncInstances(license.id, meta.instances);
+    }
+  } catch (error) {
+    logger.error('[Ledger] Failed to record license', error);
+  }
+}
+
+/**
+ * Record a successful activation in the ledger
+ *
+ * @param {string} licenseKey - Raw license key
+ * @param {Object} lsData - Lemon Squeezy activate response
+ * @param {string} siteUrl - Normalized site URL the instance was activated for
+ */
+export async function recordActivation(licenseKey, lsData, siteUrl) {
+  await recordLicense(licenseKey, lsData);
+
+  const licenseId = lsData?.license_key?.id;
+  const instance = lsData?.instance;
+
+  if (!licenseId || !instance?.id) {
+    return;
+  }
+
+  const { error } = await supabase
+    .from('license_instances')
+    .upsert({
+      id: instance.id,
+      license_id: licenseId,
+      name: instance.name,
+      site_url: siteUrl,
+      created_at: instance.created_at || new Date().toISOString(),
+      deactivated_at: null
+    }, { onConflict: 'id' });
+
+  if (error) {
+    logger.error('[Ledger] Failed to record activation', error);
+  }
+}
+
+/**
+ * Record a staging activation in the ledger
+ *
+ * Staging activations are not sent to Lemon Squeezy, so they don't count
+ * towards the license's activation limit.
+ *
+ * @param {number} licenseId - Lemon Squeezy license key ID
+ * @param {string} siteUrl - Normalized site URL being activated
+ * @returns {Promise<Object|null>} The new instance ({ id, name, created_at, environment }), or null on failure
+ */
+export async function recordStagingActivation(licenseId, siteUrl) {
+  const { data, error } = await supabase
+    .from('license_instances')
+    .insert({
+      id: STAGING_INSTANCE_PREFIX + crypto.randomUUID(),
+      license_id: licenseId,
+      name: siteUrl,
+      site_url: siteUrl,
+      environment: 'staging'
+    })
+    .select('id, name, created_at, environment')
+    .single();
+
+  if (error) {
+    logger.error('[Ledger] Failed to record staging activation', error);
+    return null;
+  }
+
+  return data;
+}
+
+/**
+ * Check whether an instance ID belongs to a ledger-only staging activation
+ *
+ * @param {string} instanceId - Instance ID
+ * @returns {boolean}
+ */
+export function isStagingInstanceId(instanceId) {
+  return typeof instanceId === 'string' && instanceId.startsWith(STAGING_INSTANCE_PREFIX);
+}
+
+/**
+ * Get the canonical site identity of an activation instance
+ *
+ * Uses the site_url recorded at activation, falling back to the instance name
+ * (activations are named by site identity).
+ *
+ * @param {Object} instance - Lemon Squeezy or ledger instance ({ name, site_url })
+ * @returns {string|null} Site identity, or null if the instance name isn't a site URL
+ */
+export function getInstanceSite(instance) {
+  return normalizeSiteUrl(instance.site_url || instance.name || '');
+}
+
+/**
+ * Find a site's activation among a license's instances
+ *
+ * Activations made before site identities were introduced were named by the
+ * site name the plugin sent (or a loosely cleaned URL). Those without a
+ * recorded site_url are matched by that name too.
+ *
+ * @param {Object[]} instances - Lemon Squeezy or ledger instances
+ * @param {string} siteUrl - Canonical site identity
+ * @param {string} [siteName] - Site name sent by the plugin
+ * @returns {Object|undefined} The matching instance
+ */
+export function findSiteInstance(instances, siteUrl, siteName = null) {
+  const exactMatch = instances.find(instance => getInstanceSite(instance) === siteUrl);
+
+  if (exactMatch || !siteName) {
+    return exactMatch;
+  }
+
+  const legacyName = siteName.trim().toLowerCase();
+
+  return instances.find(instance =>
+    !instance.site_url && (instance.name || '').trim().toLowerCase() === legacyName
+  );
+}
+
+/**
+ * Record the site an activation belongs to, for instances activated before
+ * the ledger tracked it (see findSiteInstance())
+ *
+ * @param {string} instanceId - Lemon Squeezy instance ID
+ * @param {string} siteUrl - Canonical site identity
+ */
+export async function recordInstanceSite(instanceId, siteUrl) {
+  const { error } = await supabase
+    .from('license_instances')
+    .update({ site_url: siteUrl })
+    .eq('id', instanceId)
+    .is('site_url', null);
+
+  if (error) {
+    logger.error('[Ledger] Failed to record instance site', error);
+  }
+}
+
+/**
+ * Copy the site URLs the ledger recorded onto instances listed by Lemon
+ * Squeezy, which only knows instance names
+ *
+ * @param {Object[]} instances - Lemon Squeezy instances
+ * @param {Object|null} record - Record returned by getLicenseRecord()
+ * @returns {Object[]} Instances with site_url set where the ledger knows it
+ */
+export function withInstanceSites(instances, record) {
+  const siteUrls = new Map(
+    (record?.meta.instances || []).map(instance => [instance.id, instance.site_url])
+  );
+
+  return instances.map(instance => ({
+    ...instance,
+    site_url: instance.site_url || siteUrls.get(instance.id) || null
+  }));
+}
+
+/**
+ * Get an active (not deactivated) instance from the ledger
+ *
+ * @param {string} instanceId - Instance ID
+ * @returns {Promise<Object|null>} { id, license_id, site_url, environment }, or null if not found or deactivated
+ * @throws {Error} If the ledger can't be read
+ */
+export async function getActiveInstance(instanceId) {
+  const { data, error } = await supabase
+    .from('license_instances')
+    .select('id, license_id, site_url, environment')
+    .eq('id', instanceId)
+    .is('deactivated_at', null)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to read license instance: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Record a deactivation in the ledger
+ *
+ * @param {string} instanceId - Lemon Squeezy instance ID
+ */
+export async function recordDeactivation(instanceId) {
+  const { error } = await supabase
+    .from('license_instances')
+    .update({ deactivated_at: new Date().toISOString() })
+    .eq('id', instanceId)
+    .is('deactivated_at', null);
+
+  if (error) {
+    logger.error('[Ledger] Failed to record deactivation', error);
+  }
+}
+
+/**
+ * Record a plugin heartbeat against an activation
+ *
+ * @param {string} instanceId - Instance ID the heartbeat was sent for
+ * @param {Object} heartbeat - { plugin_slug, plugin_version, wp_version, php_version, locale, is_multisite, enabled_modules }
+ * @returns {Promise<string|null>} last_seen_at timestamp, or null if the ledger has no such activation
+ * @throws {Error} If the heartbeat can't be recorded
+ */
+export async function recordHeartbeat(instanceId, heartbeat) {
+  const lastSeenAt = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from('license_instances')
+    .update(withoutUndefined({
+      ...heartbeat,
+      last_seen_at: lastSeenAt
+    }))
+    .eq('id', instanceId)
+    .select('id');
+
+  if (error) {
+    throw new Error(`Failed to record heartbeat: ${error.message}`);
+  }
+
+  return data.length > 0 ? lastSeenAt : null;
+}
+
+/**
+ * Get the environment an activation last reported in its heartbeat
+ *
+ * @param {string} instanceId - Instance ID
+ * @returns {Promise<Object|null>} Heartbeat fields, or null if the site never reported
+ */
+export async function getInstanceHeartbeat(instanceId) {
+  const { data, error } = await supabase
+    .from('license_instances')
+    .select('plugin_slug, plugin_version, wp_version, php_version, locale, is_multisite, enabled_modules, last_seen_at')
+    .eq('id', instanceId)
+    .maybeSingle();
+
+  if (error) {
+    logger.error('[Ledger] Failed to read heartbeat', error);
+    return null;
+  }
+
+  return data?.last_seen_at ? data : null;
+}
+
+/**
+ * Summarize heartbeats from active sites (see license_heartbeat_summary())
+ *
+ * @param {Date} since - Only count sites seen since this time
+ * @returns {Promise<Object>} { active_sites, staging_sites, multisite, plugins, wp_versions, php_versions, locales, modules }
+ * @throws {Error} If the summary query fails
+ */
+export async function getHeartbeatSummary(since) {
+  const { data, error } = await supabase
+    .rpc('license_heartbeat_summary', { since: since.toISOString() });
+
+  if (error) {
+    throw new Error(`Failed to summarize heartbeats: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Claim a transfer between sites, unless the license is in its transfer cooldown
+ *
+ * The cooldown is checked and the transfer recorded (as pending) in one
+ * database call (claim_license_transfer()), so concurrent transfers of the
+ * same license can't both pass it. Finish the claim with completeTransfer()
+ * or failTransfer().
+ *
+ * @param {Object} transfer - { license_id, from_site_url, to_site_url, from_instance_id }
+ * @param {number} cooldownMs - Minimum time between transfers
+ * @returns {Promise<{transfer_id: number|null, last_transfer_at: string}>}
+ *   transfer_id is null if a recent transfer blocks this one (last_transfer_at is then its time)
+ * @throws {Error} If the claim can't be recorded
+ */
+export async function claimTransfer(transfer, cooldownMs) {
+  const { data, error } = await supabase
+    .rpc('claim_license_transfer', {
+      p_license_id: transfer.license_id,
+      p_from_site_url: transfer.from_site_url,
+      p_to_site_url: transfer.to_site_url,
+      p_from_instance_id: transfer.from_instance_id,
+      cooldown_seconds: Math.ceil(cooldownMs / 1000)
+    })
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to claim license transfer: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Mark a claimed transfer as completed
+ *
+ * @param {number} transferId - Transfer ID from claimTransfer()
+ * @param {string} toInstanceId - Lemon Squeezy instance ID of the new site
+ */
+export async function completeTransfer(transferId, toInstanceId) {
+  const { error } = await supabase
+    .from('license_transfers')
+    .update({ status: 'completed', to_instance_id: toInstanceId })
+    .eq('id', transferId);
+
+  if (error) {
+    logger.error('[Ledger] Failed to complete license transfer', error);
+  }
+}
+
+/**
+ * Mark a claimed transfer as failed, so it doesn't count towards the cooldown
+ *
+ * @param {number} transferId - Transfer ID from claimTransfer()
+ */
+export async function failTransfer(transferId) {
+  const { error } = await supabase
+    .from('license_transfers')
+    .update({ status: 'failed' })
+    .eq('id', transferId);
+
+  if (error) {
+    logger.error('[Ledger] Failed to record failed license transfer', error);
+  }
+}
+
+/**
+ * Upsert a license from a license_key_created / license_key_updated webhook
+ *
+ * The webhook payload doesn't carry the variant, so a license first seen here
+ * is left unsynced and gets a full refresh on its next validation.
+ *
+ * @param {Object} data - Webhook `data` object (type "license-keys")
+ */
+export async function recordLicenseKeyEvent(data) {
+  const attributes = data?.attributes || {};
+
+  if (!data?.id || !attributes.key) {
+    return;
+  }
+
+  try {
+    if (attributes.customer_id) {
+      await upsertCustomer({
+        id: attributes.customer_id,
+        name: attributes.user_name,
+        email: attributes.user_email
+      });
+    }
+
+    const { error } = await supabase
+      .from('licenses')
+      .upsert(withoutUndefined({
+        id: Number(data.id),
+        key_hash: hashLicenseKey(attributes.key),
+        key_short: attributes.key_short,
+        status: attributes.status,
+        activation_limit: attributes.activation_limit,
+        activation_usage: attributes.instances_count,
+        expires_at: attributes.expires_at,
+        customer_id: attributes.customer_id,
+        store_id: attributes.store_id,
+        order_id: attributes.order_id,
+        order_item_id: attributes.order_item_id,
+        product_id: attributes.product_id
+      }), { onConflict: 'id' });
+
+    if (error) {
+      logger.error('[Ledger] Failed to record license key event', error);
+    }
+  } catch (error) {
+    logger.error('[Ledger] Failed to record license key event', error);
+  }
+}
+
+/**
+ * Record a subscription webhook against the order's licenses
+ *
+ * Subscription changes can move expiry dates and statuses, so the affected
+ * licenses are also marked for a full refresh. Payment events carry a
+ * subscription invoice rather than the subscription itself, and are matched
+ * by subscription ID instead of order ID.
+ *
+ * @param {Object} data - Webhook `data` object ("subscriptions" or "subscription-invoices")
+ */
+export async function recordSubscriptionEvent(data) {
+  const attributes = data?.attributes || {};
+
+  if (attributes.customer_id) {
+    await upsertCustomer({
+      id: attributes.customer_id,
+      name: attributes.user_name,
+      email: attributes.user_email
+    });
+  }
+
+  let query;
+
+  if (data?.type === 'subscription-invoices') {
+    if (!attributes.subscription_id) {
+      return;
+    }
+
+    query = supabase
+      .from('licenses')
+      .update({ synced_at: null })
+      .eq('subscription_id', attributes.subscription_id);
+  } else {
+    if (!attributes.order_id) {
+      return;
+    }
+
+    query = supabase
+      .from('licenses')
+      .update({
+        subscription_id: Number(data.id),
+        subscription_status: attributes.status,
+        synced_at: null
+      })
+      .eq('order_id', attributes.order_id);
+  }
+
+  const { error } = await query;
+
+  if (error) {
+    logger.error('[Ledger] Failed to record subscription event', error);
+  }
+}
+
+/**
+ * Record a subscription payment result against the subscription's licenses
+ *
+ * The first failure starts the grace period; retries that fail again don't
+ * extend it. A successful payment clears it.
+ *
+ * @param {Object} data - Webhook `data` object (type "subscription-invoices")
+ * @param {boolean} failed - Whether the payment failed
+ */
+export async function recordPaymentResult(data, failed) {
+  const subscriptionId = data?.attributes?.subscription_id;
+
+  if (!subscriptionId) {
+    return;
+  }
+
+  let query = supabase
+    .from('licenses')
+    .update({ payment_failed_at: failed ? new Date().toISOString() : null })
+    .eq('subscription_id', subscriptionId);
+
+  if (failed) {
+    query = query.is('payment_failed_at', null);
+  }
+
+  const { error } = await query;
+
+  if (error) {
+    logger.error('[Ledger] Failed to record payment result', error);
+  }
+}
+
+/**
+ * Find the order a subscription's licenses belong to
+ *
+ * @param {number|string} subscriptionId - Lemon Squeezy subscription ID
+ * @returns {Promise<number|null>} Order ID, or null if no ledger license has the subscription
+ */
+export async function getSubscriptionOrderId(subscriptionId) {
+  if (!subscriptionId) {
+    return null;
+  }
+
+  const { data, error } = await supabase
+    .from('licenses')
+    .select('order_id')
+    .eq('subscription_id', subscriptionId)
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    logger.error('[Ledger] Failed to look up subscription order', error);
+    return null;
+  }
+
+  return data?.order_id || null;
+}
+
+/**
+ * Mark every license on an order for a full refresh (e.g. after a refund)
+ *
+ * @param {number|string} orderId - Lemon Squeezy order ID
+ */
+export async function markOrderStale(orderId) {
+  if (!orderId) {
+    return;
+  }
+
+  const { error } = await supabase
+    .from('licenses')
+    .update({ synced_at: null })
+    .eq('order_id', orderId);
+
+  if (error) {
+    logger.error('[Ledger] Failed to mark order licenses stale', error);
+  }
+}
+
+/**
+ * Upsert a customer record
+ *
+ * @param {Object} customer - { id, name, email }
+ */
+export async function upsertCustomer(customer) {
+  if (!customer?.id) {
+    return;
+  }
+
+  const { error } = await supabase
+    .from('customers')
+    .upsert(withoutUndefined({
+      id: customer.id,
+      name: customer.name || undefined,
+      email: customer.email || undefined
+    }), { onConflict: 'id' });
+
+  if (error) {
+    logger.error('[Ledger] Failed to upsert customer', error);
+  }
+}
+
+/**
+ * Resolve a license for validation
+ *
+ * Serves fresh ledger records directly. Otherwise refreshes from Lemon Squeezy,
+ * falling back to the stale record if Lemon Squeezy can't be reached.
+ *
+ * @param {string} licenseKey - Raw license key
+ * @param {Object} [options]
+ * @param {number} [options.deadline] - Request deadline for Lemon Squeezy calls (see createDeadline())
+ * @returns {Promise<{status: string, source: string|null, data: Object|null}>}
+ *   status is 'ok', 'invalid' (Lemon Squeezy rejected the key) or
+ *   'unavailable' (Lemon Squeezy unreachable and nothing in the ledger)
+ */
+export async function resolveLicense(licenseKey, options = {}) {
+  const record = await getLicenseRecord(licenseKey);
+
+  if (record && !isRecordStale(record)) {
+    return { status: 'ok', source: 'ledger', data: record };
+  }
+
+  let lsData;
+
+  try {
+    lsData = await validateLicense(licenseKey, { includeInstances: true, deadline: options.deadline });
+  } catch (error) {
+    if (!(error instanceof LemonSqueezyError)) {
+      throw error;
+    }
+
+    if (error.type === LS_ERROR_TYPES.INVALID) {
+      return { status: 'invalid', source: 'lemon_squeezy', data: null };
+    }
+
+    logger.error('[Ledger] Lemon Squeezy request failed', error);
+  }
+
+  if (lsData) {
+    await recordLicense(licenseKey, lsData);
+
+    // Payment failures are only known from webhooks - carry them over
+    lsData.payment_failed_at = record?.payment_failed_at || null;
+
+    // Staging activations only live in the ledger - carry them over, along
+    // with the sites production instances were activated for
+    const stagingInstances = (record?.meta.instances || [])
+      .filter(instance => instance.environment === 'staging');
+
+    lsData.meta = {
+      ...lsData.meta,
+      instances: [...withInstanceSites(lsData.meta?.instances || [], record), ...stagingInstances]
+    };
+
+    return { status: 'ok', source: 'lemon_squeezy', data: lsData };
+  }
+
+  if (record) {
+    logger.warn('[Ledger] Lemon Squeezy unavailable, serving stale ledger record');
+    return { status: 'ok', source: 'ledger_stale', data: record };
+  }
+
+  return { status: 'unavailable', source: null, data: null };
+}
+
+/**
+ * Sync a license's active instances with the list Lemon Squeezy returned
+ */
+async function syncInstances(licenseId, instances) {
+  const now = new Date().toISOString();
+  const instanceIds = instances.map(instance => instance.id).filter(Boolean);
+
+  if (instanceIds.length > 0) {
+    const { error } = await supabase
+      .from('license_instances')
+      .upsert(instances.filter(instance => instance.id).map(instance => ({
+        id: instance.id,
+        license_id: licenseId,
+        name: instance.name,
+        created_at: instance.created_at || now,
+        deactivated_at: null
+      })), { onConflict: 'id' });
+
+    if (error) {
+      logger.error('[Ledger] Failed to sync instances', error);
+      return;
+    }
+  }
+
+  // Anything Lemon Squeezy no longer lists has been deactivated
+  // (staging instances are ledger-only and never listed)
+  let query = supabase
+    .from('license_instances')
+    .update({ deactivated_at: now })
+    .eq('license_id', licenseId)
+    .eq('environment', 'production')
+    .is('deactivated_at', null);
+
+  if (instanceIds.length > 0) {
+    query = query.not('id', 'in', `(${instanceIds.map(id => `"${id}"`).join(',')})`);
+  }
+
+  const { error } = await query;
+
+  if (error) {
+    logger.error('[Ledger] Failed to reconcile instances', error);
+  }
+}
+
+/**
+ * Drop undefined values so upserts don't overwrite columns with NULL
+ */
+function withoutUndefined(record) {
+  return Object.fromEntries(
+    Object.entries(record).filter(([, value]) => value !== undefined)
+  );
+}
@@ -0,0 +1,107 @@
+/**
+ * Plugin Releases
+ *
+ * Latest release of each plugin, shared by the update check (which checks
+ * requires_php/tested_up_to against the site's last heartbeat) and the
+ * heartbeat summary (which reports how many sites each release's
+ * requires_php/tested_up_to would affect).
+ */
+
+/**
+ * Latest available version of each plugin
+ * In production, you'd store this in a database or config file
+ */
+export const PLUGIN_VERSIONS = {
+  'bookpeek-pro': {
+    version: '1.0.0',
+    tested_up_to: '6.4',
+    requires_php: '7.0',
+    changelog: `
+### Version 1.0.0 - 2026-02-15
+
+**New Features:**
+- Launch Countdown Manager
+- Landing Page Generator
+- Series Tracker
+- Event Manager
+- Reader Magnets
+- Book Links Hub
+- Goodreads Integration
+
+**Improvements:**
+- Enhanced performance
+- Better mobile responsiveness
+- Improved admin UI
+
+**Bug Fixes:**
+- Fixed timezone handling in countdowns
+- Resolved schema markup validation issues
+`,
+    download_url: 'https://bookpeek.club/downloads/bookpeek-pro-1.0.0.zip'
+  },
+  'bookpeek-agency': {
+    version: '1.0.0',
+    tested_up_to: '6.4',
+    requires_php: '7.0',
+    changelog: `
+### Version 1.0.0 - 2026-02-15
+
+**New Features:**
+- All Pro features
+- Unlimited site activations
+- Priority support
+- Advanced analytics
+- White-label options
+
+**Improvements:**
+- Multi-site network support
+- Enhanced performance
+`,
+    download_url: 'https://bookpeek.club/downloads/bookpeek-agency-1.0.0.zip'
+  }
+};
+
+/**
+ * Compare two semantic versions
+ * Returns: -1 if v1 < v2, 0 if equal, 1 if v1 > v2
+ */
+export function compareVersions(v1, v2) {
+  const parts1 = v1.split('.').map(Number);
+  const parts2 = v2.split('.').map(Number);
+
+  for (let i = 0; i < Math.max(parts1.length, parts2.length); i++) {
+    const part1 = parts1[i] || 0;
+    const part2 = parts2[i] || 0;
+
+    if (part1 < part2) return -1;
+    if (part1 > part2) return 1;
+  }
+
+  return 0;
+}
+
+/**
+ * Check a release against the environment a site last reported in its heartbeat
+ *
+ * WordPress versions are compared to the precision of tested_up_to, so a
+ * release tested up to 6.4 counts as tested on 6.4.3.
+ *
+ * @param {Object} release - Entry from PLUGIN_VERSIONS
+ * @param {Object|null} heartbeat - { php_version, wp_version } (see getInstanceHeartbeat())
+ * @returns {{php_version: string|null, php_supported: boolean|null, wp_version: string|null, wp_tested: boolean|null}}
+ *   php_supported/wp_tested are null when the site never reported that version
+ */
+export function checkReleaseCompatibility(release, heartbeat) {
+  const phpVersion = heartbeat?.php_version?.match(/^\d+(\.\d+)*/)?.[0] || null;
+  const wpVersion = heartbeat?.wp_version?.match(/^\d+(\.\d+)*/)?.[0] || null;
+  const testedParts = release.tested_up_to.split('.').length;
+
+  return {
+    php_version: phpVersion,
+    php_supported: phpVersion ? compareVersions(phpVersion, release.requires_php) >= 0 : null,
+    wp_version: wpVersion,
+    wp_tested: wpVersion
+      ? compareVersions(wpVersion.split('.').slice(0, testedParts).join('.'), release.tested_up_to) <= 0
+      : null
+  };
+}
@@ -0,0 +1,157 @@
+/**
+ * Product Catalog
+ *
+ * Resolves a license's tier, activation limit, plugin and feature entitlements
+ * from its Lemon Squeezy product and variant IDs, using the product_catalog
+ * table (see database/migrations/006_create_product_catalog.sql).
+ *
+ * Lookup order: exact variant entry, then product-wide entry (variant_id NULL),
+ * then a default product picked by variant name. An activation_limit of null
+ * means unlimited.
+ *
+ * The catalog is cached in memory for PRODUCT_CATALOG_CACHE_TTL seconds
+ * (default 5 minutes), so catalog edits go live without a deploy.
+ */
+
+import supabase from './supabase.js';
+import logger from './logger.js';
+
+const CATALOG_CACHE_TTL_MS = (parseInt(process.env.PRODUCT_CATALOG_CACHE_TTL, 10) || 300) * 1000;
+
+// max_activations/sites_remaining reported for unlimited products (plugins compare them as numbers)
+export const UNLIMITED_ACTIVATIONS = 999999;
+
+const PRO_ENTITLEMENTS = [
+  'launch-countdown',
+  'landing-pages',
+  'series-tracker',
+  'event-manager',
+  'reader-magnets',
+  'book-links-hub',
+  'goodreads'
+];
+
+/**
+ * Fallbacks for products missing from the catalog, picked by variant name as
+ * before the catalog existed: "Agency" variants are unlimited Agency licenses,
+ * anything else a single-site Pro license
+ */
+const DEFAULT_PRODUCT = {
+  tier: 'pro',
+  tier_name: 'Pro',
+  activation_limit: 1,
+  plugin_slug: 'bookpeek-pro',
+  entitlements: PRO_ENTITLEMENTS,
+  feature_limits: {},
+  grace_period_days: 7
+};
+
+const DEFAULT_AGENCY_PRODUCT = {
+  tier: 'agency',
+  tier_name: 'Agency',
+  activation_limit: null,
+  plugin_slug: 'bookpeek-agency',
+  entitlements: [...PRO_ENTITLEMENTS, 'advanced-analytics', 'white-label', 'multisite'],
+  feature_limits: {},
+  grace_period_days: 7
+};
+
+let catalogCache = null;
+let catalogLoadedAt = 0;
+
+/**
+ * Load the active catalog entries
+ *
+ * Serves the last good copy if Supabase can't be reached.
+ *
+ * @returns {Promise<Array<Object>>} Catalog rows
+ */
+export async function getProductCatalog() {
+  if (catalogCache && Date.now() - catalogLoadedAt < CATALOG_CACHE_TTL_MS) {
+    return catalogCache;
+  }
+
+  const { data, error } = await supabase
+    .from('product_catalog')
+    .select('product_id, variant_id, tier, tier_name, activation_limit, plugin_slug, entitlements, feature_limits, grace_period_days')
+    .eq('is_active', true);
+
+  if (error) {
+    logger.error('[Catalog] Failed to load product catalog', error);
+    return catalogCache || [];
+  }
+
+  catalogCache = data || [];
+  catalogLoadedAt = Date.now();
+  return catalogCache;
+}
+
+/**
+ * Resolve the catalog entry for a license
+ *
+ * @param {Object} lsData - Lemon Squeezy validate response or ledger record ({ license_key, meta })
+ * @returns {Promise<{tier: string, tier_name: string, activation_limit: number|null, plugin_slug: string, entitlements: Array<string>, feature_limits: Object<string, number>, grace_period_days: number, from_catalog: boolean}>}
+ *   from_catalog is false when the product isn't in the catalog and a default was used
+ */
+export async function resolveProduct(lsData) {
+  const meta = lsData?.meta || {};
+  const productId = Number(meta.product_id) || null;
+  const variantId = Number(meta.variant_id) || null;
+
+  const catalog = await getProductCatalog();
+
+  const entry =
+    catalog.find(row => variantId && Number(row.variant_id) === variantId) ||
+    catalog.find(row => productId && Number(row.product_id) === productId && row.variant_id === null);
+
+  if (entry) {
+    return {
+      tier: entry.tier,
+      tier_name: entry.tier_name,
+      activation_limit: entry.activation_limit,
+      plugin_slug: entry.plugin_slug,
+      entitlements: entry.entitlements || [],
+      feature_limits: entry.feature_limits || {},
+      grace_period_days: entry.grace_period_days ?? DEFAULT_PRODUCT.grace_period_days,
+      from_catalog: true
+    };
+  }
+
+  logger.warn(`[Catalog] No catalog entry for product ${productId}, variant ${variantId} - using default product`);
+
+  if ((meta.variant_name || '').toLowerCase().includes('agency')) {
+    return { ...DEFAULT_AGENCY_PRODUCT, from_catalog: false };
+  }
+
+  // Lemon Squeezy enforces its own activation limit, so prefer it over the default
+  return {
+    ...DEFAULT_PRODUCT,
+    activation_limit: lsData?.license_key?.activation_limit || DEFAULT_PRODUCT.activation_limit,
+    from_catalog: false
+  };
+}
+
+/**
+ * Number of production sites a product can be activated on, as reported to the plugin
+ *
+ * @param {Object} product - Entry from resolveProduct()
+ * @returns {number} Activation limit, or UNLIMITED_ACTIVATIONS if unlimited
+ */
+export function getMaxActivations(product) {
+  return product.activation_limit ?? UNLIMITED_ACTIVATIONS;
+}
+
+/**
+ * Number of production sites a product can still be activated on
+ *
+ * @param {Object} product - Entry from resolveProduct()
+ * @param {number} activeCount - Production sites currently activated
+ * @returns {number} Sites remaining, or UNLIMITED_ACTIVATIONS if unlimited
+ */
+export function getSitesRemaining(product, activeCount) {
+  if (product.activation_limit === null) {
+    return UNLIMITED_ACTIVATIONS;
+  }
+
+  return Math.max(0, product.activation_limit - activeCount);
+}
@@ -0,0 +1,295 @@
+/**
+ * Request Signing
+ *
+ * HMAC signing of plugin requests with a per-activation shared secret, so the
+ * API doesn't have to rely on a raw license key in the body alone.
+ *
+ * Activation returns a `signing_secret` for the instance. The plugin then signs
+ * each request:
+ *
+ *   Authorization: BookPeek-HMAC-SHA256 instance="<instance_id>", timestamp="<unix seconds>", signature="<hex>"
+ *
+ *   signature = HMAC-SHA256(signing_secret,
+ *     METHOD + "\n" + PATH + "\n" + TIMESTAMP + "\n" + SHA256_HEX(raw body))
+ *
+ * PATH is the request path including any query string, e.g. /api/validate-license.
+ *
+ * - Secrets are derived from REQUEST_SIGNING_SECRET and the instance ID, so no
+ *   secret is stored. The instance must still be active in the license ledger,
+ *   which revokes a deactivated site's secret.
+ * - Timestamps more than REQUEST_SIGNATURE_WINDOW seconds from server time are
+ *   rejected, and a signature is accepted only once within the window (tracked
+ *   per serverless instance).
+ *
+ * Endpoints opt in with withRequestSigning(). Unsigned requests are still let
+ * through unless the endpoint passes `required: true` or REQUIRE_SIGNED_REQUESTS
+ * is "true", so plugin versions that don't sign keep working during rollout.
+ *
+ * The body hash is taken over the raw bytes read from the request stream.
+ * Vercel's Node.js runtime buffers the body for its req.body helper and then
+ * replays it to the stream's 'data'/'end' listeners, so the stream still
+ * yields the exact bytes the plugin sent (`config.api.bodyParser` is a Next.js
+ * option and has no effect on plain functions).
+ */
+
+import crypto from 'crypto';
+import { setCorsHeaders, setSecurityHeaders, logSecurityEvent } from './security.js';
+import { getActiveInstance } from './license-ledger.js';
+import {
+  createErrorResponse,
+  unauthorizedError,
+  sendError,
+  ERROR_CODES,
+  HTTP_STATUS
+} from './errors.js';
+
+const SCHEME = 'BookPeek-HMAC-SHA256';
+const SIGNATURE_WINDOW_MS = (parseInt(process.env.REQUEST_SIGNATURE_WINDOW, 10) || 300) * 1000;
+const REQUIRE_BY_DEFAULT = process.env.REQUIRE_SIGNED_REQUESTS === 'true';
+
+/**
+ * Check whether request signing is configured
+ *
+ * @returns {boolean}
+ */
+export function isRequestSigningConfigured() {
+  return Boolean(process.env.REQUEST_SIGNING_SECRET);
+}
+
+/**
+ * Get the shared signing secret for an activation
+ *
+ * @param {string} instanceId - Instance ID
+ * @returns {string|null} Hex secret, or null if signing is not configured
+ */
+export function getSigningSecret(instanceId) {
+  if (!isRequestSigningConfigured() || !instanceId) {
+    return null;
+  }
+
+  return crypto
+    .createHmac('sha256', process.env.REQUEST_SIGNING_SECRET)
+    .update(`instance:${instanceId}`)
+    .digest('hex');
+}
+
+/**
+ * Wrap an endpoint handler with request signature verification
+ *
+ * The wrapped handler receives the parsed JSON body in req.body and, for signed
+ * requests, the verified activation in req.signature ({ instance_id, license_id,
+ * site_url }). req.signature is null for unsigned requests.
+ *
+ * @param {Function} handler - Endpoint handler (req, res)
+ * @param {Object} [options]
+ * @param {boolean} [options.required] - Reject unsigned requests (default: REQUIRE_SIGNED_REQUESTS)
+ * @returns {Function} Vercel handler
+ */
+export function withRequestSigning(handler, options = {}) {
+  const required = options.required ?? REQUIRE_BY_DEFAULT;
+
+  return async function signedHandler(req, res) {
+    if (req.method === 'OPTIONS') {
+      return handler(req, res);
+    }
+
+    const clientIp = req.headers['x-forwarded-for']?.split(',')[0] || req.headers['x-real-ip'] || 'unknown';
+    let rawBody;
+
+    try {
+      rawBody = await getRawBody(req);
+    } catch (error) {
+      // Client aborted or the stream failed
+      return sendRejection(req, res, HTTP_STATUS.BAD_REQUEST, createErrorResponse(
+        'Failed to read request body',
+        ERROR_CODES.INVALID_INPUT
+      ));
+    }
+
+    try {
+      req.body = rawBody ? JSON.parse(rawBody) : {};
+    } catch (e) {
+      return sendRejection(req, res, HTTP_STATUS.BAD_REQUEST, createErrorResponse(
+        'Request body must be valid JSON',
+        ERROR_CODES.INVALID_INPUT
+      ));
+    }
+
+    req.signature = null;
+
+    const header = req.headers.authorization || '';
+    const isSigned = header.startsWith(`${SCHEME} `);
+
+    if (!isSigned) {
+      if (!required) {
+        return handler(req, res);
+      }
+
+      logSecurityEvent('request_signature_missing', { ip: clientIp, path: req.url });
+
+      return sendRejection(req, res, HTTP_STATUS.UNAUTHORIZED, unauthorizedError('Signed request required'));
+    }
+
+    if (!isRequestSigningConfigured()) {
+      // Signed requests can't be checked, so they can't be trusted either
+      if (!required) {
+        return handler(req, res);
+      }
+
+      return sendRejection(req, res, HTTP_STATUS.INTERNAL_ERROR, createErrorResponse(
+        'Request signing not configured',
+        ERROR_CODES.INTERNAL_ERROR
+      ));
+    }
+
+    let result;
+
+    try {
+      result = await verifyRequestSignature(req, rawBody);
+    } catch (error) {
+      console.error('Request signature verification error:', error);
+
+      return sendRejection(req, res, HTTP_STATUS.SERVICE_UNAVAILABLE, createErrorResponse(
+        'Request verification temporarily unavailable. Please try again later.',
+        ERROR_CODES.SERVICE_UNAVAILABLE
+      ));
+    }
+
+    if (!result.valid) {
+      logSecurityEvent('request_signature_invalid', {
+        ip: clientIp,
+        path: req.url,
+        reason: result.error
+      });
+
+      return sendRejection(req, res, HTTP_STATUS.UNAUTHORIZED, unauthorizedError(result.error));
+    }
+
+    req.signature = result.signature;
+
+    return handler(req, res);
+  };
+}
+
+/**
+ * Verify a signed request
+ *
+ * @param {Object} req - Request with an Authorization header
+ * @param {string} rawBody - Raw request body
+ * @returns {Promise<{valid: boolean, signature?: Object, error?: string}>}
+ * @throws {Error} If the license ledger can't be read
+ */
+export async function verifyRequestSignature(req, rawBody) {
+  const params = parseAuthorization(req.headers.authorization || '');
+  const instanceId = params.instance;
+  const timestamp = Number(params.timestamp);
+
+  if (!instanceId || instanceId.length > 100 || !Number.isInteger(timestamp) || !/^[0-9a-f]{64}$/.test(params.signature || '')) {
+    return { valid: false, error: 'Malformed request signature' };
+  }
+
+  if (Math.abs(Date.now() - timestamp * 1000) > SIGNATURE_WINDOW_MS) {
+    return { valid: false, error: 'Request timestamp outside the allowed window' };
+  }
+
+  const bodyHash = crypto.createHash('sha256').update(rawBody || '').digest('hex');
+  const canonical = [req.method.toUpperCase(), req.url, timestamp, bodyHash].join('\n');
+
+  const expected = crypto
+    .createHmac('sha256', getSigningSecret(instanceId))
+    .update(canonical)
+    .digest();
+
+  if (!crypto.timingSafeEqual(Buffer.from(params.signature, 'hex'), expected)) {
+    return { valid: false, error: 'Invalid request signature' };
+  }
+
+  const instance = await getActiveInstance(instanceId);
+
+  if (!instance) {
+    return { valid: false, error: 'Activation not found or deactivated' };
+  }
+
+  if (isReplay(params.signature, timestamp)) {
+    return { valid: false, error: 'Request signature already used' };
+  }
+
+  return {
+    valid: true,
+    signature: {
+      instance_id: instance.id,
+      license_id: instance.license_id,
+      site_url: instance.site_url
+    }
+  };
+}
+
+/**
+ * Parse `BookPeek-HMAC-SHA256 key="value", ...` into { key: value }
+ */
+function parseAuthorization(header) {
+  const params = {};
+  const pattern = /(\w+)="([^"]*)"/g;
+  let match;
+
+  while ((match = pattern.exec(header.substring(SCHEME.length))) !== null) {
+    params[match[1]] = match[2];
+  }
+
+  return params;
+}
+
+/**
+ * Remember signatures until their timestamp leaves the window
+ */
+const seenSignatures = new Map();
+
+function isReplay(signature, timestamp) {
+  const now = Date.now();
+
+  if (seenSignatures.size > 10000) {
+    for (const [key, expiresAt] of seenSignatures.entries()) {
+      if (expiresAt < now) {
+        seenSignatures.delete(key);
+      }
+    }
+  }
+
+  const expiresAt = seenSignatures.get(signature);
+
+  if (expiresAt && expiresAt >= now) {
+    return true;
+  }
+
+  seenSignatures.set(signature, timestamp * 1000 + SIGNATURE_WINDOW_MS);
+  return false;
+}
+
+/**
+ * Send a rejection with the headers the endpoint would have set
+ */
+function sendRejection(req, res, status, body) {
+  setSecurityHeaders(res);
+  setCorsHeaders(req, res);
+
+  return sendError(res, status, body);
+}
+
+/**
+ * Read the raw request body
+ * Chunks are joined before decoding, so multi-byte characters split across
+ * chunks survive intact.
+ */
+async function getRawBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => {
+      chunks.push(Buffer.from(chunk));
+    });
+    req.on('end', () => {
+      resolve(Buffer.concat(chunks).toString('utf-8'));
+    });
+    req.on('error', reject);
+    req.on('aborted', () => reject(new Error('Request aborted')));
+  });
+}
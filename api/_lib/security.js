@@ -4,10 +4,12 @@
  */
 
 import crypto from 'crypto';
+import { normalizeSiteUrl } from './site-identity.js';
 
 /**
  * Allowed origins for CORS
- * WordPress sites will be validated via license key, not CORS
+ * WordPress sites are authenticated by license key and request signature
+ * (see request-signing.js), not CORS
  */
 const ALLOWED_ORIGINS = [
   'https://bookpeek.club',
@@ -154,24 +156,15 @@ export function validateInput(data, schema) {
     }
 
     if (rules.type === 'url') {
-      try {
-        // Basic URL sanitization
-        const cleaned = value
-          .replace(/^https?:\/\//, '')
-          .replace(/^www\./, '')
-          .replace(/\/$/, '')
-          .toLowerCase()
-          .trim();
-
-        if (cleaned.length === 0 || cleaned.length > 255) {
-          errors.push(`${field} must be a valid URL`);
-          continue;
-        }
-
-        sanitized[field] = cleaned;
-      } catch (e) {
+      // Canonical site identity (see site-identity.js)
+      const identity = normalizeSiteUrl(value);
+
+      if (!identity) {
         errors.push(`${field} must be a valid URL`);
+        continue;
       }
+
+      sanitized[field] = identity;
     }
   }
 
@@ -253,6 +246,24 @@ export function verifySecureToken(token) {
   }
 }
 
+/**
+ * Verify an admin API request
+ * Expects "Authorization: Bearer <ADMIN_API_KEY>"
+ */
+export function verifyAdminRequest(req) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  const header = req.headers.authorization || '';
+
+  if (!adminKey || !header.startsWith('Bearer ')) {
+    return false;
+  }
+
+  const provided = crypto.createHash('sha256').update(header.substring(7)).digest();
+  const expected = crypto.createHash('sha256').update(adminKey).digest();
+
+  return crypto.timingSafeEqual(provided, expected);
+}
+
 /**
  * Hash sensitive data (for logging without exposing)
  */
@@ -0,0 +1,207 @@
+/**
+ * Site Identity Utilities
+ *
+ * Turns any site URL into a canonical identity so every endpoint (license
+ * activation, validation, deactivation, update checks and the bookshelf)
+ * agrees on what "the same site" means.
+ *
+ * Identity format: host[/path]
+ * - Scheme, "www.", ports, query strings and fragments are dropped
+ * - Hostnames are lowercased and IDNs converted to punycode
+ * - The path is kept, so WordPress subdirectory installs and multisite
+ *   subdirectory subsites stay distinct (example.com/blog)
+ * - WordPress endpoints (wp-admin, wp-login.php, wp-json, ...) and trailing
+ *   slashes are trimmed off the path
+ *
+ * Examples:
+ *   https://www.Example.com:8443/          -> example.com
+ *   http://example.com/blog/wp-admin/      -> example.com/blog
+ *   https://bücher.de                      -> xn--bcher-kva.de
+ */
+
+/**
+ * WordPress paths that are never part of a site's home URL
+ */
+const WORDPRESS_PATH_PATTERN = /\/(wp-admin|wp-login\.php|wp-json|wp-content|wp-includes|xmlrpc\.php|index\.php)(\/.*)?$/i;
+
+const MAX_IDENTITY_LENGTH = 255;
+
+/**
+ * Hostname patterns for local development and staging sites
+ * "*" matches one or more characters. Extend with STAGING_SITE_PATTERNS
+ * (comma-separated, e.g. "*.mystaging.host,preview.*").
+ *
+ * Prefix patterns ("staging.*") only match subdomains - hosts with at least
+ * three labels - so production domains like dev.to aren't staging.
+ */
+const DEFAULT_STAGING_PATTERNS = [
+  'localhost',
+  '127.0.0.1',
+  '*.localhost',
+  '*.local',
+  '*.test',
+  '*.example',
+  '*.invalid',
+  'staging.*',
+  'stage.*',
+  'dev.*',
+  '*.staging.*',
+  '*.wpengine.com',
+  '*.wpenginepowered.com',
+  '*.kinsta.cloud',
+  '*.flywheelsites.com',
+  '*.pantheonsite.io',
+  '*.cloudwaysapps.com',
+  '*.instawp.xyz',
+  '*.tastewp.com',
+  '*.ddev.site',
+  '*.lndo.site'
+];
+
+const STAGING_PATTERNS = [
+  ...DEFAULT_STAGING_PATTERNS,
+  ...(process.env.STAGING_SITE_PATTERNS || '')
+    .split(',')
+    .map(pattern => pattern.trim().toLowerCase())
+    .filter(Boolean)
+].map(pattern => ({
+  regex: new RegExp(
+    '^' + pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.+') + '$'
+  ),
+  subdomainsOnly: pattern.endsWith('.*')
+}));
+
+/**
+ * Parse a site URL into its canonical identity
+ *
+ * @param {string} input - Site URL, with or without scheme
+ * @returns {{identity: string, host: string, path: string, home_url: string}|null}
+ *   home_url keeps the original scheme, host and any non-default port, for building links.
+ *   Returns null if the input is not a usable site URL.
+ */
+export function parseSiteIdentity(input) {
+  if (typeof input !== 'string') {
+    return null;
+  }
+
+  let value = input.trim();
+
+  if (value.length === 0 || /\s/.test(value)) {
+    return null;
+  }
+
+  if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(value)) {
+    value = `https://${value}`;
+  }
+
+  let url;
+  try {
+    // URL lowercases the host and converts IDNs to punycode
+    url = new URL(value);
+  } catch (e) {
+    return null;
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return null;
+  }
+
+  const host = url.hostname
+    .replace(/\.$/, '')
+    .replace(/^www\./, '');
+
+  if (!isValidHost(host)) {
+    return null;
+  }
+
+  const homePath = url.pathname
+    .replace(/\/{2,}/g, '/')
+    .replace(WORDPRESS_PATH_PATTERN, '')
+    .replace(/\/+$/, '');
+
+  const path = homePath.toLowerCase();
+  const identity = host + path;
+
+  if (identity.length > MAX_IDENTITY_LENGTH) {
+    return null;
+  }
+
+  return {
+    identity,
+    host,
+    path,
+    home_url: `${url.protocol}//${url.hostname.replace(/\.$/, '')}${url.port ? `:${url.port}` : ''}${homePath}`
+  };
+}
+
+/**
+ * Normalize a site URL to its canonical identity string
+ *
+ * @param {string} input - Site URL, with or without scheme
+ * @returns {string|null} Identity (e.g. "example.com/blog"), or null if invalid
+ */
+export function normalizeSiteUrl(input) {
+  return parseSiteIdentity(input)?.identity || null;
+}
+
+/**
+ * Check whether two site URLs refer to the same site
+ *
+ * Exact identity match - "book.com" does not match "ebook.com", and
+ * "example.com" does not match the subsite "example.com/blog".
+ *
+ * @param {string} a - Site URL or identity
+ * @param {string} b - Site URL or identity
+ * @returns {boolean}
+ */
+export function isSameSite(a, b) {
+  const identityA = normalizeSiteUrl(a);
+  return identityA !== null && identityA === normalizeSiteUrl(b);
+}
+
+/**
+ * Classify a site as a staging/development or production environment
+ *
+ * Matches the site's host against the staging patterns. Private network
+ * addresses are always treated as staging.
+ *
+ * @param {string} input - Site URL or identity
+ * @returns {string} 'staging' or 'production'
+ */
+export function getSiteEnvironment(input) {
+  const site = parseSiteIdentity(input);
+
+  if (!site) {
+    return 'production';
+  }
+
+  const isPrivateAddress = /^(10|127)\.|^192\.168\.|^172\.(1[6-9]|2\d|3[01])\.|^\[/.test(site.host);
+  const labelCount = site.host.split('.').length;
+
+  const matchesPattern = STAGING_PATTERNS.some(({ regex, subdomainsOnly }) =>
+    (!subdomainsOnly || labelCount >= 3) && regex.test(site.host)
+  );
+
+  if (isPrivateAddress || matchesPattern) {
+    return 'staging';
+  }
+
+  return 'production';
+}
+
+/**
+ * Hostname sanity check: localhost, an IP address, or dotted labels
+ */
+function isValidHost(host) {
+  if (!host || host.length > 253) {
+    return false;
+  }
+
+  if (host === 'localhost' || /^\[[0-9a-f:.]+\]$/.test(host)) {
+    return true;
+  }
+
+  return host.includes('.') && host.split('.').every(label =>
+    /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/.test(label)
+  );
+}
@@ -0,0 +1,401 @@
+/**
+ * Bookshelf Domain Verification
+ *
+ * Challenge flow for sites registering without a license activation:
+ *
+ * 1. /api/bookshelf/register creates a challenge and returns its nonce plus a
+ *    challenge token only that caller knows
+ * 2. The plugin publishes the nonce on the site, either as the body of
+ *    <home_url>/.well-known/bookpeek-verification.txt or in the home page's
+ *    <meta name="bookpeek-verification" content="<nonce>">
+ * 3. /api/bookshelf/verify, called with the challenge token, fetches the site
+ *    and marks it verified if the nonce is there
+ *
+ * Sites are fetched from the server, so hosts resolving to private or loopback
+ * addresses are refused unless BOOKSHELF_VERIFY_ALLOW_PRIVATE_HOSTS is "true"
+ * (for testing against a local stand-in for the author's site). Each host is
+ * resolved once and the request connects to the checked address, so a second
+ * DNS answer can't point it elsewhere. Redirects are followed manually so
+ * every hop is checked, and only while they stay on the challenged site (its
+ * www/apex variant and an http -> https upgrade included) - otherwise a site
+ * could redirect to another host's page and be verified with its content.
+ */
+
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import supabase from './supabase.js';
+import logger from './logger.js';
+import { parseSiteIdentity } from './site-identity.js';
+
+export const VERIFICATION_PATH = '/.well-known/bookpeek-verification.txt';
+export const VERIFICATION_META_NAME = 'bookpeek-verification';
+
+const CHALLENGE_TTL_MS = 48 * 60 * 60 * 1000;
+const FETCH_TIMEOUT_MS = 4000;
+// Both checks together stay under Vercel's 10s maxDuration
+const VERIFY_BUDGET_MS = 7000;
+const MAX_REDIRECTS = 3;
+const MAX_BODY_BYTES = 256 * 1024;
+
+/**
+ * Create a verification challenge for a site
+ *
+ * @param {Object} site - Parsed site ({ identity, home_url }, see parseSiteIdentity())
+ * @param {string} siteName - Site name to register once verified
+ * @returns {Promise<Object>} { challenge_token, nonce, well_known_url, meta_tag, expires_at }
+ * @throws {Error} If the challenge can't be stored
+ */
+export async function createVerificationChallenge(site, siteName) {
+  const nonce = `bookpeek-${crypto.randomBytes(16).toString('hex')}`;
+  const challengeToken = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + CHALLENGE_TTL_MS).toISOString();
+
+  const { error } = await supabase
+    .from('bookshelf_site_challenges')
+    .insert({
+      site_url: site.identity,
+      home_url: site.home_url,
+      site_name: siteName,
+      nonce: nonce,
+      claim_hash: hashChallengeToken(challengeToken),
+      expires_at: expiresAt
+    });
+
+  if (error) {
+    throw new Error(`Failed to create verification challenge: ${error.message}`);
+  }
+
+  return {
+    challenge_token: challengeToken,
+    nonce: nonce,
+    well_known_url: `${site.home_url}${VERIFICATION_PATH}`,
+    meta_tag: `<meta name="${VERIFICATION_META_NAME}" content="${nonce}">`,
+    expires_at: expiresAt
+  };
+}
+
+/**
+ * Get an unexpired challenge by its challenge token
+ *
+ * @param {string} challengeToken - Token returned by createVerificationChallenge()
+ * @returns {Promise<Object|null>} Challenge row, or null if unknown or expired
+ * @throws {Error} If the challenge can't be read
+ */
+export async function getVerificationChallenge(challengeToken) {
+  const { data, error } = await supabase
+    .from('bookshelf_site_challenges')
+    .select('id, site_url, home_url, site_name, nonce, expires_at')
+    .eq('claim_hash', hashChallengeToken(challengeToken))
+    .gt('expires_at', new Date().toISOString())
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to read verification challenge: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Delete every challenge for a site (once it is verified), and any expired ones
+ *
+ * @param {string} siteIdentity - Canonical site identity
+ */
+export async function clearVerificationChallenges(siteIdentity) {
+  const results = await Promise.all([
+    supabase.from('bookshelf_site_challenges').delete().eq('site_url', siteIdentity),
+    supabase.from('bookshelf_site_challenges').delete().lt('expires_at', new Date().toISOString())
+  ]);
+
+  for (const { error } of results) {
+    if (error) {
+      logger.error('[Verification] Failed to clear challenges', error);
+    }
+  }
+}
+
+/**
+ * Look for a challenge nonce on a site
+ *
+ * Checks the well-known file first, then the home page meta tag.
+ *
+ * @param {string} homeUrl - Site home URL
+ * @param {string} nonce - Challenge nonce
+ * @returns {Promise<{found: boolean, method: string|null, errors: string[]}>}
+ *   method is 'well_known' or 'meta_tag'; errors explain failed fetches
+ */
+export async function findVerificationNonce(homeUrl, nonce) {
+  const errors = [];
+  const deadline = Date.now() + VERIFY_BUDGET_MS;
+  const site = parseSiteIdentity(homeUrl);
+
+  if (!site) {
+    return { found: false, method: null, errors: ['invalid site URL'] };
+  }
+
+  const wellKnown = await fetchSiteText(site, `${homeUrl}${VERIFICATION_PATH}`, deadline);
+
+  if (wellKnown.error) {
+    errors.push(`${VERIFICATION_PATH}: ${wellKnown.error}`);
+  } else if (wellKnown.text.split(/\s+/).includes(nonce)) {
+    return { found: true, method: 'well_known', errors };
+  }
+
+  const homePage = await fetchSiteText(site, homeUrl, deadline);
+
+  if (homePage.error) {
+    errors.push(`home page: ${homePage.error}`);
+  } else if (hasVerificationMeta(homePage.text, nonce)) {
+    return { found: true, method: 'meta_tag', errors };
+  }
+
+  return { found: false, method: null, errors };
+}
+
+/**
+ * Check HTML for <meta name="bookpeek-verification" content="<nonce>"> (attributes in any order)
+ */
+function hasVerificationMeta(html, nonce) {
+  const metaTags = html.match(/<meta\b[^>]*>/gi) || [];
+
+  return metaTags.some(tag => {
+    const name = tag.match(/\bname\s*=\s*["']?([^"'\s>]+)/i)?.[1];
+    const content = tag.match(/\bcontent\s*=\s*["']?([^"'\s>]+)/i)?.[1];
+
+    return name?.toLowerCase() === VERIFICATION_META_NAME && content === nonce;
+  });
+}
+
+/**
+ * Fetch a page from a site as text, following redirects on that site only
+ *
+ * @param {Object} site - Challenged site (see parseSiteIdentity())
+ * @returns {Promise<{text?: string, error?: string}>}
+ */
+async function fetchSiteText(site, url, deadline) {
+  let currentUrl = url;
+
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    let parsed;
+
+    try {
+      parsed = new URL(currentUrl);
+    } catch (e) {
+      return { error: 'invalid URL' };
+    }
+
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      return { error: `unsupported protocol ${parsed.protocol}` };
+    }
+
+    const address = await resolvePublicAddress(parsed.hostname);
+
+    if (!address) {
+      return { error: 'host does not resolve to a public address' };
+    }
+
+    const timeout = Math.min(FETCH_TIMEOUT_MS, deadline - Date.now());
+
+    if (timeout <= 0) {
+      return { error: 'request timed out' };
+    }
+
+    let response;
+
+    try {
+      response = await requestPinned(parsed, address, timeout);
+    } catch (error) {
+      return { error: error.name === 'TimeoutError' ? 'request timed out' : 'request failed' };
+    }
+
+    if (response.status >= 300 && response.status < 400 && response.location) {
+      let target;
+
+      try {
+        target = new URL(response.location, parsed.href);
+      } catch (e) {
+        return { error: 'invalid redirect' };
+      }
+
+      if (!isRedirectOnSite(site, parsed, target)) {
+        return { error: 'redirect leaves the site' };
+      }
+
+      currentUrl = target.href;
+      continue;
+    }
+
+    if (response.status < 200 || response.status >= 300) {
+      return { error: `HTTP ${response.status}` };
+    }
+
+    return { text: response.text };
+  }
+
+  return { error: 'too many redirects' };
+}
+
+/**
+ * Check that a redirect stays on the challenged site
+ *
+ * The target must be the site's host or its www/apex variant, under the
+ * site's path, on the same scheme and port - or upgraded from http to https
+ * on the default port.
+ */
+function isRedirectOnSite(site, from, to) {
+  const target = parseSiteIdentity(to.href);
+
+  if (!target || target.host !== site.host) {
+    return false;
+  }
+
+  const sameOrigin = to.protocol === from.protocol && to.port === from.port;
+  const upgraded = from.protocol === 'http:' && to.protocol === 'https:' && to.port === '';
+
+  if (!sameOrigin && !upgraded) {
+    return false;
+  }
+
+  const path = to.pathname.replace(/\/{2,}/g, '/').toLowerCase();
+
+  return path === site.path || path.startsWith(`${site.path}/`);
+}
+
+/**
+ * GET a URL, connecting only to the given (already checked) address
+ *
+ * The timeout covers reading the body too. Only 2xx bodies are read, and at
+ * most MAX_BODY_BYTES of them.
+ *
+ * @returns {Promise<{status: number, location: string|null, text: string}>}
+ */
+function requestPinned(url, address, timeout) {
+  const client = url.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    let settled = false;
+
+    const request = client.get(url, {
+      headers: { 'User-Agent': 'BookPeek-Bookshelf-Verification/1.0' },
+      lookup: (hostname, options, callback) => {
+        if (options.all) {
+          callback(null, [address]);
+        } else {
+          callback(null, address.address, address.family);
+        }
+      }
+    }, response => {
+      const { statusCode } = response;
+
+      if (statusCode < 200 || statusCode >= 300) {
+        response.resume();
+        finish(null, { status: statusCode, location: response.headers.location || null, text: '' });
+        return;
+      }
+
+      const chunks = [];
+      let size = 0;
+
+      response.on('data', chunk => {
+        chunks.push(chunk);
+        size += chunk.length;
+
+        if (size >= MAX_BODY_BYTES) {
+          response.destroy();
+          done();
+        }
+      });
+      response.on('end', done);
+      response.on('error', finish);
+
+      function done() {
+        const text = Buffer.concat(chunks).subarray(0, MAX_BODY_BYTES).toString('utf-8');
+        finish(null, { status: statusCode, location: null, text });
+      }
+    });
+
+    const timer = setTimeout(() => {
+      const error = new Error('Request timed out');
+      error.name = 'TimeoutError';
+      request.destroy(error);
+    }, timeout);
+
+    request.on('error', finish);
+
+    function finish(error, result) {
+      if (settled) {
+        return;
+      }
+
+      settled = true;
+      clearTimeout(timer);
+
+      if (error) {
+        reject(error);
+      } else {
+        resolve(result);
+      }
+    }
+  });
+}
+
+/**
+ * Resolve a hostname and check that every address it resolves to is public
+ *
+ * @returns {Promise<{address: string, family: number}|null>} Address to connect to,
+ *   or null if the host doesn't resolve or resolves to a private address
+ */
+async function resolvePublicAddress(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+
+  try {
+    addresses = net.isIP(host)
+      ? [{ address: host, family: net.isIP(host) }]
+      : await dns.promises.lookup(host, { all: true });
+  } catch (e) {
+    return null;
+  }
+
+  if (addresses.length === 0) {
+    return null;
+  }
+
+  if (process.env.BOOKSHELF_VERIFY_ALLOW_PRIVATE_HOSTS !== 'true' &&
+      addresses.some(({ address }) => isPrivateAddress(address))) {
+    return null;
+  }
+
+  return addresses[0];
+}
+
+/**
+ * Loopback, private, link-local, carrier-grade NAT and unspecified addresses
+ */
+function isPrivateAddress(address) {
+  const ipv4 = address.replace(/^::ffff:/i, '');
+
+  if (net.isIPv4(ipv4)) {
+    const [a, b] = ipv4.split('.').map(Number);
+
+    return a === 0 || a === 10 || a === 127 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168);
+  }
+
+  const ipv6 = address.toLowerCase();
+
+  return ipv6 === '::' || ipv6 === '::1' || /^f[cd]/.test(ipv6) || /^fe[89ab]/.test(ipv6);
+}
+
+/**
+ * Hash a challenge token for storage and lookup
+ */
+function hashChallengeToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
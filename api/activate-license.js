@@ -1,11 +1,19 @@
 /**
  * License Activation API Endpoint
  *
- * Activates a license key on a specific domain
+ * Activates a license key on a specific domain and returns a signed
+ * license certificate the plugin can verify offline
  *
  * POST /api/activate-license
- * Body: { license_key: string, site_url: string, site_name: string }
+ * Body: { license_key: string, site_url: string, site_name?: string }
  * Returns: { success: boolean, message: string, data: object }
+ *
+ * New activations are named by the canonical site identity. site_name is only
+ * used to recognize sites activated before that, which were named by it.
+ *
+ * Calling again for an already-activated site returns a fresh certificate. The
+ * site's request signing secret (see _lib/request-signing.js) is only returned
+ * when the activation is created, or to a request signed by that activation.
  */
 
 import {
@@ -15,8 +23,39 @@ import {
   validateInput,
   logSecurityEvent
 } from './_lib/security.js';
+import {
+  getLicenseRecord,
+  recordLicense,
+  recordActivation,
+  recordStagingActivation,
+  recordInstanceSite,
+  findSiteInstance,
+  withInstanceSites
+} from './_lib/license-ledger.js';
+import { getSiteEnvironment } from './_lib/site-identity.js';
+import { buildLicenseCertificate } from './_lib/license-certificate.js';
+import { resolveProduct, getSitesRemaining } from './_lib/product-catalog.js';
+import { resolveEntitlements } from './_lib/entitlements.js';
+import { invalidateLicenseCache } from './_lib/license-cache.js';
+import { getSigningSecret, withRequestSigning } from './_lib/request-signing.js';
+import {
+  createDeadline,
+  validateLicense,
+  activateLicense,
+  describeError,
+  LemonSqueezyError,
+  LS_ERROR_TYPES
+} from './_lib/lemon-squeezy.js';
+
+/**
+ * Staging/development activations allowed per license, on top of maxActivations
+ */
+const MAX_STAGING_ACTIVATIONS = parseInt(process.env.MAX_STAGING_ACTIVATIONS, 10) || 3;
+
+async function handler(req, res) {
+  // Every Lemon Squeezy call this request makes shares one deadline
+  const deadline = createDeadline();
 
-export default async function handler(req, res) {
   // Set security headers
   setSecurityHeaders(res);
   setCorsHeaders(req, res);
@@ -82,51 +121,33 @@ export default async function handler(req, res) {
       });
     }
 
-    const { license_key, site_url, site_name } = validation.data;
-
-    // Clean and normalize site URL
-    const cleanSiteUrl = site_url
-      .replace(/^https?:\/\//, '')
-      .replace(/^www\./, '')
-      .replace(/\/$/, '')
-      .toLowerCase();
-
-    const lsApiKey = process.env.LEMON_SQUEEZY_API_KEY;
-
-    if (!lsApiKey) {
-      return res.status(500).json({
-        success: false,
-        message: 'License service not configured'
-      });
-    }
+    // site_url is already the canonical site identity (see _lib/site-identity.js)
+    const { license_key, site_url: siteIdentity, site_name } = validation.data;
 
     // First, validate the license
-    const validateResponse = await fetch(
-      `https://api.lemonsqueezy.com/v1/licenses/validate`,
-      {
-        method: 'POST',
-        headers: {
-          'Accept': 'application/json',
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${lsApiKey}`
-        },
-        body: JSON.stringify({
-          license_key: license_key
-        })
+    let validateData;
+
+    try {
+      validateData = await validateLicense(license_key, { includeInstances: true, deadline });
+    } catch (error) {
+      if (!(error instanceof LemonSqueezyError)) {
+        throw error;
       }
-    );
 
-    if (!validateResponse.ok) {
-      return res.status(400).json({
+      const { status, message } = describeError(error);
+
+      return res.status(status).json({
         success: false,
-        message: 'Invalid license key'
+        message: error.type === LS_ERROR_TYPES.INVALID ? 'Invalid license key' : message
       });
     }
 
-    const validateData = await validateResponse.json();
     const license = validateData.license_key;
     const meta = validateData.meta || {};
 
+    // Keep the local ledger in step with what Lemon Squeezy just told us
+    await recordLicense(license_key, validateData);
+
     // Check license status - reject disabled, expired, or cancelled
     // Note: "inactive" is valid - it means not yet activated on any instance
     const invalidStatuses = ['disabled', 'expired', 'cancelled'];
@@ -148,46 +169,121 @@ export default async function handler(req, res) {
       }
     }
 
-    // Determine tier and max activations
-    const variantName = meta.variant_name || '';
-    let tier = 'pro';
-    let maxActivations = 1;
+    // Determine tier and activation limit from the product catalog
+    const product = await resolveProduct(validateData);
+    const tier = product.tier;
+    const entitlements = await resolveEntitlements(validateData, product);
+
+    // Get current activations from LemonSqueezy instances (more reliable than
+    // metadata), with the sites the ledger recorded them for
+    const record = await getLicenseRecord(license_key);
+    const instances = withInstanceSites(meta.instances || [], record);
+    const sitesRemaining = getSitesRemaining(product, instances.length);
+
+    // Staging and local development sites don't use up an activation.
+    // They're tracked in the ledger only, with their own cap.
+    if (getSiteEnvironment(siteIdentity) === 'staging') {
+      const stagingInstances = (record?.meta.instances || [])
+        .filter(instance => instance.environment === 'staging');
+
+      let stagingInstance = stagingInstances.find(instance => instance.site_url === siteIdentity);
+      const alreadyActivated = Boolean(stagingInstance);
+
+      if (!stagingInstance) {
+        if (stagingInstances.length >= MAX_STAGING_ACTIVATIONS) {
+          return res.status(400).json({
+            success: false,
+            message: `Staging activation limit reached. Licenses can be activated on ${MAX_STAGING_ACTIVATIONS} staging site(s). Please deactivate from another staging site first.`,
+            data: {
+              environment: 'staging',
+              max_staging_activations: MAX_STAGING_ACTIVATIONS,
+              active_staging_instances: stagingInstances.map(i => i.name)
+            }
+          });
+        }
 
-    if (variantName.toLowerCase().includes('agency')) {
-      tier = 'agency';
-      maxActivations = 999999;
-    }
+        stagingInstance = await recordStagingActivation(license.id, siteIdentity);
 
-    // Get current activations from LemonSqueezy instances (more reliable than metadata)
-    const instances = validateData.meta?.instances || [];
+        if (!stagingInstance) {
+          return res.status(500).json({
+            success: false,
+            message: 'Failed to activate license on staging site'
+          });
+        }
 
-    // Check if site is already activated by checking instance names
-    const existingInstance = instances.find(inst => {
-      const instanceName = (inst.name || '').toLowerCase();
-      return instanceName.includes(cleanSiteUrl) || cleanSiteUrl.includes(instanceName);
-    });
+        await invalidateLicenseCache({ licenseKey: license_key });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: alreadyActivated
+          ? `License already activated on staging site ${siteIdentity}`
+          : `License successfully activated on staging site ${siteIdentity}`,
+        data: {
+          tier: tier,
+          environment: 'staging',
+          activated_at: stagingInstance.created_at,
+          expires_at: license.expires_at,
+          instance_id: stagingInstance.id,
+          sites_remaining: sitesRemaining,
+          entitlements: entitlements,
+          staging_sites_remaining: Math.max(0, MAX_STAGING_ACTIVATIONS - stagingInstances.length - (alreadyActivated ? 0 : 1)),
+          certificate: buildLicenseCertificate({
+            license_id: license.id,
+            tier: tier,
+            expires_at: license.expires_at,
+            site: siteIdentity,
+            instance_id: stagingInstance.id,
+            environment: 'staging',
+            entitlements: entitlements
+          }),
+          signing_secret: alreadyActivated
+            ? reissueSigningSecret(req, stagingInstance.id)
+            : getSigningSecret(stagingInstance.id)
+        }
+      });
+    }
+
+    // Check if site is already activated
+    const existingInstance = findSiteInstance(instances, siteIdentity, site_name);
 
     if (existingInstance) {
+      // Activated before the ledger tracked sites - remember it from now on
+      if (!existingInstance.site_url) {
+        await recordInstanceSite(existingInstance.id, siteIdentity);
+      }
+
       return res.status(200).json({
         success: true,
-        message: `License already activated on ${cleanSiteUrl}`,
+        message: `License already activated on ${siteIdentity}`,
         data: {
           tier: tier,
+          environment: 'production',
           activated_at: existingInstance.created_at,
           expires_at: license.expires_at,
           instance_id: existingInstance.id,
-          sites_remaining: tier === 'agency' ? 999999 : Math.max(0, maxActivations - instances.length)
+          sites_remaining: sitesRemaining,
+          entitlements: entitlements,
+          certificate: buildLicenseCertificate({
+            license_id: license.id,
+            tier: tier,
+            expires_at: license.expires_at,
+            site: siteIdentity,
+            instance_id: existingInstance.id,
+            entitlements: entitlements
+          }),
+          signing_secret: reissueSigningSecret(req, existingInstance.id)
         }
       });
     }
 
-    // Check activation limit (for Pro tier)
-    if (tier === 'pro' && instances.length >= maxActivations) {
+    // Check activation limit (unlimited products never run out)
+    if (sitesRemaining === 0) {
       return res.status(400).json({
         success: false,
-        message: `Activation limit reached. Pro licenses can only be activated on ${maxActivations} site(s). Please deactivate from another site first.`,
+        message: `Activation limit reached. ${product.tier_name} licenses can only be activated on ${product.activation_limit} site(s). Please deactivate from another site first.`,
         data: {
-          max_activations: maxActivations,
+          max_activations: product.activation_limit,
           active_instances: instances.map(i => i.name),
           upgrade_url: 'https://bookpeek.club/pricing'
         }
@@ -195,47 +291,50 @@ export default async function handler(req, res) {
     }
 
     // Activate instance via LemonSqueezy API
-    const activateResponse = await fetch(
-      `https://api.lemonsqueezy.com/v1/licenses/activate`,
-      {
-        method: 'POST',
-        headers: {
-          'Accept': 'application/json',
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${lsApiKey}`
-        },
-        body: JSON.stringify({
-          license_key: license_key,
-          instance_name: site_name || cleanSiteUrl
-        })
+    let activateData;
+
+    try {
+      activateData = await activateLicense(license_key, siteIdentity, { deadline });
+    } catch (error) {
+      if (!(error instanceof LemonSqueezyError)) {
+        throw error;
       }
-    );
 
-    if (!activateResponse.ok) {
-      const errorData = await activateResponse.json();
-      console.error('Lemon Squeezy activation error:', errorData);
+      console.error('Lemon Squeezy activation error:', error.message, error.details);
+
+      const { status, message } = describeError(error);
 
-      // Return more detailed error for debugging
-      const errorMessage = errorData.error || errorData.message || 'Failed to activate license';
-      return res.status(activateResponse.status).json({
+      return res.status(status).json({
         success: false,
-        message: errorMessage,
-        debug: process.env.NODE_ENV === 'development' ? errorData : undefined
+        message: message,
+        debug: process.env.NODE_ENV === 'development' ? error.details : undefined
       });
     }
 
-    const activateData = await activateResponse.json();
+    await recordActivation(license_key, activateData, siteIdentity);
+    await invalidateLicenseCache({ licenseKey: license_key });
 
     // Return success
     return res.status(200).json({
       success: true,
-      message: `License successfully activated on ${cleanSiteUrl}`,
+      message: `License successfully activated on ${siteIdentity}`,
       data: {
         tier: tier,
+        environment: 'production',
         activated_at: new Date().toISOString(),
-        sites_remaining: tier === 'agency' ? 999999 : Math.max(0, maxActivations - instances.length - 1),
+        sites_remaining: getSitesRemaining(product, instances.length + 1),
         expires_at: license.expires_at,
-        instance_id: activateData.instance?.id
+        instance_id: activateData.instance?.id,
+        entitlements: entitlements,
+        certificate: buildLicenseCertificate({
+          license_id: license.id,
+          tier: tier,
+          expires_at: license.expires_at,
+          site: siteIdentity,
+          instance_id: activateData.instance?.id,
+          entitlements: entitlements
+        }),
+        signing_secret: getSigningSecret(activateData.instance?.id)
       }
     });
 
@@ -256,3 +355,20 @@ export default async function handler(req, res) {
     });
   }
 }
+
+/**
+ * Signing secret for an activation that existed before this request
+ *
+ * Anyone with the license key can call activate, so an existing activation's
+ * secret only goes back to a request already signed by that activation.
+ *
+ * @param {Object} req - Request, after withRequestSigning
+ * @param {string} instanceId - Existing activation's instance ID
+ * @returns {string|null}
+ */
+function reissueSigningSecret(req, instanceId) {
+  return req.signature?.instance_id === instanceId ? getSigningSecret(instanceId) : null;
+}
+
+// Never required - a first activation has no secret to sign with yet
+export default withRequestSigning(handler, { required: false });
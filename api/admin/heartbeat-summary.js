@@ -0,0 +1,101 @@
+/**
+ * Heartbeat Summary API Endpoint (admin)
+ *
+ * Summarizes what licensed sites report in their heartbeats, and how many
+ * sites each plugin's latest release would leave behind, to inform
+ * requires_php and tested_up_to decisions.
+ *
+ * GET /api/admin/heartbeat-summary?days=30
+ * Headers: Authorization: Bearer <ADMIN_API_KEY>
+ * Returns: { success: boolean, data: object }
+ */
+
+import { setSecurityHeaders, verifyAdminRequest, logSecurityEvent } from '../_lib/security.js';
+import { getHeartbeatSummary } from '../_lib/license-ledger.js';
+import { PLUGIN_VERSIONS, compareVersions } from '../_lib/plugin-releases.js';
+
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 365;
+
+export default async function handler(req, res) {
+  // Set security headers
+  setSecurityHeaders(res);
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      message: 'Method not allowed'
+    });
+  }
+
+  if (!process.env.ADMIN_API_KEY) {
+    return res.status(500).json({
+      success: false,
+      message: 'Admin API not configured'
+    });
+  }
+
+  if (!verifyAdminRequest(req)) {
+    logSecurityEvent('admin_auth_failed', {
+      ip: req.headers['x-forwarded-for']?.split(',')[0] || req.headers['x-real-ip'] || 'unknown',
+      endpoint: '/api/admin/heartbeat-summary'
+    });
+
+    return res.status(401).json({
+      success: false,
+      message: 'Unauthorized'
+    });
+  }
+
+  try {
+    const days = Math.min(MAX_DAYS, Math.max(1, parseInt(req.query.days, 10) || DEFAULT_DAYS));
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    const summary = await getHeartbeatSummary(since);
+
+    // How many reporting sites each latest release would affect
+    const releases = Object.fromEntries(
+      Object.entries(PLUGIN_VERSIONS).map(([slug, release]) => [slug, {
+        version: release.version,
+        requires_php: release.requires_php,
+        tested_up_to: release.tested_up_to,
+        sites_below_requires_php: countSites(summary.php_versions, version =>
+          compareVersions(version, release.requires_php) < 0
+        ),
+        sites_above_tested_up_to: countSites(summary.wp_versions, version =>
+          compareVersions(version, release.tested_up_to) > 0
+        )
+      }])
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        days: days,
+        since: since.toISOString(),
+        ...summary,
+        releases: releases
+      }
+    });
+
+  } catch (error) {
+    console.error('Heartbeat summary error:', error);
+
+    const isDev = process.env.NODE_ENV === 'development';
+
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      ...(isDev && { error: error.message })
+    });
+  }
+}
+
+/**
+ * Sum the site counts of a { version: sites } map for versions matching a predicate
+ */
+function countSites(versionCounts, predicate) {
+  return Object.entries(versionCounts || {})
+    .filter(([version]) => predicate(version))
+    .reduce((total, [, sites]) => total + sites, 0);
+}
@@ -0,0 +1,83 @@
+/**
+ * GET /api/bookshelf/authors
+ *
+ * Lists the authors on the BookPeek Bookshelf with optional search and pagination.
+ * Used by the authors page on bookshelf.bookpeek.club.
+ * Each registered site has one author; only authors on verified sites with at
+ * least one book are listed (see _lib/bookshelf-authors.js).
+ *
+ * Query parameters:
+ * - search: Search author names. Every word matches as a prefix ("tolk" finds "J.R.R. Tolkien")
+ * - page: Page number (default: 1)
+ * - limit: Items per page (default: 20, max: 100)
+ * - sort: Sort order ("name", "name-desc", "books", "latest").
+ *   "books" lists authors with the most books first, "latest" those who synced a book most recently
+ *
+ * Example: /api/bookshelf/authors?search=tolk&sort=books&page=1&limit=20
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "authors": [
+ *     { "id": 12, "name": "J.R.R. Tolkien", "bio": "...", "site": "tolkien.example",
+ *       "site_url": "https://tolkien.example", "cover": "https://...", "book_count": 4,
+ *       "latest_synced_at": "..." }
+ *   ],
+ *   "pagination": {...}
+ * }
+ */
+
+import { searchAuthors, formatAuthorSummary } from '../_lib/bookshelf-authors.js';
+
+const SORT_ORDERS = ['name', 'name-desc', 'books', 'latest'];
+
+export default async function handler(req, res) {
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed. Use GET.'
+    });
+  }
+
+  try {
+    const {
+      search,
+      page = 1,
+      limit = 20,
+      sort = 'name'
+    } = req.query;
+
+    // Validate and sanitize pagination
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+    const offset = (pageNum - 1) * limitNum;
+
+    const { authors, total } = await searchAuthors({
+      search,
+      sort: SORT_ORDERS.includes(sort) ? sort : 'name',
+      limit: limitNum,
+      offset
+    });
+
+    // Success response
+    return res.status(200).json({
+      success: true,
+      authors: authors.map(formatAuthorSummary),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    });
+
+  } catch (error) {
+    console.error('Unexpected error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
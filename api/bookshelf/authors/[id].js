@@ -0,0 +1,91 @@
+/**
+ * GET /api/bookshelf/authors/:id
+ *
+ * Fetches one author from the BookPeek Bookshelf with a page of their books.
+ * Used by the author page on bookshelf.bookpeek.club.
+ * The author ID is the ID of the author's site (see _lib/bookshelf-authors.js),
+ * as in author.id of every book from /api/bookshelf/books.
+ *
+ * Query parameters:
+ * - page: Page of books (default: 1)
+ * - limit: Books per page (default: 20, max: 100)
+ * - sort: Book order, as in /api/bookshelf/books except "relevance" (default: "latest")
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "author": { "id": 12, "name": "...", "bio": "...", "website": "...", "twitter": "...",
+ *               "instagram": "...", "site": "...", "site_name": "...", "site_url": "...",
+ *               "book_count": 4, "updated_at": "..." },
+ *   "books": [...as in /api/bookshelf/books],
+ *   "pagination": {...}
+ * }
+ */
+
+import { getAuthor, formatAuthor } from '../../_lib/bookshelf-authors.js';
+import { getSiteBooks, formatBook } from '../../_lib/bookshelf-catalog.js';
+import { sendError, notFoundError, HTTP_STATUS } from '../../_lib/errors.js';
+
+export default async function handler(req, res) {
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed. Use GET.'
+    });
+  }
+
+  try {
+    const {
+      id,
+      page = 1,
+      limit = 20,
+      sort = 'latest'
+    } = req.query;
+
+    if (!/^\d+$/.test(String(id))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Author ID must be a number',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const author = await getAuthor(Number(id));
+
+    if (!author) {
+      return sendError(res, HTTP_STATUS.NOT_FOUND, notFoundError('Author'));
+    }
+
+    // Validate and sanitize pagination
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+    const { books, total } = await getSiteBooks(author.bookshelf_sites.site_url, {
+      sort,
+      limit: limitNum,
+      offset: (pageNum - 1) * limitNum
+    });
+
+    // Success response
+    return res.status(200).json({
+      success: true,
+      author: formatAuthor(author, total),
+      books: books.map(book => formatBook(book)),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    });
+
+  } catch (error) {
+    console.error('Unexpected error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
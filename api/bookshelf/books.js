@@ -3,26 +3,54 @@
  *
  * Fetches books from the BookPeek Bookshelf with optional filtering and pagination.
  * Used by the frontend to display books on bookshelf.bookpeek.club.
+ * Only books from verified sites are listed (see _lib/site-verification.js).
+ *
+ * Filtering, ranking and paging happen in the search_bookshelf_books() database
+ * function (migrations 014, 016, 018 and 020), which returns the book IDs for the page;
+ * the books are then loaded by ID (see _lib/bookshelf-catalog.js).
  *
  * Query parameters:
- * - genre: Filter by genre slug (e.g., "fantasy")
- * - search: Search by title or author name
+ * - genre: Filter by genre slugs, comma-separated or repeated (e.g., "fantasy,romance")
+ * - genre_mode: "any" (default) lists books in at least one of the genres,
+ *   "all" only books in every one of them
+ * - search: Full-text search over title, author, ISBN and description.
+ *   Every word matches as a prefix ("tolk hob" finds "The Hobbit" by Tolkien)
  * - page: Page number (default: 1)
+ * - cursor: Continue after the previous page instead, with its pagination.next_cursor.
+ *   Pages from a cursor don't shift while books are synced; use the same filters and sort
  * - limit: Items per page (default: 20, max: 100)
- * - sort: Sort order ("latest", "oldest", "title-asc", "title-desc")
+ * - sort: Sort order:
+ *   "latest" (latest synced, default), "added" (first synced), "oldest" and "newest" (publication date),
+ *   "title-asc", "title-desc", "rating" (highest rated), "reviews" (most reviewed), "relevance".
+ *   "relevance" ranks title and ISBN matches above author, then description matches.
+ *   Books without a rating, review count or publication date come last (migration 020)
  *
- * Example: /api/bookshelf/books?genre=fantasy&page=1&limit=20
+ * Example: /api/bookshelf/books?genre=fantasy,romance&genre_mode=all&page=1&limit=20
  *
  * Response:
  * {
  *   "success": true,
  *   "books": [...],
- *   "pagination": {...},
- *   "stats": {...}
+ *   "pagination": {
+ *     "page": 1, "limit": 20, "total": 42, "pages": 3,   (page mode)
+ *     "next_cursor": "..."                               (null on the last page)
+ *   }
  * }
+ *
+ * With a cursor, pagination is { "limit", "next_cursor" }: the total isn't counted.
+ * Bookshelf totals are served by /api/bookshelf/stats.
  */
 
-import supabase, { formatSupabaseError } from '../_lib/supabase.js';
+import {
+  SORT_ORDERS,
+  searchBooks,
+  decodeCursor,
+  getBooksById,
+  formatBook
+} from '../_lib/bookshelf-catalog.js';
+
+const MAX_GENRE_FILTERS = 10;
+const GENRE_SLUG_PATTERN = /^[a-z0-9-]+$/;
 
 export default async function handler(req, res) {
   // Only allow GET requests
@@ -36,146 +64,84 @@ export default async function handler(req, res) {
   try {
     const {
       genre,
+      genre_mode: genreMode = 'any',
       search,
       page = 1,
+      cursor,
       limit = 20,
       sort = 'latest'
     } = req.query;
 
-    // Validate and sanitize pagination
-    const pageNum = Math.max(1, parseInt(page) || 1);
-    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
-    const offset = (pageNum - 1) * limitNum;
-
-    // Build the base query
-    let query = supabase
-      .from('bookshelf_books')
-      .select(`
-        id,
-        title,
-        slug,
-        description,
-        cover_medium,
-        cover_large,
-        author_name,
-        author_bio,
-        site_url,
-        purchase_amazon_in,
-        purchase_amazon_com,
-        purchase_other,
-        formats,
-        rating,
-        review_count,
-        publication_date,
-        synced_at,
-        bookshelf_book_genres (
-          genre_slug
-        )
-      `, { count: 'exact' });
-
-    // Apply genre filter
-    if (genre) {
-      query = query.contains('bookshelf_book_genres.genre_slug', [genre]);
-    }
-
-    // Apply search filter
-    if (search) {
-      query = query.or(`title.ilike.%${search}%,author_name.ilike.%${search}%`);
+    // Genres can be comma-separated, repeated (?genre=a&genre=b), or both
+    const genres = [...new Set([].concat(genre || []).flatMap(value => String(value).split(',')))]
+      .map(slug => slug.trim().toLowerCase())
+      .filter(slug => slug);
+
+    if (genres.length > MAX_GENRE_FILTERS || !genres.every(slug => GENRE_SLUG_PATTERN.test(slug))) {
+      return res.status(400).json({
+        success: false,
+        error: `genre must be up to ${MAX_GENRE_FILTERS} genre slugs`,
+        code: 'VALIDATION_ERROR'
+      });
     }
 
-    // Apply sorting
-    switch (sort) {
-      case 'oldest':
-        query = query.order('publication_date', { ascending: true });
-        break;
-      case 'title-asc':
-        query = query.order('title', { ascending: true });
-        break;
-      case 'title-desc':
-        query = query.order('title', { ascending: false });
-        break;
-      case 'latest':
-      default:
-        query = query.order('synced_at', { ascending: false });
-        break;
+    if (!['any', 'all'].includes(genreMode)) {
+      return res.status(400).json({
+        success: false,
+        error: 'genre_mode must be "any" or "all"',
+        code: 'VALIDATION_ERROR'
+      });
     }
 
-    // Apply pagination
-    query = query.range(offset, offset + limitNum - 1);
-
-    // Execute query
-    const { data: books, error, count } = await query;
+    const sortOrder = SORT_ORDERS.includes(sort) ? sort : 'latest';
+    const after = cursor ? decodeCursor(cursor) : null;
 
-    if (error) {
-      console.error('Supabase error:', error);
-      return res.status(500).json(formatSupabaseError(error));
+    if (cursor && (!after || after.sort !== sortOrder)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid cursor. Pass pagination.next_cursor from the previous page, with the same sort.',
+        code: 'VALIDATION_ERROR'
+      });
     }
 
-    // Format books data
-    const formattedBooks = books.map(book => {
-      // Construct the full book URL (assumes default 'books' slug)
-      // Format: site_url/books/book-slug
-      const siteUrl = book.site_url.replace(/\/$/, ''); // Remove trailing slash
-      const bookUrl = book.slug ? `${siteUrl}/books/${book.slug}` : siteUrl;
+    // Validate and sanitize pagination
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+    const offset = (pageNum - 1) * limitNum;
 
-      return {
-        id: book.id,
-        title: book.title,
-        slug: book.slug,
-        description: book.description,
-        book_url: bookUrl,
-        cover: {
-          medium: book.cover_medium,
-          large: book.cover_large
-        },
-        author: {
-          name: book.author_name,
-          bio: book.author_bio,
-          site_url: book.site_url
-        },
-        genres: book.bookshelf_book_genres?.map(g => g.genre_slug) || [],
-        purchase_links: {
-          amazon_in: book.purchase_amazon_in,
-          amazon_com: book.purchase_amazon_com,
-          other: book.purchase_other
-        },
-        formats: book.formats ? JSON.parse(book.formats) : [],
-        rating: book.rating,
-        review_count: book.review_count,
-        publication_date: book.publication_date,
-        synced_at: book.synced_at
-      };
+    // Find the page of matching books, then load them
+    const { ids, total: count, nextCursor } = await searchBooks({
+      search,
+      genres,
+      genreMode,
+      sort: sortOrder,
+      limit: limitNum,
+      offset,
+      after
     });
 
-    // Get stats (total books and authors)
-    const { count: totalBooks } = await supabase
-      .from('bookshelf_books')
-      .select('*', { count: 'exact', head: true });
-
-    const { data: authorStats } = await supabase
-      .from('bookshelf_books')
-      .select('site_url')
-      .limit(1000); // Reasonable limit for distinct count
+    const books = await getBooksById(ids);
+    const formattedBooks = books.map(book => formatBook(book));
 
-    const uniqueAuthors = new Set(authorStats?.map(b => b.site_url) || []).size;
-
-    // Calculate pagination
-    const totalPages = Math.ceil((count || 0) / limitNum);
+    // Calculate pagination (a cursor page only knows what comes after it)
+    const pagination = after
+      ? {
+        limit: limitNum,
+        next_cursor: nextCursor
+      }
+      : {
+        page: pageNum,
+        limit: limitNum,
+        total: count || 0,
+        pages: Math.ceil((count || 0) / limitNum),
+        next_cursor: nextCursor
+      };
 
     // Success response
     return res.status(200).json({
       success: true,
       books: formattedBooks,
-      pagination: {
-        page: pageNum,
-        limit: limitNum,
-        total: count || 0,
-        pages: totalPages
-      },
-      stats: {
-        total_books: totalBooks || 0,
-        total_authors: uniqueAuthors
-      }
+      pagination
     });
 
   } catch (error) {
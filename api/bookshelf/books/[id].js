@@ -0,0 +1,95 @@
+/**
+ * GET /api/bookshelf/books/:id
+ * GET /api/bookshelf/books/:slug?site=authorsite.com
+ *
+ * Fetches one book from the BookPeek Bookshelf, with more books by its author
+ * and more books in its genres. Used by the book page on bookshelf.bookpeek.club.
+ * Only books from verified sites are found (see _lib/site-verification.js).
+ *
+ * Slugs are only unique per site, so a book is looked up by slug when "site"
+ * is given, and by its numeric ID otherwise.
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "book": { ...as in /api/bookshelf/books, plus site, isbn, cover.full and author links },
+ *   "more_by_author": [...],
+ *   "more_in_genre": [...]
+ * }
+ */
+
+import { parseSiteIdentity } from '../../_lib/site-identity.js';
+import {
+  getBook,
+  getMoreByAuthor,
+  getMoreInGenre,
+  formatBook
+} from '../../_lib/bookshelf-catalog.js';
+import { sendError, notFoundError, HTTP_STATUS } from '../../_lib/errors.js';
+
+const RELATED_LIMIT = 6;
+
+export default async function handler(req, res) {
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed. Use GET.'
+    });
+  }
+
+  try {
+    const { id, site: siteUrl } = req.query;
+    let lookup;
+
+    if (siteUrl) {
+      // Key the site by its canonical identity (see _lib/site-identity.js)
+      const site = parseSiteIdentity(String(siteUrl));
+
+      if (!site) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid site',
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      lookup = { slug: String(id), siteIdentity: site.identity };
+    } else if (/^\d+$/.test(String(id))) {
+      lookup = { id: Number(id) };
+    } else {
+      return res.status(400).json({
+        success: false,
+        error: 'Book ID must be a number. To look up a book by slug, pass its site.',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const book = await getBook(lookup);
+
+    if (!book) {
+      return sendError(res, HTTP_STATUS.NOT_FOUND, notFoundError('Book'));
+    }
+
+    const [moreByAuthor, moreInGenre] = await Promise.all([
+      getMoreByAuthor(book, RELATED_LIMIT),
+      getMoreInGenre(book, RELATED_LIMIT)
+    ]);
+
+    // Success response
+    return res.status(200).json({
+      success: true,
+      book: formatBook(book, { detail: true }),
+      more_by_author: moreByAuthor.map(related => formatBook(related)),
+      more_in_genre: moreInGenre.map(related => formatBook(related))
+    });
+
+  } catch (error) {
+    console.error('Unexpected error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
@@ -3,7 +3,10 @@
  *
  * Deregisters a site from the BookPeek Bookshelf.
  * Called when an author disables the Bookshelf feature in their plugin settings.
- * Removes all books from the site and marks the site as inactive.
+ * Removes all books from the site, marks the site as inactive and revokes its
+ * site token.
+ *
+ * Headers: Authorization: Bearer <site_token> (from /api/bookshelf/register)
  *
  * Request body:
  * {
@@ -19,6 +22,10 @@
  */
 
 import supabase, { formatSupabaseError, validatePayload } from '../_lib/supabase.js';
+import { parseSiteIdentity } from '../_lib/site-identity.js';
+import { authenticateSite, revokeSiteToken } from '../_lib/bookshelf-auth.js';
+import { sendError } from '../_lib/errors.js';
+import { refreshBookshelfStats } from '../_lib/bookshelf-stats.js';
 
 export default async function handler(req, res) {
   // Only allow POST requests
@@ -38,13 +45,29 @@ export default async function handler(req, res) {
       return res.status(400).json(validationError);
     }
 
-    const { site_url } = payload;
+    // Key the site by its canonical identity (see _lib/site-identity.js)
+    const site = parseSiteIdentity(payload.site_url);
+
+    if (!site) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid site_url',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    // Only the site's owner may write to it (see _lib/bookshelf-auth.js)
+    const auth = await authenticateSite(req, site.identity);
+
+    if (!auth.ok) {
+      return sendError(res, auth.status, auth.error);
+    }
 
     // First, count how many books will be removed
     const { count: bookCount, error: countError } = await supabase
       .from('bookshelf_books')
       .select('*', { count: 'exact', head: true })
-      .eq('site_url', site_url);
+      .eq('site_url', site.identity);
 
     if (countError) {
       console.error('Count error:', countError);
@@ -56,7 +79,7 @@ export default async function handler(req, res) {
     const { error: deleteError } = await supabase
       .from('bookshelf_books')
       .delete()
-      .eq('site_url', site_url);
+      .eq('site_url', site.identity);
 
     if (deleteError) {
       console.error('Delete error:', deleteError);
@@ -67,13 +90,18 @@ export default async function handler(req, res) {
     const { error: updateError } = await supabase
       .from('bookshelf_sites')
       .update({ active: false })
-      .eq('site_url', site_url);
+      .eq('site_url', site.identity);
 
     if (updateError) {
       console.error('Update error:', updateError);
       return res.status(500).json(formatSupabaseError(updateError));
     }
 
+    // Re-enabling the Bookshelf registers the site again for a new token
+    await revokeSiteToken(site.identity);
+
+    await refreshBookshelfStats();
+
     // Success response
     return res.status(200).json({
       success: true,
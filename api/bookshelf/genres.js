@@ -0,0 +1,67 @@
+/**
+ * GET /api/bookshelf/genres
+ *
+ * Lists the bookshelf genres with their labels and how many books from
+ * verified sites are in each. Used by the browse page to build its genre
+ * filters, and by every bookshelf page to label genre badges.
+ *
+ * Labels and order come from the bookshelf_genres table (migration 015);
+ * counts from the bookshelf_genre_counts() database function.
+ *
+ * Query parameters:
+ * - search: Only count books matching this search (same rules as /api/bookshelf/books)
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "genres": [
+ *     { "slug": "fantasy", "label": "Fantasy", "count": 12 },
+ *     { "slug": "horror", "label": "Horror", "count": 0 }
+ *   ]
+ * }
+ */
+
+import supabase, { formatSupabaseError } from '../_lib/supabase.js';
+import { normalizeSearch } from '../_lib/bookshelf-catalog.js';
+
+export default async function handler(req, res) {
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed. Use GET.'
+    });
+  }
+
+  try {
+    const { search } = req.query;
+
+    const { data, error } = await supabase
+      .rpc('bookshelf_genre_counts', {
+        search_query: normalizeSearch(search)
+      });
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json(formatSupabaseError(error));
+    }
+
+    // Success response
+    return res.status(200).json({
+      success: true,
+      genres: data.map(genre => ({
+        slug: genre.slug,
+        label: genre.label,
+        count: Number(genre.book_count)
+      }))
+    });
+
+  } catch (error) {
+    console.error('Unexpected error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
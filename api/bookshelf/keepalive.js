@@ -2,20 +2,26 @@
  * GET /api/bookshelf/keepalive
  *
  * Keepalive endpoint to prevent Supabase database from pausing.
- * Called by Vercel cron every 6 days (configured in vercel.json).
+ * Called by Vercel cron every day at midnight (configured in vercel.json).
  *
  * Supabase free tier pauses after 7 days of inactivity with ~60s cold start.
- * This cron runs every 6 days to keep the database active.
+ * A daily run keeps the database active with room to spare.
+ *
+ * It also refreshes the bookshelf stats, so on a quiet Bookshelf "books added
+ * this week" is at most a day out of date (see _lib/bookshelf-stats.js).
  *
  * Response:
  * {
  *   "success": true,
  *   "message": "Database keepalive successful",
- *   "timestamp": "2026-02-22T12:00:00.000Z"
+ *   "timestamp": "2026-02-22T12:00:00.000Z",
+ *   "books_count": 42,
+ *   "stats_refreshed": true
  * }
  */
 
 import supabase, { formatSupabaseError } from '../_lib/supabase.js';
+import { refreshBookshelfStats } from '../_lib/bookshelf-stats.js';
 
 export default async function handler(req, res) {
   // Only allow GET requests
@@ -38,6 +44,8 @@ export default async function handler(req, res) {
       return res.status(500).json(formatSupabaseError(error));
     }
 
+    const statsRefreshed = await refreshBookshelfStats({ force: true });
+
     // Log success for monitoring
     console.log(`[Keepalive] Database active - ${count || 0} books in database`);
 
@@ -46,7 +54,8 @@ export default async function handler(req, res) {
       success: true,
       message: 'Database keepalive successful',
       timestamp: new Date().toISOString(),
-      books_count: count || 0
+      books_count: count || 0,
+      stats_refreshed: statsRefreshed
     });
 
   } catch (error) {
@@ -0,0 +1,84 @@
+/**
+ * GET /api/bookshelf/manifest
+ *
+ * Lists every book a site has on the Bookshelf, with the content hash stored
+ * when it was last synced. The plugin compares it with its own books to find
+ * ones that need a resync (hash differs or is null) or that are missing, then
+ * sends a reconcile sync to /api/bookshelf/sync-batch.
+ *
+ * Headers: Authorization: Bearer <site_token> (from /api/bookshelf/register)
+ *
+ * Query parameters:
+ * - site_url: Site URL (required)
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "site_url": "authorsite.com",
+ *   "books": [
+ *     { "book_post_id": 42, "content_hash": "3a7bd3...", "synced_at": "2026-02-15T12:00:00.000Z" }
+ *   ],
+ *   "total": 1
+ * }
+ */
+
+import { validatePayload } from '../_lib/supabase.js';
+import { parseSiteIdentity } from '../_lib/site-identity.js';
+import { authenticateSite } from '../_lib/bookshelf-auth.js';
+import { getSiteManifest } from '../_lib/bookshelf-books.js';
+import { sendError } from '../_lib/errors.js';
+
+export default async function handler(req, res) {
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed. Use GET.'
+    });
+  }
+
+  try {
+    // Validate required fields
+    const validationError = validatePayload(req.query, ['site_url']);
+
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
+
+    // Key the site by its canonical identity (see _lib/site-identity.js)
+    const site = parseSiteIdentity(String(req.query.site_url));
+
+    if (!site) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid site_url',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    // Only the site's owner may read its manifest (see _lib/bookshelf-auth.js)
+    const auth = await authenticateSite(req, site.identity);
+
+    if (!auth.ok) {
+      return sendError(res, auth.status, auth.error);
+    }
+
+    const books = await getSiteManifest(site.identity);
+
+    // Success response
+    return res.status(200).json({
+      success: true,
+      site_url: site.identity,
+      books: books,
+      total: books.length
+    });
+
+  } catch (error) {
+    console.error('Unexpected error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
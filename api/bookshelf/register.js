@@ -4,21 +4,48 @@
  * Registers a WordPress site to the BookPeek Bookshelf.
  * Called when an author enables the Bookshelf feature in their plugin settings.
  *
+ * The caller must prove it owns the site, either:
+ * - with the license activation for it (license_key + instance_id), which
+ *   verifies the site and returns its site_token straight away, or
+ * - without one, by passing a domain verification challenge: the response
+ *   carries a nonce to publish on the site, then /api/bookshelf/verify returns
+ *   the site_token (see _lib/site-verification.js)
+ *
+ * The site_token authenticates /sync, /remove and /deregister
+ * (see _lib/bookshelf-auth.js). Registering again issues a new token.
+ *
  * Request body:
  * {
  *   "site_url": "https://authorsite.com",
- *   "site_name": "Jane's Author Site"
+ *   "site_name": "Jane's Author Site",
+ *   "license_key": "AKPRO-XXXX-XXXX-XXXX",   // optional
+ *   "instance_id": "inst_12345"              // optional
  * }
  *
- * Response:
+ * Response (license):
  * {
  *   "success": true,
+ *   "verified": true,
  *   "site_id": 123,
+ *   "site_token": "9f86d0...",
  *   "message": "Site registered successfully"
  * }
+ *
+ * Response (domain challenge):
+ * {
+ *   "success": true,
+ *   "verified": false,
+ *   "verification": { "challenge_token", "nonce", "well_known_url", "meta_tag", "expires_at" },
+ *   "message": "..."
+ * }
  */
 
-import supabase, { formatSupabaseError, validatePayload } from '../_lib/supabase.js';
+import { validatePayload } from '../_lib/supabase.js';
+import { parseSiteIdentity } from '../_lib/site-identity.js';
+import { verifyLicenseOwnership, registerVerifiedSite } from '../_lib/bookshelf-auth.js';
+import { createVerificationChallenge } from '../_lib/site-verification.js';
+import { rateLimit } from '../_lib/security.js';
+import { sendError, rateLimitError, HTTP_STATUS } from '../_lib/errors.js';
 
 export default async function handler(req, res) {
   // Only allow POST requests
@@ -38,35 +65,57 @@ export default async function handler(req, res) {
       return res.status(400).json(validationError);
     }
 
-    const { site_url, site_name } = payload;
-
-    // Upsert site registration (insert or update if exists)
-    const { data, error } = await supabase
-      .from('bookshelf_sites')
-      .upsert(
-        {
-          site_url: site_url,
-          site_name: site_name,
-          active: true,
-          registered_at: new Date().toISOString()
-        },
-        {
-          onConflict: 'site_url',
-          returning: 'representation'
-        }
-      )
-      .select()
-      .single();
-
-    if (error) {
-      console.error('Supabase error:', error);
-      return res.status(500).json(formatSupabaseError(error));
+    // Key the site by its canonical identity (see _lib/site-identity.js)
+    const site = parseSiteIdentity(payload.site_url);
+
+    if (!site) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid site_url',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const { site_name } = payload;
+
+    // No license activation - the site has to prove ownership of its domain.
+    // The site itself is only registered once the challenge is passed.
+    if (!payload.license_key && !payload.instance_id) {
+      const clientIp = req.headers['x-forwarded-for']?.split(',')[0] || req.headers['x-real-ip'] || 'unknown';
+      const rateLimitResult = rateLimit(`bookshelf-register:${clientIp}`, 10, 3600000);
+
+      if (!rateLimitResult.allowed) {
+        return sendError(res, HTTP_STATUS.TOO_MANY_REQUESTS, rateLimitError(rateLimitResult.retryAfter));
+      }
+
+      const verification = await createVerificationChallenge(site, site_name);
+
+      return res.status(200).json({
+        success: true,
+        verified: false,
+        verification: verification,
+        message: 'Publish the verification nonce on your site, then call /api/bookshelf/verify with the challenge token'
+      });
     }
 
+    // Prove ownership with the site's license activation
+    const ownership = await verifyLicenseOwnership(payload, site.identity);
+
+    if (!ownership.ok) {
+      return sendError(res, ownership.status, ownership.error);
+    }
+
+    const registration = await registerVerifiedSite(site, site_name, {
+      method: 'license',
+      license_instance_id: ownership.instance_id
+    });
+
     // Success response
     return res.status(200).json({
       success: true,
-      site_id: data.id,
+      verified: true,
+      site_id: registration.site_id,
+      site_token: registration.site_token,
       message: 'Site registered successfully'
     });
 
@@ -4,6 +4,8 @@
  * Removes a single book from the BookPeek Bookshelf.
  * Called when an author unchecks the "Include in Bookshelf" checkbox.
  *
+ * Headers: Authorization: Bearer <site_token> (from /api/bookshelf/register)
+ *
  * Request body:
  * {
  *   "site_url": "https://authorsite.com",
@@ -18,6 +20,10 @@
  */
 
 import supabase, { formatSupabaseError, validatePayload } from '../_lib/supabase.js';
+import { parseSiteIdentity } from '../_lib/site-identity.js';
+import { authenticateSite } from '../_lib/bookshelf-auth.js';
+import { sendError } from '../_lib/errors.js';
+import { refreshBookshelfStats } from '../_lib/bookshelf-stats.js';
 
 export default async function handler(req, res) {
   // Only allow POST requests
@@ -37,14 +43,32 @@ export default async function handler(req, res) {
       return res.status(400).json(validationError);
     }
 
-    const { site_url, book_post_id } = payload;
+    // Key the site by its canonical identity (see _lib/site-identity.js)
+    const site = parseSiteIdentity(payload.site_url);
+
+    if (!site) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid site_url',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    // Only the site's owner may write to it (see _lib/bookshelf-auth.js)
+    const auth = await authenticateSite(req, site.identity);
+
+    if (!auth.ok) {
+      return sendError(res, auth.status, auth.error);
+    }
+
+    const { book_post_id } = payload;
 
     // Delete the book record
     // Genres will be automatically deleted due to ON DELETE CASCADE
     const { error } = await supabase
       .from('bookshelf_books')
       .delete()
-      .eq('site_url', site_url)
+      .eq('site_url', site.identity)
       .eq('book_post_id', book_post_id);
 
     if (error) {
@@ -52,6 +76,8 @@ export default async function handler(req, res) {
       return res.status(500).json(formatSupabaseError(error));
     }
 
+    await refreshBookshelfStats();
+
     // Success response
     return res.status(200).json({
       success: true,
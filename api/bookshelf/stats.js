@@ -0,0 +1,76 @@
+/**
+ * GET /api/bookshelf/stats
+ *
+ * Bookshelf totals for the bookshelf.bookpeek.club home page: books and
+ * authors listed, books added in the last 7 days, and books per genre.
+ * Only verified sites count (see _lib/site-verification.js).
+ *
+ * Stats come precomputed from the bookshelf_stats materialized view, refreshed
+ * when books are synced or removed (at most once a minute) and daily by the
+ * keepalive cron (see _lib/bookshelf-stats.js). This handler sets the
+ * Cache-Control header: browsers and the CDN cache the stats for
+ * STATS_MAX_AGE seconds. The ETag changes
+ * with every refresh, so revalidating an unchanged response returns 304.
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "stats": {
+ *     "total_books": 42,
+ *     "total_authors": 7,
+ *     "books_this_week": 3,
+ *     "genres": [
+ *       { "slug": "fantasy", "label": "Fantasy", "count": 12 }
+ *     ],
+ *     "updated_at": "2026-02-22T12:00:00.000Z"
+ *   }
+ * }
+ */
+
+import { getBookshelfStats } from '../_lib/bookshelf-stats.js';
+
+const STATS_MAX_AGE = 300;
+
+export default async function handler(req, res) {
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed. Use GET.'
+    });
+  }
+
+  try {
+    const stats = await getBookshelfStats();
+
+    const etag = `"stats-${Date.parse(stats.refreshed_at)}"`;
+
+    res.setHeader('Cache-Control', `public, max-age=${STATS_MAX_AGE}, s-maxage=${STATS_MAX_AGE}, stale-while-revalidate=${STATS_MAX_AGE * 2}`);
+    res.setHeader('ETag', etag);
+    res.setHeader('Last-Modified', new Date(stats.refreshed_at).toUTCString());
+
+    if (req.headers['if-none-match'] === etag) {
+      return res.status(304).end();
+    }
+
+    // Success response
+    return res.status(200).json({
+      success: true,
+      stats: {
+        total_books: Number(stats.total_books),
+        total_authors: Number(stats.total_authors),
+        books_this_week: Number(stats.books_this_week),
+        genres: stats.genres,
+        updated_at: stats.refreshed_at
+      }
+    });
+
+  } catch (error) {
+    console.error('Unexpected error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,296 @@
+/**
+ * POST /api/bookshelf/sync-batch
+ *
+ * Syncs up to MAX_BATCH_SIZE books from a WordPress site in one call.
+ * Used for the initial import when an author enables the Bookshelf, and for resyncs.
+ *
+ * Each book is validated on its own - invalid books are rejected with the
+ * reasons, the rest are upserted together and their genres reconciled in one pass.
+ *
+ * Reconcile mode ("reconcile": true) also removes the site's books that are
+ * neither in "manifest" - the post IDs of every book the site currently
+ * includes in the Bookshelf - nor in this batch. "books" may then be empty,
+ * to only reconcile. See /api/bookshelf/manifest.
+ *
+ * Headers: Authorization: Bearer <site_token> (from /api/bookshelf/register)
+ *
+ * Request body:
+ * {
+ *   "site_url": "https://authorsite.com",
+ *   "site_name": "Jane's Author Site",
+ *   "books": [ { ...book payload as for /api/bookshelf/sync, without site_url/site_name } ],
+ *   "reconcile": true,            // optional
+ *   "manifest": [42, 43, 44]      // required with reconcile
+ * }
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "results": [
+ *     { "book_post_id": 42, "status": "created", "book_id": 456, "content_hash": "3a7bd3..." },
+ *     { "book_post_id": 43, "status": "updated", "book_id": 457, "content_hash": "9c56cc..." },
+ *     { "book_post_id": null, "status": "rejected", "errors": ["title is required"] }
+ *   ],
+ *   "removed": [41],              // reconcile only
+ *   "summary": { "created": 1, "updated": 1, "rejected": 1, "removed": 1 },
+ *   "message": "Batch synced: 1 created, 1 updated, 1 rejected, 1 removed"
+ * }
+ */
+
+import supabase, { formatSupabaseError, validatePayload } from '../_lib/supabase.js';
+import { parseSiteIdentity } from '../_lib/site-identity.js';
+import { authenticateSite } from '../_lib/bookshelf-auth.js';
+import { sendError, createErrorResponse, ERROR_CODES } from '../_lib/errors.js';
+import {
+  validateBookPayload,
+  buildBookRecord,
+  getBookGenres,
+  getSiteManifest
+} from '../_lib/bookshelf-books.js';
+import { refreshBookshelfStats } from '../_lib/bookshelf-stats.js';
+
+const MAX_BATCH_SIZE = 100;
+const MAX_MANIFEST_SIZE = 10000;
+// Keeps the delete filter well inside URL length limits
+const REMOVE_CHUNK_SIZE = 200;
+
+export default async function handler(req, res) {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed. Use POST.'
+    });
+  }
+
+  try {
+    const payload = req.body;
+
+    // Validate required fields
+    const validationError = validatePayload(payload, ['site_url', 'site_name', 'books']);
+
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
+
+    const reconcile = payload.reconcile === true;
+    const minBooks = reconcile ? 0 : 1;
+
+    if (!Array.isArray(payload.books) || payload.books.length < minBooks || payload.books.length > MAX_BATCH_SIZE) {
+      return res.status(400).json(createErrorResponse(
+        `books must be an array of ${minBooks} to ${MAX_BATCH_SIZE} books`,
+        ERROR_CODES.VALIDATION_ERROR
+      ));
+    }
+
+    if (reconcile && (
+      !Array.isArray(payload.manifest) ||
+      payload.manifest.length > MAX_MANIFEST_SIZE ||
+      !payload.manifest.every(id => /^\d+$/.test(String(id)) && Number(id) > 0)
+    )) {
+      return res.status(400).json(createErrorResponse(
+        `manifest must be an array of up to ${MAX_MANIFEST_SIZE} book post IDs when reconciling`,
+        ERROR_CODES.VALIDATION_ERROR
+      ));
+    }
+
+    // Key the site by its canonical identity (see _lib/site-identity.js)
+    const site = parseSiteIdentity(payload.site_url);
+
+    if (!site) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid site_url',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    // Only the site's owner may write to it (see _lib/bookshelf-auth.js)
+    const auth = await authenticateSite(req, site.identity);
+
+    if (!auth.ok) {
+      return sendError(res, auth.status, auth.error);
+    }
+
+    // Validate each book - results keep the order of the submitted books
+    const results = [];
+    const accepted = new Map();
+
+    for (const book of payload.books) {
+      const errors = validateBookPayload(book);
+      const postId = errors.length === 0 ? Number(book.book_post_id) : null;
+
+      if (postId !== null && accepted.has(postId)) {
+        errors.push('duplicate book_post_id in batch');
+      }
+
+      if (errors.length > 0) {
+        results.push({
+          book_post_id: book?.book_post_id ?? null,
+          status: 'rejected',
+          errors: errors
+        });
+        continue;
+      }
+
+      const result = { book_post_id: postId, status: null, book_id: null };
+      accepted.set(postId, { book, result });
+      results.push(result);
+    }
+
+    if (accepted.size > 0) {
+      const postIds = [...accepted.keys()];
+
+      // Keep the site's details current (it is registered - it has a token)
+      const { error: siteError } = await supabase
+        .from('bookshelf_sites')
+        .update({
+          home_url: site.home_url,
+          site_name: payload.site_name,
+          active: true
+        })
+        .eq('site_url', site.identity);
+
+      if (siteError) {
+        console.error('Site update error:', siteError);
+        return res.status(500).json(formatSupabaseError(siteError));
+      }
+
+      // Existing books and their genres, to tell created from updated and diff genres
+      const { data: existingBooks, error: existingError } = await supabase
+        .from('bookshelf_books')
+        .select('book_post_id, bookshelf_book_genres ( genre_slug )')
+        .eq('site_url', site.identity)
+        .in('book_post_id', postIds);
+
+      if (existingError) {
+        console.error('Existing books lookup error:', existingError);
+        return res.status(500).json(formatSupabaseError(existingError));
+      }
+
+      const existingGenres = new Map(existingBooks.map(book => [
+        book.book_post_id,
+        (book.bookshelf_book_genres || []).map(g => g.genre_slug)
+      ]));
+
+      // Upsert all accepted books at once
+      const syncedAt = new Date().toISOString();
+
+      const { data: bookRecords, error: bookError } = await supabase
+        .from('bookshelf_books')
+        .upsert(
+          [...accepted.values()].map(({ book }) => buildBookRecord(site.identity, book, syncedAt)),
+          { onConflict: 'site_url,book_post_id' }
+        )
+        .select('id, book_post_id, content_hash');
+
+      if (bookError) {
+        console.error('Book upsert error:', bookError);
+        return res.status(500).json(formatSupabaseError(bookError));
+      }
+
+      // Reconcile genres in one pass: only books whose genres changed are rewritten
+      const changedBookIds = [];
+      const genreRecords = [];
+
+      for (const record of bookRecords) {
+        const { book, result } = accepted.get(record.book_post_id);
+        const genres = getBookGenres(book);
+        const previous = existingGenres.get(record.book_post_id);
+
+        result.status = previous ? 'updated' : 'created';
+        result.book_id = record.id;
+        result.content_hash = record.content_hash;
+
+        if (previous && sameGenres(previous, genres)) {
+          continue;
+        }
+
+        changedBookIds.push(record.id);
+        genreRecords.push(...genres.map(genre => ({ book_id: record.id, genre_slug: genre })));
+      }
+
+      if (changedBookIds.length > 0) {
+        const { error: deleteError } = await supabase
+          .from('bookshelf_book_genres')
+          .delete()
+          .in('book_id', changedBookIds);
+
+        // Don't fail the batch over genres - the books are already saved
+        if (deleteError) {
+          console.error('Genre delete error:', deleteError);
+        } else if (genreRecords.length > 0) {
+          const { error: genreError } = await supabase
+            .from('bookshelf_book_genres')
+            .insert(genreRecords);
+
+          if (genreError) {
+            console.error('Genre insert error:', genreError);
+          }
+        }
+      }
+    }
+
+    // Reconcile: remove books the site no longer includes - only after the batch is saved
+    let removed = null;
+
+    if (reconcile) {
+      const keep = new Set([...payload.manifest.map(Number), ...accepted.keys()]);
+      removed = (await getSiteManifest(site.identity))
+        .map(book => book.book_post_id)
+        .filter(postId => !keep.has(postId));
+
+      for (let i = 0; i < removed.length; i += REMOVE_CHUNK_SIZE) {
+        // Genres will be automatically deleted due to ON DELETE CASCADE
+        const { error: removeError } = await supabase
+          .from('bookshelf_books')
+          .delete()
+          .eq('site_url', site.identity)
+          .in('book_post_id', removed.slice(i, i + REMOVE_CHUNK_SIZE));
+
+        if (removeError) {
+          console.error('Reconcile delete error:', removeError);
+          return res.status(500).json(formatSupabaseError(removeError));
+        }
+      }
+    }
+
+    const summary = { created: 0, updated: 0, rejected: 0 };
+    results.forEach(result => summary[result.status]++);
+
+    let message = `Batch synced: ${summary.created} created, ${summary.updated} updated, ${summary.rejected} rejected`;
+
+    if (removed) {
+      summary.removed = removed.length;
+      message += `, ${removed.length} removed`;
+    }
+
+    if (summary.created + summary.updated + (summary.removed || 0) > 0) {
+      await refreshBookshelfStats();
+    }
+
+    // Success response
+    return res.status(200).json({
+      success: true,
+      results: results,
+      ...(removed && { removed: removed }),
+      summary: summary,
+      message: message
+    });
+
+  } catch (error) {
+    console.error('Unexpected error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Compare two genre lists ignoring order
+ */
+function sameGenres(a, b) {
+  return a.length === b.length && a.every(genre => b.includes(genre));
+}
@@ -5,16 +5,23 @@
  * Called when an author saves a book with the "Include in Bookshelf" checkbox enabled.
  *
  * Request body: Full book payload (22 fields per RFC)
+ * Headers: Authorization: Bearer <site_token> (from /api/bookshelf/register)
  *
  * Response:
  * {
  *   "success": true,
  *   "book_id": 456,
+ *   "content_hash": "3a7bd3...",
  *   "message": "Book synced successfully"
  * }
  */
 
 import supabase, { formatSupabaseError, validatePayload } from '../_lib/supabase.js';
+import { parseSiteIdentity } from '../_lib/site-identity.js';
+import { authenticateSite } from '../_lib/bookshelf-auth.js';
+import { sendError, createErrorResponse, ERROR_CODES } from '../_lib/errors.js';
+import { validateBookPayload, buildBookRecord, getBookGenres } from '../_lib/bookshelf-books.js';
+import { refreshBookshelfStats } from '../_lib/bookshelf-stats.js';
 
 export default async function handler(req, res) {
   // Only allow POST requests
@@ -40,52 +47,47 @@ export default async function handler(req, res) {
       return res.status(400).json(validationError);
     }
 
-    // First, ensure the site is registered
+    const bookErrors = validateBookPayload(payload);
+
+    if (bookErrors.length > 0) {
+      return res.status(400).json(createErrorResponse('Invalid book', ERROR_CODES.VALIDATION_ERROR, bookErrors));
+    }
+
+    // Key the site by its canonical identity (see _lib/site-identity.js)
+    const site = parseSiteIdentity(payload.site_url);
+
+    if (!site) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid site_url',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    // Only the site's owner may write to it (see _lib/bookshelf-auth.js)
+    const auth = await authenticateSite(req, site.identity);
+
+    if (!auth.ok) {
+      return sendError(res, auth.status, auth.error);
+    }
+
+    // Keep the site's details current (it is registered - it has a token)
     const { error: siteError } = await supabase
       .from('bookshelf_sites')
-      .upsert(
-        {
-          site_url: payload.site_url,
-          site_name: payload.site_name,
-          active: true
-        },
-        {
-          onConflict: 'site_url'
-        }
-      );
+      .update({
+        home_url: site.home_url,
+        site_name: payload.site_name,
+        active: true
+      })
+      .eq('site_url', site.identity);
 
     if (siteError) {
-      console.error('Site registration error:', siteError);
+      console.error('Site update error:', siteError);
       return res.status(500).json(formatSupabaseError(siteError));
     }
 
     // Prepare book data for database
-    const bookData = {
-      site_url: payload.site_url,
-      book_post_id: payload.book_post_id,
-      title: payload.title,
-      slug: payload.slug || '',
-      description: payload.description || '',
-      cover_thumbnail: payload.cover?.thumbnail || '',
-      cover_medium: payload.cover?.medium || '',
-      cover_large: payload.cover?.large || '',
-      cover_full: payload.cover?.full || '',
-      author_name: payload.author || '',
-      author_bio: payload.author_bio || '',
-      author_website: payload.author_website || '',
-      author_twitter: payload.author_twitter || '',
-      author_instagram: payload.author_instagram || '',
-      purchase_amazon_in: payload.purchase_links?.amazon_in || '',
-      purchase_amazon_com: payload.purchase_links?.amazon_com || '',
-      purchase_other: payload.purchase_links?.other || '',
-      local_categories: JSON.stringify(payload.local_categories || []),
-      formats: JSON.stringify(payload.formats || []),
-      isbn: payload.isbn || '',
-      rating: payload.rating || null,
-      review_count: payload.review_count || null,
-      publication_date: payload.publication_date || null,
-      synced_at: new Date().toISOString()
-    };
+    const bookData = buildBookRecord(site.identity, payload, new Date().toISOString());
 
     // Upsert book record
     const { data: bookRecord, error: bookError } = await supabase
@@ -111,33 +113,31 @@ export default async function handler(req, res) {
       .delete()
       .eq('book_id', bookId);
 
-    // Insert new genre associations
-    if (payload.bookshelf_genres && payload.bookshelf_genres.length > 0) {
-      const genreRecords = payload.bookshelf_genres
-        .filter(genre => genre) // Filter out empty values
-        .slice(0, 2) // Max 2 genres
-        .map(genre => ({
-          book_id: bookId,
-          genre_slug: genre
-        }));
-
-      if (genreRecords.length > 0) {
-        const { error: genreError } = await supabase
-          .from('bookshelf_book_genres')
-          .insert(genreRecords);
-
-        if (genreError) {
-          console.error('Genre insert error:', genreError);
-          // Don't fail the whole request if genre insert fails
-          // The book is already saved
-        }
+    // Insert new genre associations (max MAX_GENRES_PER_BOOK)
+    const genreRecords = getBookGenres(payload).map(genre => ({
+      book_id: bookId,
+      genre_slug: genre
+    }));
+
+    if (genreRecords.length > 0) {
+      const { error: genreError } = await supabase
+        .from('bookshelf_book_genres')
+        .insert(genreRecords);
+
+      if (genreError) {
+        console.error('Genre insert error:', genreError);
+        // Don't fail the whole request if genre insert fails
+        // The book is already saved
       }
     }
 
+    await refreshBookshelfStats();
+
     // Success response
     return res.status(200).json({
       success: true,
       book_id: bookId,
+      content_hash: bookRecord.content_hash,
       message: 'Book synced successfully'
     });
 
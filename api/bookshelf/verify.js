@@ -0,0 +1,129 @@
+/**
+ * POST /api/bookshelf/verify
+ *
+ * Completes domain verification for a site registered without a license
+ * activation. Fetches the site, and if the challenge nonce from
+ * /api/bookshelf/register is published there, marks the site verified and
+ * returns its site token (see _lib/site-verification.js).
+ *
+ * The nonce is looked for in <home_url>/.well-known/bookpeek-verification.txt,
+ * then in a <meta name="bookpeek-verification" content="..."> tag on the home page.
+ *
+ * Request body:
+ * {
+ *   "site_url": "https://authorsite.com",
+ *   "challenge_token": "c0ffee..."
+ * }
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "verified": true,
+ *   "verified_at": "2026-02-15T12:00:00.000Z",
+ *   "site_id": 123,
+ *   "site_token": "9f86d0...",
+ *   "message": "Site verified successfully"
+ * }
+ */
+
+import { validatePayload } from '../_lib/supabase.js';
+import { parseSiteIdentity } from '../_lib/site-identity.js';
+import { registerVerifiedSite } from '../_lib/bookshelf-auth.js';
+import {
+  getVerificationChallenge,
+  findVerificationNonce,
+  clearVerificationChallenges
+} from '../_lib/site-verification.js';
+import { rateLimit } from '../_lib/security.js';
+import {
+  sendError,
+  rateLimitError,
+  unauthorizedError,
+  createErrorResponse,
+  ERROR_CODES,
+  HTTP_STATUS
+} from '../_lib/errors.js';
+
+export default async function handler(req, res) {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed. Use POST.'
+    });
+  }
+
+  // Rate limiting - every attempt fetches the author's site
+  const clientIp = req.headers['x-forwarded-for']?.split(',')[0] || req.headers['x-real-ip'] || 'unknown';
+  const rateLimitResult = rateLimit(`bookshelf-verify:${clientIp}`, 20, 3600000);
+
+  if (!rateLimitResult.allowed) {
+    return sendError(res, HTTP_STATUS.TOO_MANY_REQUESTS, rateLimitError(rateLimitResult.retryAfter));
+  }
+
+  try {
+    const payload = req.body;
+
+    // Validate required fields
+    const validationError = validatePayload(payload, ['site_url', 'challenge_token']);
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
+
+    // Key the site by its canonical identity (see _lib/site-identity.js)
+    const site = parseSiteIdentity(payload.site_url);
+
+    if (!site) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid site_url',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const challenge = await getVerificationChallenge(String(payload.challenge_token));
+
+    if (!challenge || challenge.site_url !== site.identity) {
+      return sendError(res, HTTP_STATUS.UNAUTHORIZED, unauthorizedError(
+        'Unknown or expired verification challenge. Register the site again for a new one.'
+      ));
+    }
+
+    // Fetch the URL the challenge was issued for, not whatever the caller sends now
+    const result = await findVerificationNonce(challenge.home_url, challenge.nonce);
+
+    if (!result.found) {
+      return sendError(res, HTTP_STATUS.FORBIDDEN, createErrorResponse(
+        'Verification nonce not found on the site',
+        ERROR_CODES.FORBIDDEN,
+        result.errors
+      ));
+    }
+
+    const registration = await registerVerifiedSite(
+      { identity: challenge.site_url, home_url: challenge.home_url },
+      challenge.site_name,
+      { method: 'domain' }
+    );
+
+    await clearVerificationChallenges(challenge.site_url);
+
+    // Success response
+    return res.status(200).json({
+      success: true,
+      verified: true,
+      verified_at: registration.verified_at,
+      site_id: registration.site_id,
+      site_token: registration.site_token,
+      message: 'Site verified successfully'
+    });
+
+  } catch (error) {
+    console.error('Unexpected error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
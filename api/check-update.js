@@ -16,60 +16,17 @@ import {
   generateSecureToken,
   logSecurityEvent
 } from './_lib/security.js';
+import { resolveLicense, getInstanceHeartbeat, findSiteInstance } from './_lib/license-ledger.js';
+import { resolveProduct } from './_lib/product-catalog.js';
+import { getGracePeriod } from './_lib/grace-period.js';
+import { PLUGIN_VERSIONS, compareVersions, checkReleaseCompatibility } from './_lib/plugin-releases.js';
+import { withRequestSigning } from './_lib/request-signing.js';
+import { createDeadline } from './_lib/lemon-squeezy.js';
 
-// Define available plugin versions
-// In production, you'd store this in a database or config file
-const PLUGIN_VERSIONS = {
-  'bookpeek-pro': {
-    version: '1.0.0',
-    tested_up_to: '6.4',
-    requires_php: '7.0',
-    changelog: `
-### Version 1.0.0 - 2026-02-15
-
-**New Features:**
-- Launch Countdown Manager
-- Landing Page Generator
-- Series Tracker
-- Event Manager
-- Reader Magnets
-- Book Links Hub
-- Goodreads Integration
-
-**Improvements:**
-- Enhanced performance
-- Better mobile responsiveness
-- Improved admin UI
-
-**Bug Fixes:**
-- Fixed timezone handling in countdowns
-- Resolved schema markup validation issues
-`,
-    download_url: 'https://bookpeek.club/downloads/bookpeek-pro-1.0.0.zip'
-  },
-  'bookpeek-agency': {
-    version: '1.0.0',
-    tested_up_to: '6.4',
-    requires_php: '7.0',
-    changelog: `
-### Version 1.0.0 - 2026-02-15
-
-**New Features:**
-- All Pro features
-- Unlimited site activations
-- Priority support
-- Advanced analytics
-- White-label options
-
-**Improvements:**
-- Multi-site network support
-- Enhanced performance
-`,
-    download_url: 'https://bookpeek.club/downloads/bookpeek-agency-1.0.0.zip'
-  }
-};
+async function handler(req, res) {
+  // Every Lemon Squeezy call this request makes shares one deadline
+  const deadline = createDeadline();
 
-export default async function handler(req, res) {
   // Set security headers
   setSecurityHeaders(res);
   setCorsHeaders(req, res);
@@ -149,31 +106,50 @@ export default async function handler(req, res) {
       });
     }
 
-    // Validate license first
-    const validateResponse = await fetch(
-      `https://api.lemonsqueezy.com/v1/licenses/validate`,
-      {
-        method: 'POST',
-        headers: {
-          'Accept': 'application/json',
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${lsApiKey}`
-        },
-        body: JSON.stringify({
-          license_key: license_key
-        })
-      }
-    );
+    // Validate license first (ledger, refreshed from Lemon Squeezy when missing or stale)
+    const resolved = await resolveLicense(license_key, { deadline });
+
+    if (resolved.status === 'unavailable') {
+      return res.status(503).json({
+        error: 'Service unavailable',
+        message: 'License service is temporarily unavailable. Please try again later.'
+      });
+    }
 
-    if (!validateResponse.ok) {
+    if (resolved.status === 'invalid') {
       return res.status(403).json({
         error: 'Invalid license',
         message: 'Your license is not valid. Updates are only available for active licenses.'
       });
     }
 
-    const validateData = await validateResponse.json();
-    const license = validateData.license_key;
+    const license = resolved.data.license_key;
+
+    // Signed requests must come from an activation of this license
+    if (req.signature && String(req.signature.license_id) !== String(license.id)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Request not signed by an activation of this license'
+      });
+    }
+    const product = await resolveProduct(resolved.data);
+
+    const isExpired = Boolean(license.expires_at) && new Date(license.expires_at) < new Date();
+
+    // Licenses in their grace period (failed payment or expiry) keep working,
+    // but don't get updates
+    const gracePeriod = getGracePeriod(resolved.data, product);
+
+    if (gracePeriod && !gracePeriod.ended) {
+      return res.status(403).json({
+        error: 'License in grace period',
+        message: gracePeriod.reason === 'payment_failed'
+          ? 'Your last payment failed. Please update your payment details to receive updates.'
+          : 'Your license has expired. Please renew to receive updates.',
+        status: 'grace',
+        grace_ends_at: gracePeriod.grace_ends_at
+      });
+    }
 
     // Check license status and expiry
     if (license.status !== 'active') {
@@ -183,14 +159,27 @@ export default async function handler(req, res) {
       });
     }
 
-    if (license.expires_at) {
-      const expiryDate = new Date(license.expires_at);
-      if (expiryDate < new Date()) {
-        return res.status(403).json({
-          error: 'License expired',
-          message: 'Your license has expired. Please renew to receive updates.'
-        });
-      }
+    if (isExpired) {
+      return res.status(403).json({
+        error: 'License expired',
+        message: 'Your license has expired. Please renew to receive updates.'
+      });
+    }
+
+    if (gracePeriod?.reason === 'payment_failed') {
+      return res.status(403).json({
+        error: 'Payment failed',
+        message: 'Your last payment failed. Please update your payment details to receive updates.'
+      });
+    }
+
+    // Licenses only receive updates for the plugin their product includes
+    // (products missing from the catalog can't say which, so they aren't limited)
+    if (product.from_catalog && product.plugin_slug !== plugin_slug) {
+      return res.status(403).json({
+        error: 'Plugin not licensed',
+        message: `Your ${product.tier_name} license does not include updates for ${plugin_slug}.`
+      });
     }
 
     // Get latest version info for the plugin
@@ -216,6 +205,22 @@ export default async function handler(req, res) {
       });
     }
 
+    // Check the release against the site's last heartbeat: hold back releases
+    // its PHP version can't run, and flag ones not tested on its WordPress version
+    const siteInstance = findSiteInstance(resolved.data.meta?.instances || [], site_url);
+    const heartbeat = siteInstance ? await getInstanceHeartbeat(siteInstance.id) : null;
+    const compatibility = checkReleaseCompatibility(latestVersion, heartbeat);
+
+    if (compatibility.php_supported === false) {
+      return res.status(200).json({
+        update_available: false,
+        current_version: current_version,
+        latest_version: latestVersion.version,
+        requires_php: latestVersion.requires_php,
+        message: `Version ${latestVersion.version} requires PHP ${latestVersion.requires_php} or higher. This site runs PHP ${compatibility.php_version}.`
+      });
+    }
+
     // Generate secure download URL with JWT-like token (1 hour expiry)
     const downloadToken = generateSecureToken({
       license_key: license_key.substring(0, 16), // Only store partial key
@@ -236,6 +241,10 @@ export default async function handler(req, res) {
       package: secureDownloadUrl,
       tested: latestVersion.tested_up_to,
       requires_php: latestVersion.requires_php,
+      wp_untested: compatibility.wp_tested === false,
+      ...(compatibility.wp_tested === false && {
+        upgrade_notice: `Version ${latestVersion.version} has been tested up to WordPress ${latestVersion.tested_up_to}. This site runs WordPress ${compatibility.wp_version}.`
+      }),
       icons: {
         '1x': 'https://bookpeek.club/images/icon-128x128.png',
         '2x': 'https://bookpeek.club/images/icon-256x256.png'
@@ -268,21 +277,4 @@ export default async function handler(req, res) {
   }
 }
 
-/**
- * Compare two semantic versions
- * Returns: -1 if v1 < v2, 0 if equal, 1 if v1 > v2
- */
-function compareVersions(v1, v2) {
-  const parts1 = v1.split('.').map(Number);
-  const parts2 = v2.split('.').map(Number);
-
-  for (let i = 0; i < Math.max(parts1.length, parts2.length); i++) {
-    const part1 = parts1[i] || 0;
-    const part2 = parts2[i] || 0;
-
-    if (part1 < part2) return -1;
-    if (part1 > part2) return 1;
-  }
-
-  return 0;
-}
+export default withRequestSigning(handler);
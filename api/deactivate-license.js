@@ -5,6 +5,8 @@
  *
  * POST /api/deactivate-license
  * Body: { license_key: string, site_url: string, instance_id: string }
+ *
+ * If instance_id is omitted, the instance is looked up by site_url's canonical identity.
  * Returns: { success: boolean, message: string, data: object }
  */
 
@@ -13,10 +15,24 @@ import {
   setSecurityHeaders,
   rateLimit,
   validateInput,
+  hashSensitiveData,
   logSecurityEvent
 } from './_lib/security.js';
+import { resolveLicense, recordDeactivation, isStagingInstanceId, findSiteInstance } from './_lib/license-ledger.js';
+import { invalidateLicenseCache } from './_lib/license-cache.js';
+import { withRequestSigning } from './_lib/request-signing.js';
+import {
+  createDeadline,
+  deactivateLicense,
+  describeError,
+  LemonSqueezyError,
+  LS_ERROR_TYPES
+} from './_lib/lemon-squeezy.js';
+
+async function handler(req, res) {
+  // Every Lemon Squeezy call this request makes shares one deadline
+  const deadline = createDeadline();
 
-export default async function handler(req, res) {
   // Set security headers
   setSecurityHeaders(res);
   setCorsHeaders(req, res);
@@ -82,9 +98,30 @@ export default async function handler(req, res) {
       });
     }
 
-    const { license_key, site_url, instance_id } = validation.data;
+    const { license_key, site_url } = validation.data;
+    let { instance_id } = validation.data;
+
+    // Signed requests can only deactivate the activation that signed them
+    if (req.signature) {
+      instance_id = instance_id || req.signature.instance_id;
 
-    // If no instance_id is provided, return success immediately
+      if (instance_id !== req.signature.instance_id) {
+        return res.status(403).json({
+          success: false,
+          message: 'Request not signed by this activation'
+        });
+      }
+    }
+
+    // No instance_id - look up the site's instance by canonical site identity
+    if (!instance_id && site_url) {
+      const resolved = await resolveLicense(license_key, { deadline });
+      const siteInstance = findSiteInstance(resolved.data?.meta?.instances || [], site_url);
+
+      instance_id = siteInstance?.id || null;
+    }
+
+    // If no instance is found, return success immediately
     // This handles legacy activations that don't have instance tracking
     if (!instance_id || instance_id.trim() === '') {
       logSecurityEvent('deactivation_no_instance', {
@@ -103,38 +140,46 @@ export default async function handler(req, res) {
       });
     }
 
-    const lsApiKey = process.env.LEMON_SQUEEZY_API_KEY;
+    // Staging activations only exist in the ledger
+    if (isStagingInstanceId(instance_id)) {
+      const resolved = await resolveLicense(license_key, { deadline });
+      const ownsInstance = (resolved.data?.meta?.instances || []).some(instance => instance.id === instance_id);
 
-    if (!lsApiKey) {
-      return res.status(500).json({
-        success: false,
-        message: 'License service not configured'
+      if (!ownsInstance) {
+        return res.status(404).json({
+          success: false,
+          message: 'Activation not found for this license'
+        });
+      }
+
+      await recordDeactivation(instance_id);
+      await invalidateLicenseCache({ licenseKey: license_key });
+
+      return res.status(200).json({
+        success: true,
+        message: `License successfully deactivated from staging site ${site_url || ''}`.trim(),
+        data: {
+          deactivated_at: new Date().toISOString(),
+          environment: 'staging'
+        }
       });
     }
 
     // Deactivate via Lemon Squeezy API with instance_id
-    const deactivateResponse = await fetch(
-      `https://api.lemonsqueezy.com/v1/licenses/deactivate`,
-      {
-        method: 'POST',
-        headers: {
-          'Accept': 'application/json',
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${lsApiKey}`
-        },
-        body: JSON.stringify({
-          license_key: license_key,
-          instance_id: instance_id
-        })
+    try {
+      await deactivateLicense(license_key, instance_id, { deadline });
+    } catch (error) {
+      if (!(error instanceof LemonSqueezyError)) {
+        throw error;
       }
-    );
 
-    if (!deactivateResponse.ok) {
-      const errorData = await deactivateResponse.json();
-      console.error('Lemon Squeezy deactivation error:', errorData);
+      console.error('Lemon Squeezy deactivation error:', error.message, error.details);
 
       // Check if instance not found - treat as success since it's already deactivated
-      if (deactivateResponse.status === 404) {
+      if (error.type === LS_ERROR_TYPES.INVALID && error.status === 404) {
+        await recordDeactivation(instance_id);
+        await invalidateLicenseCache({ licenseKey: license_key });
+
         return res.status(200).json({
           success: true,
           message: 'License deactivated (instance not found in LemonSqueezy)',
@@ -145,12 +190,17 @@ export default async function handler(req, res) {
         });
       }
 
-      return res.status(500).json({
+      const { status, message } = describeError(error);
+
+      return res.status(status).json({
         success: false,
-        message: 'Failed to deactivate license from LemonSqueezy'
+        message: error.type === LS_ERROR_TYPES.INVALID ? 'Failed to deactivate license from LemonSqueezy' : message
       });
     }
 
+    await recordDeactivation(instance_id);
+    await invalidateLicenseCache({ licenseKey: license_key });
+
     // Return success
     return res.status(200).json({
       success: true,
@@ -177,3 +227,5 @@ export default async function handler(req, res) {
     });
   }
 }
+
+export default withRequestSigning(handler);
@@ -0,0 +1,229 @@
+/**
+ * Plugin Heartbeat API Endpoint
+ *
+ * Records the environment a licensed site is running (plugin, WordPress and
+ * PHP versions, locale, multisite, enabled modules) against its activation
+ *
+ * POST /api/heartbeat
+ * Body: {
+ *   license_key: string, instance_id: string,
+ *   plugin_slug?: string, plugin_version?: string, wp_version?: string, php_version?: string,
+ *   locale?: string, is_multisite?: boolean, enabled_modules?: string[]
+ * }
+ * Returns: { success: boolean, message: string, data: { last_seen_at: string } }
+ */
+
+import {
+  setCorsHeaders,
+  setSecurityHeaders,
+  rateLimit,
+  validateInput,
+  hashSensitiveData,
+  logSecurityEvent
+} from './_lib/security.js';
+import { resolveLicense, recordHeartbeat } from './_lib/license-ledger.js';
+import { withRequestSigning } from './_lib/request-signing.js';
+import { createDeadline } from './_lib/lemon-squeezy.js';
+
+const VERSION_PATTERN = /^\d+(\.\d+){0,3}([.+-][0-9A-Za-z.+-]*)?$/;
+const MODULE_PATTERN = /^[a-z0-9-]{1,50}$/;
+const MAX_MODULES = 50;
+
+async function handler(req, res) {
+  // Every Lemon Squeezy call this request makes shares one deadline
+  const deadline = createDeadline();
+
+  // Set security headers
+  setSecurityHeaders(res);
+  setCorsHeaders(req, res);
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      message: 'Method not allowed'
+    });
+  }
+
+  // Rate limiting - 60 heartbeats per hour per IP (agencies host many sites per server)
+  const clientIp = req.headers['x-forwarded-for']?.split(',')[0] || req.headers['x-real-ip'] || 'unknown';
+  const rateLimitResult = rateLimit(`heartbeat:${clientIp}`, 60, 3600000);
+
+  if (!rateLimitResult.allowed) {
+    logSecurityEvent('rate_limit_exceeded', {
+      ip: clientIp,
+      endpoint: '/api/heartbeat'
+    });
+
+    return res.status(429).json({
+      success: false,
+      message: 'Too many heartbeats. Please try again later.',
+      retryAfter: rateLimitResult.retryAfter
+    });
+  }
+
+  try {
+    const body = req.body || {};
+
+    // Validate and sanitize input
+    const validation = validateInput(body, {
+      license_key: {
+        type: 'string',
+        required: true,
+        maxLength: 500,
+        minLength: 10
+      },
+      instance_id: {
+        type: 'string',
+        required: true,
+        maxLength: 100
+      },
+      plugin_slug: {
+        type: 'string',
+        required: false,
+        maxLength: 100,
+        pattern: /^[a-z0-9-]+$/
+      },
+      plugin_version: {
+        type: 'string',
+        required: false,
+        maxLength: 20,
+        pattern: VERSION_PATTERN
+      },
+      wp_version: {
+        type: 'string',
+        required: false,
+        maxLength: 20,
+        pattern: VERSION_PATTERN
+      },
+      php_version: {
+        type: 'string',
+        required: false,
+        maxLength: 20,
+        pattern: VERSION_PATTERN
+      },
+      locale: {
+        type: 'string',
+        required: false,
+        maxLength: 20,
+        pattern: /^[A-Za-z]{2,3}([_-][A-Za-z0-9]{2,8})*$/
+      }
+    });
+
+    const errors = [...validation.errors];
+
+    if (body.is_multisite !== undefined && typeof body.is_multisite !== 'boolean') {
+      errors.push('is_multisite must be a boolean');
+    }
+
+    if (body.enabled_modules !== undefined && (
+      !Array.isArray(body.enabled_modules) ||
+      body.enabled_modules.length > MAX_MODULES ||
+      !body.enabled_modules.every(module => typeof module === 'string' && MODULE_PATTERN.test(module))
+    )) {
+      errors.push(`enabled_modules must be an array of up to ${MAX_MODULES} module slugs`);
+    }
+
+    if (errors.length > 0) {
+      logSecurityEvent('invalid_input', {
+        ip: clientIp,
+        errors: errors
+      });
+
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid input',
+        errors: errors
+      });
+    }
+
+    const { license_key, instance_id } = validation.data;
+
+    // Signed requests can only report for the activation that signed them
+    if (req.signature && req.signature.instance_id !== instance_id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Request not signed by this activation'
+      });
+    }
+
+    // Authenticate: the instance must belong to the license
+    const resolved = await resolveLicense(license_key, { deadline });
+
+    if (resolved.status === 'unavailable') {
+      return res.status(503).json({
+        success: false,
+        message: 'License service is temporarily unavailable. Please try again later.'
+      });
+    }
+
+    if (resolved.status === 'invalid') {
+      logSecurityEvent('heartbeat_invalid_license', {
+        ip: clientIp,
+        license_key_hash: hashSensitiveData(license_key)
+      });
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid license key'
+      });
+    }
+
+    const ownsInstance = (resolved.data.meta?.instances || []).some(instance => instance.id === instance_id);
+
+    if (!ownsInstance) {
+      return res.status(404).json({
+        success: false,
+        message: 'Activation not found for this license'
+      });
+    }
+
+    // Only fields the plugin sent are updated
+    const lastSeenAt = await recordHeartbeat(instance_id, {
+      plugin_slug: validation.data.plugin_slug || undefined,
+      plugin_version: validation.data.plugin_version || undefined,
+      wp_version: validation.data.wp_version || undefined,
+      php_version: validation.data.php_version || undefined,
+      locale: validation.data.locale || undefined,
+      is_multisite: body.is_multisite,
+      enabled_modules: body.enabled_modules ? [...new Set(body.enabled_modules)] : undefined
+    });
+
+    // Lemon Squeezy knows the activation but the ledger doesn't (yet)
+    if (!lastSeenAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Activation not found for this license'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Heartbeat recorded',
+      data: {
+        last_seen_at: lastSeenAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Heartbeat error:', error);
+
+    logSecurityEvent('heartbeat_error', {
+      ip: clientIp,
+      error: error.message
+    });
+
+    const isDev = process.env.NODE_ENV === 'development';
+
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error while recording heartbeat',
+      ...(isDev && { error: error.message })
+    });
+  }
+}
+
+export default withRequestSigning(handler);
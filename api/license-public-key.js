@@ -0,0 +1,59 @@
+/**
+ * License Public Key API Endpoint
+ *
+ * Returns the Ed25519 public key used to sign license certificates,
+ * so the plugin can verify certificates locally between check-ins.
+ *
+ * GET /api/license-public-key
+ * Returns: { success: boolean, data: { algorithm, key_id, public_key, public_key_pem } }
+ */
+
+import { setCorsHeaders, setSecurityHeaders } from './_lib/security.js';
+import { isSigningConfigured, getPublicKeyInfo } from './_lib/license-certificate.js';
+
+export default async function handler(req, res) {
+  // Set security headers
+  setSecurityHeaders(res);
+  setCorsHeaders(req, res);
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      message: 'Method not allowed'
+    });
+  }
+
+  if (!isSigningConfigured()) {
+    return res.status(500).json({
+      success: false,
+      message: 'License certificates not configured'
+    });
+  }
+
+  try {
+    const keyInfo = getPublicKeyInfo();
+
+    // The key only changes on rotation - let the plugin cache it
+    res.setHeader('Cache-Control', 'public, max-age=3600');
+
+    return res.status(200).json({
+      success: true,
+      data: keyInfo
+    });
+
+  } catch (error) {
+    console.error('Public key error:', error);
+
+    const isDev = process.env.NODE_ENV === 'development';
+
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      ...(isDev && { error: error.message })
+    });
+  }
+}
@@ -0,0 +1,467 @@
+/**
+ * License Transfer API Endpoint
+ *
+ * Moves a license activation from one site to another, e.g. after a domain change
+ *
+ * POST /api/transfer-license
+ * Body: { license_key: string, old_site_url: string, new_site_url: string, site_name?: string }
+ * Returns: { success: boolean, message: string, data: object }
+ *
+ * The old Lemon Squeezy instance is deactivated first (so the activation limit
+ * isn't hit), then the new site is activated. If activating the new site fails,
+ * the instances are listed again - a timed-out activation may still have gone
+ * through - and the old site is re-activated only if the new one isn't.
+ * Transfers are limited to one per LICENSE_TRANSFER_COOLDOWN to stop keys being
+ * passed between sites; the transfer is claimed in the ledger before anything
+ * changes, so concurrent transfers can't both pass the cooldown.
+ *
+ * The Lemon Squeezy calls share one request deadline, split so that once the
+ * old site is deactivated there is always time left to activate the new site
+ * (MOVE_RESERVE_MS) and to check and roll back a failed activation
+ * (RECOVERY_RESERVE_MS) before Vercel ends the function.
+ *
+ * Like activate-license.js, the response carries a certificate and signing
+ * secret for the site's new instance.
+ *
+ * site_name is the old site's name, for sites activated before activations
+ * were named by site identity (see activate-license.js).
+ */
+
+import {
+  setCorsHeaders,
+  setSecurityHeaders,
+  rateLimit,
+  validateInput,
+  hashSensitiveData,
+  logSecurityEvent
+} from './_lib/security.js';
+import {
+  getLicenseRecord,
+  recordLicense,
+  recordActivation,
+  recordDeactivation,
+  recordInstanceSite,
+  findSiteInstance,
+  withInstanceSites,
+  claimTransfer,
+  completeTransfer,
+  failTransfer
+} from './_lib/license-ledger.js';
+import { getSiteEnvironment } from './_lib/site-identity.js';
+import { invalidateLicenseCache } from './_lib/license-cache.js';
+import { buildLicenseCertificate } from './_lib/license-certificate.js';
+import { resolveProduct } from './_lib/product-catalog.js';
+import { resolveEntitlements } from './_lib/entitlements.js';
+import { getSigningSecret, withRequestSigning } from './_lib/request-signing.js';
+import {
+  createDeadline,
+  validateLicense,
+  activateLicense,
+  deactivateLicense,
+  describeError,
+  LemonSqueezyError,
+  LS_ERROR_TYPES
+} from './_lib/lemon-squeezy.js';
+
+/**
+ * Minimum time between transfers of the same license
+ * Configurable via LICENSE_TRANSFER_COOLDOWN (seconds), default 30 days
+ */
+const TRANSFER_COOLDOWN_MS = (parseInt(process.env.LICENSE_TRANSFER_COOLDOWN, 10) || 2592000) * 1000;
+
+/**
+ * Time before the request deadline kept for moving the activation
+ * (deactivate + activate + recovery) and for recovery alone
+ */
+const MOVE_RESERVE_MS = 5000;
+const RECOVERY_RESERVE_MS = 2500;
+
+async function handler(req, res) {
+  const deadline = createDeadline();
+  const lookupDeadline = deadline - MOVE_RESERVE_MS;
+  const moveDeadline = deadline - RECOVERY_RESERVE_MS;
+
+  // Set security headers
+  setSecurityHeaders(res);
+  setCorsHeaders(req, res);
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      message: 'Method not allowed'
+    });
+  }
+
+  // Rate limiting - 5 transfers per hour per IP
+  const clientIp = req.headers['x-forwarded-for']?.split(',')[0] || req.headers['x-real-ip'] || 'unknown';
+  const rateLimitResult = rateLimit(`transfer:${clientIp}`, 5, 3600000);
+
+  if (!rateLimitResult.allowed) {
+    logSecurityEvent('rate_limit_exceeded', {
+      ip: clientIp,
+      endpoint: '/api/transfer-license'
+    });
+
+    return res.status(429).json({
+      success: false,
+      message: 'Too many transfer attempts. Please try again later.',
+      retryAfter: rateLimitResult.retryAfter
+    });
+  }
+
+  try {
+    // Validate and sanitize input
+    const validation = validateInput(req.body, {
+      license_key: {
+        type: 'string',
+        required: true,
+        maxLength: 500,
+        minLength: 10
+      },
+      old_site_url: {
+        type: 'url',
+        required: true
+      },
+      new_site_url: {
+        type: 'url',
+        required: true
+      },
+      site_name: {
+        type: 'string',
+        required: false,
+        maxLength: 255
+      }
+    });
+
+    if (!validation.isValid) {
+      logSecurityEvent('invalid_input', {
+        ip: clientIp,
+        errors: validation.errors
+      });
+
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid input',
+        errors: validation.errors
+      });
+    }
+
+    // Site URLs are already canonical site identities (see _lib/site-identity.js)
+    const { license_key, old_site_url: oldSite, new_site_url: newSite, site_name } = validation.data;
+
+    if (oldSite === newSite) {
+      return res.status(400).json({
+        success: false,
+        message: 'The old and new site are the same site'
+      });
+    }
+
+    // Staging activations don't use up an activation, so there's nothing to move
+    if (getSiteEnvironment(oldSite) === 'staging' || getSiteEnvironment(newSite) === 'staging') {
+      return res.status(400).json({
+        success: false,
+        message: 'Staging sites cannot be transferred. Activate or deactivate staging sites directly.'
+      });
+    }
+
+    // Always check Lemon Squeezy directly - the transfer needs the current instances
+    const lookup = await settle(validateLicense(license_key, { includeInstances: true, deadline: lookupDeadline }));
+
+    if (lookup.error) {
+      const { status, message } = describeError(lookup.error);
+
+      return res.status(status).json({
+        success: false,
+        message: lookup.error.type === LS_ERROR_TYPES.INVALID ? 'Invalid license key' : message
+      });
+    }
+
+    const validateData = lookup.data;
+    const license = validateData.license_key;
+
+    // Signed requests must come from an activation of this license
+    if (req.signature && String(req.signature.license_id) !== String(license.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Request not signed by an activation of this license'
+      });
+    }
+
+    await recordLicense(license_key, validateData);
+
+    const invalidStatuses = ['disabled', 'expired', 'cancelled'];
+    if (invalidStatuses.includes(license.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot transfer. License is ${license.status}.`
+      });
+    }
+
+    if (license.expires_at && new Date(license.expires_at) < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'License has expired'
+      });
+    }
+
+    const product = await resolveProduct(validateData);
+    const entitlements = await resolveEntitlements(validateData, product);
+
+    // Certificate for the site's new instance, as activate-license issues it
+    const certify = (site, instanceId) => buildLicenseCertificate({
+      license_id: license.id,
+      tier: product.tier,
+      expires_at: license.expires_at,
+      site: site,
+      instance_id: instanceId,
+      entitlements: entitlements
+    });
+
+    // Match instances by the sites the ledger recorded them for, or by name
+    const record = await getLicenseRecord(license_key);
+    const instances = withInstanceSites(validateData.meta?.instances || [], record);
+    const oldInstance = findSiteInstance(instances, oldSite, site_name);
+
+    if (!oldInstance) {
+      return res.status(404).json({
+        success: false,
+        message: `License is not activated on ${oldSite}`
+      });
+    }
+
+    if (findSiteInstance(instances, newSite)) {
+      return res.status(409).json({
+        success: false,
+        message: `License is already activated on ${newSite}. Deactivate ${oldSite} instead.`
+      });
+    }
+
+    // Claim the transfer - fails if the license is in its transfer cooldown
+    const claim = await claimTransfer({
+      license_id: license.id,
+      from_site_url: oldSite,
+      to_site_url: newSite,
+      from_instance_id: oldInstance.id
+    }, TRANSFER_COOLDOWN_MS);
+
+    if (!claim.transfer_id) {
+      const nextTransferAt = new Date(claim.last_transfer_at).getTime() + TRANSFER_COOLDOWN_MS;
+
+      logSecurityEvent('transfer_cooldown', {
+        ip: clientIp,
+        license_key_hash: hashSensitiveData(license_key),
+        old_site_url: oldSite,
+        new_site_url: newSite
+      });
+
+      return res.status(429).json({
+        success: false,
+        message: 'This license was transferred recently. Please try again later or contact support.',
+        data: {
+          last_transfer_at: claim.last_transfer_at,
+          next_transfer_at: new Date(nextTransferAt).toISOString()
+        },
+        retryAfter: Math.max(1, Math.ceil((nextTransferAt - Date.now()) / 1000))
+      });
+    }
+
+    // The lookup ran long - don't deactivate without time to finish the move
+    if (Date.now() > lookupDeadline) {
+      await failTransfer(claim.transfer_id);
+
+      return res.status(503).json({
+        success: false,
+        message: 'License service is responding slowly. No changes were made. Please try again.'
+      });
+    }
+
+    // Step 1: free up the old site's activation
+    const deactivation = await settle(deactivateLicense(license_key, oldInstance.id, { deadline: moveDeadline }));
+
+    // 404 - the instance is already gone, which is what we wanted
+    if (deactivation.error && deactivation.error.status !== 404) {
+      console.error('Lemon Squeezy deactivation error during transfer:', deactivation.error.message, deactivation.error.details);
+
+      // Nothing has changed yet
+      await failTransfer(claim.transfer_id);
+
+      return res.status(502).json({
+        success: false,
+        message: `Failed to deactivate license from ${oldSite}. No changes were made.`
+      });
+    }
+
+    await recordDeactivation(oldInstance.id);
+    await invalidateLicenseCache({ licenseKey: license_key });
+
+    // Step 2: activate the new site
+    const activation = await settle(activateLicense(license_key, newSite, { deadline: moveDeadline }));
+    let newInstanceId;
+
+    if (activation.error) {
+      console.error('Lemon Squeezy activation error during transfer:', activation.error.message, activation.error.details);
+
+      // A timeout doesn't mean the activation didn't happen - check before rolling back
+      const relisted = await settle(validateLicense(license_key, { includeInstances: true, deadline }));
+
+      if (relisted.error) {
+        console.error('Lemon Squeezy lookup error during transfer:', relisted.error.message, relisted.error.details);
+
+        // Leave the claim pending: the transfer may have gone through
+        logSecurityEvent('transfer_unconfirmed', {
+          ip: clientIp,
+          license_key_hash: hashSensitiveData(license_key),
+          old_site_url: oldSite,
+          new_site_url: newSite
+        });
+
+        return res.status(502).json({
+          success: false,
+          message: `Could not confirm whether the license was activated on ${newSite}. Please activate the license again from your site or contact support.`
+        });
+      }
+
+      const currentInstances = relisted.data.meta?.instances || [];
+      await recordLicense(license_key, relisted.data);
+
+      const confirmedInstance = findSiteInstance(currentInstances, newSite);
+
+      if (!confirmedInstance) {
+        const rollback = await rollBackTransfer(license_key, oldSite, currentInstances, deadline);
+        await failTransfer(claim.transfer_id);
+
+        if (!rollback) {
+          logSecurityEvent('transfer_rollback_failed', {
+            ip: clientIp,
+            license_key_hash: hashSensitiveData(license_key),
+            old_site_url: oldSite,
+            new_site_url: newSite
+          });
+
+          return res.status(502).json({
+            success: false,
+            message: `Failed to activate license on ${newSite}, and ${oldSite} could not be re-activated. Please activate the license again from your site or contact support.`
+          });
+        }
+
+        await invalidateLicenseCache({ licenseKey: license_key });
+
+        // The old site gets a new instance ID and must store it
+        return res.status(502).json({
+          success: false,
+          message: `Failed to activate license on ${newSite}. The license is still active on ${oldSite}.`,
+          data: {
+            rolled_back: true,
+            site_url: oldSite,
+            instance_id: rollback.instance_id,
+            certificate: certify(oldSite, rollback.instance_id),
+            // Only a re-activation made here hands out its secret (see activate-license.js)
+            signing_secret: rollback.created ? getSigningSecret(rollback.instance_id) : null
+          }
+        });
+      }
+
+      // The activation went through after all
+      newInstanceId = confirmedInstance.id;
+      await recordInstanceSite(newInstanceId, newSite);
+    } else {
+      newInstanceId = activation.data.instance?.id;
+      await recordActivation(license_key, activation.data, newSite);
+    }
+
+    await invalidateLicenseCache({ licenseKey: license_key });
+    await completeTransfer(claim.transfer_id, newInstanceId);
+
+    const transferredAt = new Date().toISOString();
+
+    logSecurityEvent('license_transferred', {
+      ip: clientIp,
+      license_key_hash: hashSensitiveData(license_key),
+      old_site_url: oldSite,
+      new_site_url: newSite
+    });
+
+    // Return success
+    return res.status(200).json({
+      success: true,
+      message: `License successfully transferred from ${oldSite} to ${newSite}`,
+      data: {
+        transferred_at: transferredAt,
+        old_site_url: oldSite,
+        new_site_url: newSite,
+        instance_id: newInstanceId,
+        certificate: certify(newSite, newInstanceId),
+        signing_secret: getSigningSecret(newInstanceId),
+        next_transfer_at: new Date(new Date(claim.last_transfer_at).getTime() + TRANSFER_COOLDOWN_MS).toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('License transfer error:', error);
+
+    logSecurityEvent('transfer_error', {
+      ip: clientIp,
+      error: error.message
+    });
+
+    const isDev = process.env.NODE_ENV === 'development';
+
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error during license transfer',
+      ...(isDev && { error: error.message })
+    });
+  }
+}
+
+export default withRequestSigning(handler);
+
+/**
+ * Put the license back on the old site after a failed transfer
+ *
+ * @param {string} licenseKey - Raw license key
+ * @param {string} oldSite - Canonical identity of the old site
+ * @param {Object[]} instances - The license's current Lemon Squeezy instances
+ * @param {number} deadline - Request deadline for the re-activation
+ * @returns {Promise<{instance_id: string, created: boolean}|null>} The old site's instance
+ *   (created: whether the rollback activated it), or null if it couldn't be re-activated
+ */
+async function rollBackTransfer(licenseKey, oldSite, instances, deadline) {
+  // Already back (e.g. re-activated from the site meanwhile)
+  const existingInstance = findSiteInstance(instances, oldSite);
+
+  if (existingInstance) {
+    return { instance_id: existingInstance.id, created: false };
+  }
+
+  const rollback = await settle(activateLicense(licenseKey, oldSite, { deadline }));
+
+  if (rollback.error) {
+    console.error('Lemon Squeezy rollback error during transfer:', rollback.error.message, rollback.error.details);
+    return null;
+  }
+
+  await recordActivation(licenseKey, rollback.data, oldSite);
+
+  return { instance_id: rollback.data.instance?.id, created: true };
+}
+
+/**
+ * Run a Lemon Squeezy call, returning { data } or { error } instead of throwing
+ * Only Lemon Squeezy failures are caught, so a failed step can still be rolled back
+ */
+async function settle(promise) {
+  try {
+    return { data: await promise, error: null };
+  } catch (error) {
+    if (!(error instanceof LemonSqueezyError)) {
+      throw error;
+    }
+
+    return { data: null, error };
+  }
+}
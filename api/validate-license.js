@@ -1,11 +1,12 @@
 /**
  * License Validation API Endpoint
  *
- * Validates an BookPeek license key against Lemon Squeezy
+ * Validates an BookPeek license key against the local license ledger,
+ * falling back to Lemon Squeezy when the ledger record is missing or stale
  *
  * POST /api/validate-license
  * Body: { license_key: string, site_url: string }
- * Returns: { valid: boolean, tier: string, message: string, data: object }
+ * Returns: { valid: boolean, message: string, cached: boolean, cached_at: string|null, data: object }
  */
 
 import {
@@ -17,8 +18,27 @@ import {
   sanitizeError,
   logSecurityEvent
 } from './_lib/security.js';
+import { resolveLicense, getInstanceSite } from './_lib/license-ledger.js';
+import { getCachedLicense, cacheLicense } from './_lib/license-cache.js';
+import { withRequestSigning } from './_lib/request-signing.js';
+import { getSiteEnvironment } from './_lib/site-identity.js';
+import { resolveProduct, getMaxActivations, getSitesRemaining } from './_lib/product-catalog.js';
+import { resolveEntitlements } from './_lib/entitlements.js';
+import { getGracePeriod } from './_lib/grace-period.js';
+import { createDeadline } from './_lib/lemon-squeezy.js';
+
+/**
+ * Messages shown while a lapsed license is in its grace period
+ */
+const GRACE_MESSAGES = {
+  payment_failed: 'License payment failed. Please update your payment details.',
+  expired: 'License has expired. Please renew your subscription.'
+};
+
+async function handler(req, res) {
+  // Every Lemon Squeezy call this request makes shares one deadline
+  const deadline = createDeadline();
 
-export default async function handler(req, res) {
   // Set security headers
   setSecurityHeaders(res);
   setCorsHeaders(req, res);
@@ -83,7 +103,7 @@ export default async function handler(req, res) {
 
     const { license_key, site_url } = validation.data;
 
-    // Fetch license from Lemon Squeezy API
+    // Lemon Squeezy is still needed to refresh missing or stale ledger records
     const lsApiKey = process.env.LEMON_SQUEEZY_API_KEY;
 
     if (!lsApiKey) {
@@ -94,111 +114,145 @@ export default async function handler(req, res) {
       });
     }
 
-    // Query Lemon Squeezy API for license key
-    const lsResponse = await fetch(
-      `https://api.lemonsqueezy.com/v1/licenses/validate`,
-      {
-        method: 'POST',
-        headers: {
-          'Accept': 'application/json',
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${lsApiKey}`
-        },
-        body: JSON.stringify({
-          license_key: license_key
-        })
-      }
-    );
+    // Resolve license from the ledger, refreshing from Lemon Squeezy when missing or stale
+    // (served from the short-lived validation cache when possible)
+    const cached = await getCachedLicense(license_key);
+    const resolved = cached
+      ? { status: 'ok', source: 'cache', data: cached.data }
+      : await resolveLicense(license_key, { deadline });
 
-    if (!lsResponse.ok) {
-      const errorData = await lsResponse.json();
-      console.error('Lemon Squeezy API error:', errorData);
+    // Stale ledger records are served but not cached, so the next call retries Lemon Squeezy
+    if (!cached && resolved.status === 'ok' && resolved.source !== 'ledger_stale') {
+      await cacheLicense(license_key, resolved.data);
+    }
+
+    const cacheInfo = {
+      cached: Boolean(cached),
+      cached_at: cached?.cached_at || null
+    };
+
+    if (resolved.status === 'unavailable') {
+      return res.status(503).json({
+        valid: false,
+        message: 'License validation service is temporarily unavailable. Please try again later.'
+      });
+    }
+
+    if (resolved.status === 'invalid') {
       return res.status(400).json({
         valid: false,
         message: 'Invalid license key'
       });
     }
 
-    const lsData = await lsResponse.json();
+    const lsData = resolved.data;
     const license = lsData.license_key;
     const meta = lsData.meta || {};
 
-    // Check license status
-    if (license.status !== 'active') {
-      return res.status(200).json({
+    // Signed requests must come from an activation of this license
+    if (req.signature && String(req.signature.license_id) !== String(license.id)) {
+      return res.status(403).json({
         valid: false,
-        message: `License is ${license.status}. Please renew your subscription.`,
-        data: {
-          status: license.status,
-          expires_at: license.expires_at
-        }
+        message: 'Request not signed by an activation of this license'
       });
     }
 
-    // Check if license is expired
-    if (license.expires_at) {
-      const expiryDate = new Date(license.expires_at);
-      const now = new Date();
+    // Determine tier and activation limit from the product catalog
+    const product = await resolveProduct(lsData);
+
+    const isExpired = Boolean(license.expires_at) && new Date(license.expires_at) < new Date();
+
+    // Lapsed licenses (failed payment or expiry) stay valid during the
+    // product's grace period - a failed payment lapses a license even while
+    // Lemon Squeezy still reports it active
+    const lapse = getGracePeriod(lsData, product);
+    const gracePeriod = lapse && !lapse.ended ? lapse : null;
+
+    if (!gracePeriod) {
+      // Check license status
+      if (license.status !== 'active') {
+        return res.status(200).json({
+          valid: false,
+          message: `License is ${license.status}. Please renew your subscription.`,
+          ...cacheInfo,
+          data: {
+            status: license.status,
+            expires_at: license.expires_at
+          }
+        });
+      }
 
-      if (expiryDate < now) {
+      // Check if license is expired
+      if (isExpired) {
         return res.status(200).json({
           valid: false,
           message: 'License has expired. Please renew your subscription.',
+          ...cacheInfo,
           data: {
             status: 'expired',
             expires_at: license.expires_at
           }
         });
       }
+
+      // Grace period for a failed payment is over
+      if (lapse?.reason === 'payment_failed') {
+        return res.status(200).json({
+          valid: false,
+          message: GRACE_MESSAGES.payment_failed,
+          ...cacheInfo,
+          data: {
+            status: 'payment_failed',
+            grace_ends_at: lapse.grace_ends_at,
+            expires_at: license.expires_at
+          }
+        });
+      }
     }
 
-    // Determine tier from product variant
-    const variantName = meta.variant_name || '';
-    let tier = 'pro';
-    let maxActivations = 1;
+    const entitlements = await resolveEntitlements(lsData, product);
 
-    if (variantName.toLowerCase().includes('agency')) {
-      tier = 'agency';
-      maxActivations = 999999; // Unlimited
-    }
+    // Build the activation list from Lemon Squeezy instances (the same source
+    // activate-license.js uses). Ledger instances also carry the site_url they
+    // were activated for, since instance names may be a site name instead.
+    const instances = (meta.instances || []).map(instance => ({
+      id: instance.id,
+      name: instance.name,
+      created_at: instance.created_at,
+      environment: instance.environment || 'production',
+      site: getInstanceSite(instance)
+    }));
 
-    // Get activated sites from license metadata
-    // Note: You'll need to update this via update API when sites activate/deactivate
-    const activeSites = license.meta?.active_sites || [];
-
-    // Clean the site_url for comparison
-    const cleanSiteUrl = site_url
-      .replace(/^https?:\/\//, '')
-      .replace(/^www\./, '')
-      .replace(/\/$/, '')
-      .toLowerCase();
-
-    const isSiteActivated = activeSites.some(site => {
-      const cleanActiveSite = site
-        .replace(/^https?:\/\//, '')
-        .replace(/^www\./, '')
-        .replace(/\/$/, '')
-        .toLowerCase();
-      return cleanActiveSite === cleanSiteUrl;
-    });
+    // site_url is already the canonical site identity (see _lib/site-identity.js)
+    const currentInstance = instances.find(instance => instance.site === site_url);
 
-    // Check activation limit (for Pro tier)
-    const sitesRemaining = tier === 'agency'
-      ? 999999
-      : Math.max(0, maxActivations - activeSites.length);
+    // Staging activations are tracked separately and don't count towards the limit
+    const productionInstances = instances.filter(instance => instance.environment === 'production');
+
+    // Activations left (UNLIMITED_ACTIVATIONS for unlimited products)
+    const sitesRemaining = getSitesRemaining(product, productionInstances.length);
 
     // License is valid
     return res.status(200).json({
       valid: true,
-      message: 'License is valid',
+      message: gracePeriod ? GRACE_MESSAGES[gracePeriod.reason] : 'License is valid',
+      ...cacheInfo,
       data: {
-        tier: tier,
-        status: license.status,
+        tier: product.tier,
+        tier_name: product.tier_name,
+        plugin_slug: product.plugin_slug,
+        status: gracePeriod ? 'grace' : license.status,
+        grace_ends_at: gracePeriod?.grace_ends_at || null,
+        grace_reason: gracePeriod?.reason || null,
         expires_at: license.expires_at,
-        max_activations: maxActivations,
-        active_sites: activeSites,
+        max_activations: getMaxActivations(product),
+        entitlements: entitlements,
+        environment: getSiteEnvironment(site_url),
+        active_sites: productionInstances.map(instance => instance.site || instance.name),
+        instances: instances.map(({ id, name, created_at, environment }) => ({ id, name, created_at, environment })),
         sites_remaining: sitesRemaining,
-        is_site_activated: isSiteActivated,
+        is_site_activated: Boolean(currentInstance),
+        instance_id: currentInstance?.id || null,
         customer_name: meta.customer_name || '',
         customer_email: meta.customer_email || ''
       }
@@ -221,3 +275,5 @@ export default async function handler(req, res) {
     });
   }
 }
+
+export default withRequestSigning(handler);
@@ -10,6 +10,15 @@
 
 import crypto from 'crypto';
 import { setSecurityHeaders, logSecurityEvent } from '../_lib/security.js';
+import {
+  upsertCustomer,
+  recordLicenseKeyEvent,
+  recordSubscriptionEvent,
+  recordPaymentResult,
+  markOrderStale,
+  getSubscriptionOrderId
+} from '../_lib/license-ledger.js';
+import { invalidateLicenseCache } from '../_lib/license-cache.js';
 
 // Vercel configuration to get raw body for signature verification
 export const config = {
@@ -170,8 +179,13 @@ async function handleOrderCreated(data) {
     total: data.attributes.total_formatted
   });
 
+  await upsertCustomer({
+    id: data.attributes.customer_id,
+    name: data.attributes.user_name,
+    email: data.attributes.user_email
+  });
+
   // TODO: Send welcome email with setup instructions
-  // TODO: Log order in database
   // TODO: Trigger analytics event
 }
 
@@ -181,7 +195,10 @@ async function handleOrderRefunded(data) {
     customer_email: data.attributes.user_email
   });
 
-  // TODO: Deactivate license keys associated with this order
+  // Lemon Squeezy disables the order's license keys - refresh them on next validation
+  await markOrderStale(data.id);
+  await invalidateLicenseCache({ orderId: data.id });
+
   // TODO: Send refund confirmation email
   // TODO: Update analytics
 }
@@ -194,8 +211,10 @@ async function handleSubscriptionCreated(data) {
     status: data.attributes.status
   });
 
+  await recordSubscriptionEvent(data);
+  await invalidateSubscriptionCache(data);
+
   // TODO: Send welcome email
-  // TODO: Log subscription in database
 }
 
 async function handleSubscriptionUpdated(data) {
@@ -205,7 +224,9 @@ async function handleSubscriptionUpdated(data) {
     ends_at: data.attributes.ends_at
   });
 
-  // TODO: Update subscription status in database
+  await recordSubscriptionEvent(data);
+  await invalidateSubscriptionCache(data);
+
   // TODO: If downgraded, adjust license limits
 }
 
@@ -216,6 +237,9 @@ async function handleSubscriptionCancelled(data) {
     ends_at: data.attributes.ends_at
   });
 
+  await recordSubscriptionEvent(data);
+  await invalidateSubscriptionCache(data);
+
   // TODO: Send cancellation confirmation
   // TODO: Schedule license deactivation for end date
   // TODO: Trigger feedback survey
@@ -227,7 +251,9 @@ async function handleSubscriptionResumed(data) {
     customer_email: data.attributes.user_email
   });
 
-  // TODO: Reactivate license
+  await recordSubscriptionEvent(data);
+  await invalidateSubscriptionCache(data);
+
   // TODO: Send welcome back email
 }
 
@@ -237,9 +263,10 @@ async function handleSubscriptionExpired(data) {
     customer_email: data.attributes.user_email
   });
 
-  // TODO: Deactivate all associated licenses
+  await recordSubscriptionEvent(data);
+  await invalidateSubscriptionCache(data);
+
   // TODO: Send renewal reminder
-  // TODO: Update license status to 'expired'
 }
 
 async function handleSubscriptionPaymentSuccess(data) {
@@ -249,9 +276,12 @@ async function handleSubscriptionPaymentSuccess(data) {
     amount: data.attributes.total_formatted
   });
 
-  // TODO: Extend license expiration date
+  // Renewal moves the license expiry - refresh it from Lemon Squeezy on next validation
+  await recordSubscriptionEvent(data);
+  await recordPaymentResult(data, false);
+  await invalidateSubscriptionCache(data);
+
   // TODO: Send receipt
-  // TODO: Update subscription billing date
 }
 
 async function handleSubscriptionPaymentFailed(data) {
@@ -260,9 +290,12 @@ async function handleSubscriptionPaymentFailed(data) {
     customer_email: data.attributes.user_email
   });
 
+  // Starts the license grace period (see _lib/grace-period.js)
+  await recordSubscriptionEvent(data);
+  await recordPaymentResult(data, true);
+  await invalidateSubscriptionCache(data);
+
   // TODO: Send payment failed notification
-  // TODO: Start grace period (7 days)
-  // TODO: Schedule license deactivation if not resolved
 }
 
 async function handleLicenseKeyCreated(data) {
@@ -272,8 +305,7 @@ async function handleLicenseKeyCreated(data) {
     status: data.attributes.status
   });
 
-  // TODO: Log license creation
-  // TODO: Initialize activation tracking
+  await recordLicenseKeyEvent(data);
 }
 
 async function handleLicenseKeyUpdated(data) {
@@ -284,10 +316,26 @@ async function handleLicenseKeyUpdated(data) {
     activations_count: data.attributes.activations_count
   });
 
-  // TODO: Update license status in database
+  await recordLicenseKeyEvent(data);
+  await invalidateLicenseCache({ licenseKey: data.attributes.key });
+
   // TODO: If status changed to 'disabled', deactivate on all sites
 }
 
+/**
+ * Drop cached validations for the licenses a subscription event affects
+ * Payment events carry a subscription invoice, which only has the subscription ID
+ */
+async function invalidateSubscriptionCache(data) {
+  const orderId = data.type === 'subscription-invoices'
+    ? await getSubscriptionOrderId(data.attributes.subscription_id)
+    : data.attributes.order_id;
+
+  if (orderId) {
+    await invalidateLicenseCache({ orderId });
+  }
+}
+
 // Helper function to send emails (implement with your email service)
 async function sendEmail(to, subject, body) {
   console.log(`[Email] Would send email to ${to}:`, subject);
@@ -0,0 +1,136 @@
+-- Create the license ledger tables for BookPeek licensing
+-- Local mirror of Lemon Squeezy customers, license keys and activation instances.
+-- Kept up to date by the Lemon Squeezy webhook and the activate/deactivate endpoints,
+-- and read by license validation so a Lemon Squeezy outage doesn't break every site.
+
+-- ============================================================================
+-- Table: customers
+-- Lemon Squeezy customers (keyed by the Lemon Squeezy customer ID)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS customers (
+    id BIGINT PRIMARY KEY,
+    name VARCHAR(255),
+    email VARCHAR(255),
+
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- ============================================================================
+-- Table: licenses
+-- Lemon Squeezy license keys (keyed by the Lemon Squeezy license key ID)
+-- The raw key is never stored, only its SHA-256 hash
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS licenses (
+    id BIGINT PRIMARY KEY,
+    key_hash CHAR(64) NOT NULL UNIQUE,
+    key_short VARCHAR(50),
+
+    -- License state
+    status VARCHAR(20) NOT NULL, -- 'inactive', 'active', 'expired', 'disabled'
+    activation_limit INTEGER,
+    activation_usage INTEGER NOT NULL DEFAULT 0,
+    expires_at TIMESTAMP WITH TIME ZONE,
+
+    -- Purchase info
+    customer_id BIGINT REFERENCES customers(id) ON DELETE SET NULL,
+    store_id BIGINT,
+    order_id BIGINT,
+    order_item_id BIGINT,
+    product_id BIGINT,
+    product_name VARCHAR(255),
+    variant_id BIGINT,
+    variant_name VARCHAR(255),
+
+    -- Subscription info (from subscription_* webhooks)
+    subscription_id BIGINT,
+    subscription_status VARCHAR(20),
+
+    -- Last time the full record was refreshed from Lemon Squeezy (NULL = needs refresh)
+    synced_at TIMESTAMP WITH TIME ZONE,
+
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- ============================================================================
+-- Table: license_instances
+-- Sites a license is activated on (keyed by the Lemon Squeezy instance ID)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS license_instances (
+    id VARCHAR(100) PRIMARY KEY,
+    license_id BIGINT NOT NULL REFERENCES licenses(id) ON DELETE CASCADE,
+    name VARCHAR(255),
+    site_url VARCHAR(500),
+
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    deactivated_at TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- Create indexes for faster queries
+CREATE INDEX IF NOT EXISTS idx_licenses_customer_id ON licenses(customer_id);
+CREATE INDEX IF NOT EXISTS idx_licenses_order_id ON licenses(order_id);
+CREATE INDEX IF NOT EXISTS idx_licenses_subscription_id ON licenses(subscription_id);
+CREATE INDEX IF NOT EXISTS idx_license_instances_license_id ON license_instances(license_id);
+CREATE INDEX IF NOT EXISTS idx_license_instances_active ON license_instances(license_id) WHERE deactivated_at IS NULL;
+
+-- Create updated_at trigger function (shared with email_subscribers)
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER update_customers_updated_at
+    BEFORE UPDATE ON customers
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_licenses_updated_at
+    BEFORE UPDATE ON licenses
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_license_instances_updated_at
+    BEFORE UPDATE ON license_instances
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Add comments for documentation
+COMMENT ON TABLE customers IS 'Lemon Squeezy customers mirrored from webhooks and license lookups';
+COMMENT ON TABLE licenses IS 'Lemon Squeezy license keys mirrored from webhooks and license lookups';
+COMMENT ON TABLE license_instances IS 'Sites each license is activated on (Lemon Squeezy instances)';
+COMMENT ON COLUMN licenses.key_hash IS 'SHA-256 hex digest of the license key (raw keys are never stored)';
+COMMENT ON COLUMN licenses.synced_at IS 'Last full refresh from Lemon Squeezy; NULL forces a refresh on next validation';
+COMMENT ON COLUMN license_instances.site_url IS 'Normalized site URL the instance was activated for';
+COMMENT ON COLUMN license_instances.deactivated_at IS 'When the instance was deactivated (NULL = active)';
+
+-- Enable Row Level Security (RLS)
+-- No public policies: license data is only accessed server-side with the service role key
+ALTER TABLE customers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE licenses ENABLE ROW LEVEL SECURITY;
+ALTER TABLE license_instances ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to customers"
+    ON customers
+    FOR ALL
+    TO service_role
+    USING (true)
+    WITH CHECK (true);
+
+CREATE POLICY "Service role has full access to licenses"
+    ON licenses
+    FOR ALL
+    TO service_role
+    USING (true)
+    WITH CHECK (true);
+
+CREATE POLICY "Service role has full access to license_instances"
+    ON license_instances
+    FOR ALL
+    TO service_role
+    USING (true)
+    WITH CHECK (true);
@@ -0,0 +1,51 @@
+-- Key bookshelf sites by canonical site identity
+-- bookshelf_sites.site_url (and bookshelf_books.site_url) now hold the canonical
+-- identity from api/_lib/site-identity.js (e.g. "example.com/blog"), and the URL
+-- the site was registered with moves to the new home_url column for building links.
+
+-- Add home_url column and backfill it from the existing URLs
+ALTER TABLE bookshelf_sites ADD COLUMN IF NOT EXISTS home_url TEXT;
+
+UPDATE bookshelf_sites
+SET home_url = site_url
+WHERE home_url IS NULL;
+
+COMMENT ON COLUMN bookshelf_sites.site_url IS 'Canonical site identity (host[/path], see api/_lib/site-identity.js)';
+COMMENT ON COLUMN bookshelf_sites.home_url IS 'Site home URL as registered (scheme, host, port, path) for building links';
+
+-- Let identity rewrites cascade to books
+ALTER TABLE bookshelf_books
+    DROP CONSTRAINT IF EXISTS bookshelf_books_site_url_fkey;
+
+ALTER TABLE bookshelf_books
+    ADD CONSTRAINT bookshelf_books_site_url_fkey
+    FOREIGN KEY (site_url) REFERENCES bookshelf_sites(site_url)
+    ON DELETE CASCADE
+    ON UPDATE CASCADE;
+
+-- SQL approximation of normalizeSiteUrl() for backfilling existing rows
+-- (scheme, www, port, query, WordPress endpoints and trailing slashes; no IDN conversion)
+CREATE OR REPLACE FUNCTION bookshelf_site_identity(url TEXT)
+RETURNS TEXT AS $$
+    SELECT rtrim(
+        regexp_replace(
+            regexp_replace(
+                regexp_replace(
+                    regexp_replace(lower(trim(url)), '^https?://', ''),
+                '^www\.', ''),
+            ':[0-9]+(/|$)', '\1'),
+        '[?#].*$|/(wp-admin|wp-login\.php|wp-json|wp-content|wp-includes|xmlrpc\.php|index\.php)(/.*)?$', ''),
+    '/');
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Normalize existing sites. Sites whose identity collides with another row are
+-- left untouched and must be merged by hand.
+UPDATE bookshelf_sites s
+SET site_url = bookshelf_site_identity(s.site_url)
+WHERE s.site_url <> bookshelf_site_identity(s.site_url)
+  AND NOT EXISTS (
+    SELECT 1
+    FROM bookshelf_sites other
+    WHERE other.id <> s.id
+      AND bookshelf_site_identity(other.site_url) = bookshelf_site_identity(s.site_url)
+  );
@@ -0,0 +1,16 @@
+-- Track staging/development activations separately from production ones
+-- Staging activations (localhost, *.local, staging.*, *.wpengine.com, ...) are
+-- recorded only in the ledger and don't use up a Lemon Squeezy activation.
+
+ALTER TABLE license_instances
+    ADD COLUMN IF NOT EXISTS environment VARCHAR(20) NOT NULL DEFAULT 'production';
+
+ALTER TABLE license_instances
+    ADD CONSTRAINT license_instances_environment_check
+    CHECK (environment IN ('production', 'staging'));
+
+CREATE INDEX IF NOT EXISTS idx_license_instances_environment
+    ON license_instances(license_id, environment)
+    WHERE deactivated_at IS NULL;
+
+COMMENT ON COLUMN license_instances.environment IS 'production (Lemon Squeezy instance) or staging (ledger-only, capped by MAX_STAGING_ACTIVATIONS)';
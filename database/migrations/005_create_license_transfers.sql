@@ -0,0 +1,31 @@
+-- License transfers
+-- One row per completed /api/transfer-license call. Used to enforce the
+-- transfer cooldown (LICENSE_TRANSFER_COOLDOWN) against transfer-based key sharing.
+
+CREATE TABLE IF NOT EXISTS license_transfers (
+    id BIGSERIAL PRIMARY KEY,
+    license_id BIGINT NOT NULL REFERENCES licenses(id) ON DELETE CASCADE,
+    from_site_url VARCHAR(500) NOT NULL,
+    to_site_url VARCHAR(500) NOT NULL,
+    from_instance_id VARCHAR(100),
+    to_instance_id VARCHAR(100),
+
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_license_transfers_license_id ON license_transfers(license_id, created_at DESC);
+
+COMMENT ON TABLE license_transfers IS 'Completed license transfers between sites (for the transfer cooldown)';
+COMMENT ON COLUMN license_transfers.from_site_url IS 'Canonical identity of the site the license was moved away from';
+COMMENT ON COLUMN license_transfers.to_site_url IS 'Canonical identity of the site the license was moved to';
+
+-- Enable Row Level Security (RLS)
+-- No public policies: license data is only accessed server-side with the service role key
+ALTER TABLE license_transfers ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to license_transfers"
+    ON license_transfers
+    FOR ALL
+    TO service_role
+    USING (true)
+    WITH CHECK (true);
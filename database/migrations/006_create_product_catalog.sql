@@ -0,0 +1,55 @@
+-- Product catalog
+-- Maps Lemon Squeezy products/variants to a license tier, activation limit,
+-- plugin slug and feature entitlements (see api/_lib/product-catalog.js).
+-- New tiers ("Pro 3-site", lifetime deals, ...) are added as rows, not code.
+
+CREATE TABLE IF NOT EXISTS product_catalog (
+    id SERIAL PRIMARY KEY,
+    product_id BIGINT NOT NULL,
+    variant_id BIGINT,
+    tier VARCHAR(50) NOT NULL,
+    tier_name VARCHAR(100) NOT NULL,
+    activation_limit INTEGER CHECK (activation_limit IS NULL OR activation_limit > 0),
+    plugin_slug VARCHAR(100) NOT NULL,
+    entitlements TEXT[] NOT NULL DEFAULT '{}',
+    is_active BOOLEAN NOT NULL DEFAULT true,
+
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- One entry per variant, plus at most one product-wide entry (variant_id NULL)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_product_catalog_product_variant
+    ON product_catalog(product_id, COALESCE(variant_id, 0));
+
+CREATE TRIGGER update_product_catalog_updated_at
+    BEFORE UPDATE ON product_catalog
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE product_catalog IS 'Lemon Squeezy products/variants mapped to license tiers';
+COMMENT ON COLUMN product_catalog.variant_id IS 'Lemon Squeezy variant ID; NULL matches any variant of the product';
+COMMENT ON COLUMN product_catalog.activation_limit IS 'Production sites the license can be activated on; NULL = unlimited';
+COMMENT ON COLUMN product_catalog.plugin_slug IS 'Plugin the license receives updates for (see api/check-update.js)';
+COMMENT ON COLUMN product_catalog.entitlements IS 'Feature slugs the license unlocks (included in license certificates)';
+
+-- Enable Row Level Security (RLS)
+-- No public policies: the catalog is only read server-side with the service role key
+ALTER TABLE product_catalog ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to product_catalog"
+    ON product_catalog
+    FOR ALL
+    TO service_role
+    USING (true)
+    WITH CHECK (true);
+
+-- Example entries - replace the IDs with your Lemon Squeezy product/variant IDs
+-- INSERT INTO product_catalog (product_id, variant_id, tier, tier_name, activation_limit, plugin_slug, entitlements) VALUES
+--     (123456, 234567, 'pro', 'Pro', 1, 'bookpeek-pro',
+--      ARRAY['launch-countdown', 'landing-pages', 'series-tracker', 'event-manager', 'reader-magnets', 'book-links-hub', 'goodreads']),
+--     (123456, 234568, 'pro', 'Pro 3-site', 3, 'bookpeek-pro',
+--      ARRAY['launch-countdown', 'landing-pages', 'series-tracker', 'event-manager', 'reader-magnets', 'book-links-hub', 'goodreads']),
+--     (123457, NULL, 'agency', 'Agency', NULL, 'bookpeek-agency',
+--      ARRAY['launch-countdown', 'landing-pages', 'series-tracker', 'event-manager', 'reader-magnets', 'book-links-hub', 'goodreads',
+--            'advanced-analytics', 'white-label', 'multisite']);
@@ -0,0 +1,54 @@
+-- Feature entitlements
+-- Per-feature limits on catalog products, plus grants that unlock single
+-- features outside a product (add-ons, promotions). See api/_lib/entitlements.js.
+
+-- Per-feature limits for the product's entitlements, e.g. {"landing-pages": 10}
+-- Features without a limit here are unlimited
+ALTER TABLE product_catalog
+    ADD COLUMN IF NOT EXISTS feature_limits JSONB NOT NULL DEFAULT '{}';
+
+COMMENT ON COLUMN product_catalog.feature_limits IS 'Per-feature usage limits keyed by feature slug; missing = unlimited';
+
+-- Extra feature grants
+-- Scope: license_id set = one license (add-on purchase),
+-- product_id set = every license of a product (promotion),
+-- both NULL = every license
+CREATE TABLE IF NOT EXISTS entitlement_grants (
+    id SERIAL PRIMARY KEY,
+    license_id BIGINT REFERENCES licenses(id) ON DELETE CASCADE,
+    product_id BIGINT,
+    feature VARCHAR(100) NOT NULL,
+    feature_limit INTEGER CHECK (feature_limit IS NULL OR feature_limit >= 0),
+    source VARCHAR(20) NOT NULL DEFAULT 'addon' CHECK (source IN ('addon', 'promotion')),
+    note TEXT,
+
+    starts_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_entitlement_grants_license_id ON entitlement_grants(license_id);
+CREATE INDEX IF NOT EXISTS idx_entitlement_grants_product_id ON entitlement_grants(product_id);
+
+CREATE TRIGGER update_entitlement_grants_updated_at
+    BEFORE UPDATE ON entitlement_grants
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE entitlement_grants IS 'Features unlocked outside a license''s product (add-ons, promotions)';
+COMMENT ON COLUMN entitlement_grants.license_id IS 'License the grant applies to; NULL = not license-specific';
+COMMENT ON COLUMN entitlement_grants.product_id IS 'Lemon Squeezy product whose licenses get the grant; NULL with license_id NULL = all licenses';
+COMMENT ON COLUMN entitlement_grants.feature_limit IS 'Usage limit for the feature; NULL = unlimited';
+COMMENT ON COLUMN entitlement_grants.expires_at IS 'When the grant ends (NULL = never)';
+
+-- Enable Row Level Security (RLS)
+-- No public policies: grants are only read server-side with the service role key
+ALTER TABLE entitlement_grants ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to entitlement_grants"
+    ON entitlement_grants
+    FOR ALL
+    TO service_role
+    USING (true)
+    WITH CHECK (true);
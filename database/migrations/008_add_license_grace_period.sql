@@ -0,0 +1,12 @@
+-- Grace period for failed payments and recently expired licenses
+-- Licenses stay valid (status "grace", no update downloads) for the product's
+-- grace_period_days after a failed subscription payment or expiry.
+
+ALTER TABLE product_catalog
+    ADD COLUMN IF NOT EXISTS grace_period_days INTEGER NOT NULL DEFAULT 7 CHECK (grace_period_days >= 0);
+
+ALTER TABLE licenses
+    ADD COLUMN IF NOT EXISTS payment_failed_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN product_catalog.grace_period_days IS 'Days a license stays valid after a failed payment or expiry (0 = no grace period)';
+COMMENT ON COLUMN licenses.payment_failed_at IS 'First failed subscription payment since the last successful one (NULL = paid up)';
@@ -0,0 +1,90 @@
+-- Plugin heartbeats
+-- The plugin reports its environment to /api/heartbeat, recorded against the
+-- activation. Summarized for /api/admin/heartbeat-summary and used by
+-- /api/check-update to hold back releases a site's PHP version can't run and
+-- flag ones not tested on its WordPress version.
+
+ALTER TABLE license_instances
+    ADD COLUMN IF NOT EXISTS plugin_slug VARCHAR(100),
+    ADD COLUMN IF NOT EXISTS plugin_version VARCHAR(20),
+    ADD COLUMN IF NOT EXISTS wp_version VARCHAR(20),
+    ADD COLUMN IF NOT EXISTS php_version VARCHAR(20),
+    ADD COLUMN IF NOT EXISTS locale VARCHAR(20),
+    ADD COLUMN IF NOT EXISTS is_multisite BOOLEAN,
+    ADD COLUMN IF NOT EXISTS enabled_modules TEXT[],
+    ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_license_instances_last_seen
+    ON license_instances(last_seen_at)
+    WHERE deactivated_at IS NULL;
+
+COMMENT ON COLUMN license_instances.enabled_modules IS 'Plugin modules enabled on the site, from the last heartbeat';
+COMMENT ON COLUMN license_instances.last_seen_at IS 'Last heartbeat from the site (NULL = never reported)';
+
+-- Aggregate heartbeats from active sites seen since the given time
+CREATE OR REPLACE FUNCTION license_heartbeat_summary(since TIMESTAMP WITH TIME ZONE)
+RETURNS JSONB AS $$
+    WITH seen AS (
+        SELECT *
+        FROM license_instances
+        WHERE deactivated_at IS NULL
+          AND last_seen_at >= since
+    )
+    SELECT jsonb_build_object(
+        'active_sites', (SELECT COUNT(*) FROM seen),
+        'staging_sites', (SELECT COUNT(*) FROM seen WHERE environment = 'staging'),
+        'multisite', (SELECT COUNT(*) FROM seen WHERE is_multisite),
+        'plugins', (
+            SELECT COALESCE(jsonb_object_agg(plugin_slug, versions), '{}'::jsonb)
+            FROM (
+                SELECT plugin_slug, jsonb_object_agg(plugin_version, sites) AS versions
+                FROM (
+                    SELECT plugin_slug, plugin_version, COUNT(*) AS sites
+                    FROM seen
+                    WHERE plugin_slug IS NOT NULL AND plugin_version IS NOT NULL
+                    GROUP BY plugin_slug, plugin_version
+                ) per_version
+                GROUP BY plugin_slug
+            ) per_plugin
+        ),
+        'wp_versions', (
+            SELECT COALESCE(jsonb_object_agg(version, sites), '{}'::jsonb)
+            FROM (
+                SELECT substring(wp_version FROM '^\d+\.\d+') AS version, COUNT(*) AS sites
+                FROM seen
+                WHERE wp_version ~ '^\d+\.\d+'
+                GROUP BY 1
+            ) t
+        ),
+        'php_versions', (
+            SELECT COALESCE(jsonb_object_agg(version, sites), '{}'::jsonb)
+            FROM (
+                SELECT substring(php_version FROM '^\d+\.\d+') AS version, COUNT(*) AS sites
+                FROM seen
+                WHERE php_version ~ '^\d+\.\d+'
+                GROUP BY 1
+            ) t
+        ),
+        'locales', (
+            SELECT COALESCE(jsonb_object_agg(locale, sites), '{}'::jsonb)
+            FROM (
+                SELECT locale, COUNT(*) AS sites
+                FROM seen
+                WHERE locale IS NOT NULL
+                GROUP BY locale
+            ) t
+        ),
+        'modules', (
+            SELECT COALESCE(jsonb_object_agg(module, sites), '{}'::jsonb)
+            FROM (
+                SELECT module, COUNT(*) AS sites
+                FROM seen, unnest(enabled_modules) AS module
+                GROUP BY module
+            ) t
+        )
+    );
+$$ LANGUAGE sql STABLE;
+
+-- Only the API (service role) reads the summary
+REVOKE EXECUTE ON FUNCTION license_heartbeat_summary(TIMESTAMP WITH TIME ZONE) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION license_heartbeat_summary(TIMESTAMP WITH TIME ZONE) TO service_role;
@@ -0,0 +1,31 @@
+-- License validation cache
+-- Optional shared backing for the in-memory validation cache
+-- (api/_lib/license-cache.js, enabled with LICENSE_CACHE_PERSIST=true).
+-- Entries are deleted by webhooks as soon as the license changes.
+
+CREATE TABLE IF NOT EXISTS license_validation_cache (
+    key_hash VARCHAR(16) PRIMARY KEY,
+    license_id BIGINT,
+    order_id BIGINT,
+    data JSONB NOT NULL,
+
+    cached_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_license_validation_cache_order_id ON license_validation_cache(order_id);
+CREATE INDEX IF NOT EXISTS idx_license_validation_cache_expires_at ON license_validation_cache(expires_at);
+
+COMMENT ON TABLE license_validation_cache IS 'Short-lived cache of resolved licenses for /api/validate-license';
+COMMENT ON COLUMN license_validation_cache.key_hash IS 'hashSensitiveData(license_key) - raw keys are never stored';
+
+-- Enable Row Level Security (RLS)
+-- No public policies: cached license data is only accessed server-side with the service role key
+ALTER TABLE license_validation_cache ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to license_validation_cache"
+    ON license_validation_cache
+    FOR ALL
+    TO service_role
+    USING (true)
+    WITH CHECK (true);
@@ -0,0 +1,27 @@
+-- Bookshelf site tokens
+-- /api/bookshelf/register issues a site token once the caller proves it owns
+-- the site; /sync, /remove and /deregister require it (api/_lib/bookshelf-auth.js).
+-- Kept out of bookshelf_sites, which is publicly readable.
+
+CREATE TABLE IF NOT EXISTS bookshelf_site_tokens (
+    site_url TEXT PRIMARY KEY REFERENCES bookshelf_sites(site_url) ON DELETE CASCADE ON UPDATE CASCADE,
+    token_hash VARCHAR(64) NOT NULL,
+    license_instance_id VARCHAR(100),
+
+    issued_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON TABLE bookshelf_site_tokens IS 'Write tokens for bookshelf sites (one per site, replaced on re-registration)';
+COMMENT ON COLUMN bookshelf_site_tokens.token_hash IS 'SHA-256 of the site token - raw tokens are never stored';
+COMMENT ON COLUMN bookshelf_site_tokens.license_instance_id IS 'License activation that proved ownership of the site (the token is revoked when it is deactivated)';
+
+-- Enable Row Level Security (RLS)
+-- No public policies: tokens are only accessed server-side with the service role key
+ALTER TABLE bookshelf_site_tokens ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to bookshelf_site_tokens"
+    ON bookshelf_site_tokens
+    FOR ALL
+    TO service_role
+    USING (true)
+    WITH CHECK (true);
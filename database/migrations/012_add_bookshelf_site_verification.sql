@@ -0,0 +1,57 @@
+-- Bookshelf site verification
+-- A site is verified once its owner proves control of it, either with a license
+-- activation for the site or by publishing a challenge nonce on it
+-- (/api/bookshelf/register + /api/bookshelf/verify). Books from unverified
+-- sites are hidden from /api/bookshelf/books.
+--
+-- Existing sites start unverified and reappear once the plugin registers again.
+
+ALTER TABLE bookshelf_sites
+    ADD COLUMN IF NOT EXISTS verified_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS verification_method VARCHAR(20);
+
+ALTER TABLE bookshelf_sites
+    ADD CONSTRAINT bookshelf_sites_verification_method_check
+    CHECK (verification_method IN ('license', 'domain'));
+
+CREATE INDEX IF NOT EXISTS idx_sites_verified ON bookshelf_sites(site_url) WHERE verified_at IS NOT NULL;
+
+COMMENT ON COLUMN bookshelf_sites.verified_at IS 'When ownership of the site was last proved (NULL = unverified, books hidden)';
+COMMENT ON COLUMN bookshelf_sites.verification_method IS 'license (active license activation) or domain (published challenge nonce)';
+COMMENT ON COLUMN bookshelf_site_tokens.license_instance_id IS 'License activation that proved ownership of the site (the token is revoked when it is deactivated); NULL for domain verification';
+
+-- ============================================================================
+-- Table: bookshelf_site_challenges
+-- Pending domain verification challenges. Each registration gets its own
+-- challenge, claimable only with the challenge token returned to that caller,
+-- so a third party can neither take over nor reset someone else's challenge.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS bookshelf_site_challenges (
+    id BIGSERIAL PRIMARY KEY,
+    site_url TEXT NOT NULL,
+    home_url TEXT NOT NULL,
+    site_name TEXT,
+    nonce VARCHAR(64) NOT NULL,
+    claim_hash VARCHAR(64) NOT NULL UNIQUE,
+
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_site_challenges_site_url ON bookshelf_site_challenges(site_url);
+CREATE INDEX IF NOT EXISTS idx_site_challenges_expires_at ON bookshelf_site_challenges(expires_at);
+
+COMMENT ON TABLE bookshelf_site_challenges IS 'Pending bookshelf domain verification challenges';
+COMMENT ON COLUMN bookshelf_site_challenges.nonce IS 'Value the site publishes at /.well-known/bookpeek-verification.txt or in a bookpeek-verification meta tag';
+COMMENT ON COLUMN bookshelf_site_challenges.claim_hash IS 'SHA-256 of the challenge token returned to the registering caller';
+
+-- Enable Row Level Security (RLS)
+-- No public policies: challenges are only accessed server-side with the service role key
+ALTER TABLE bookshelf_site_challenges ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to bookshelf_site_challenges"
+    ON bookshelf_site_challenges
+    FOR ALL
+    TO service_role
+    USING (true)
+    WITH CHECK (true);
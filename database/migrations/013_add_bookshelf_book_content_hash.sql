@@ -0,0 +1,10 @@
+-- Bookshelf book content hashes
+-- SHA-256 over the book payload the plugin sent (see computeContentHash() in
+-- api/_lib/bookshelf-books.js), returned by /api/bookshelf/sync, /sync-batch
+-- and /manifest so the plugin can tell which books changed or went missing
+-- since it last synced them.
+-- Books synced before this migration have no hash until they are synced again.
+
+ALTER TABLE bookshelf_books ADD COLUMN IF NOT EXISTS content_hash VARCHAR(64);
+
+COMMENT ON COLUMN bookshelf_books.content_hash IS 'SHA-256 of the synced book payload fields (NULL = synced before hashing)';
@@ -0,0 +1,97 @@
+-- Bookshelf full-text search
+-- Weighted search vector over title (A), ISBN (A), author (B) and description (C),
+-- kept current by a trigger. /api/bookshelf/books lists books through
+-- search_bookshelf_books(), which ranks matches and pages the results.
+--
+-- The 'simple' configuration is used throughout (no stemming or stop words), so
+-- author names and titles match as typed and every search term matches as a prefix.
+
+ALTER TABLE bookshelf_books ADD COLUMN IF NOT EXISTS search_vector TSVECTOR;
+
+CREATE INDEX IF NOT EXISTS idx_books_search_vector ON bookshelf_books USING GIN(search_vector);
+
+CREATE OR REPLACE FUNCTION bookshelf_books_search_vector_update()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.search_vector :=
+        setweight(to_tsvector('simple', COALESCE(NEW.title, '')), 'A') ||
+        setweight(to_tsvector('simple', regexp_replace(COALESCE(NEW.isbn, ''), '[^0-9Xx]', '', 'g')), 'A') ||
+        setweight(to_tsvector('simple', COALESCE(NEW.author_name, '')), 'B') ||
+        setweight(to_tsvector('simple', COALESCE(NEW.description, '')), 'C');
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS update_bookshelf_books_search_vector ON bookshelf_books;
+CREATE TRIGGER update_bookshelf_books_search_vector
+    BEFORE INSERT OR UPDATE OF title, isbn, author_name, description ON bookshelf_books
+    FOR EACH ROW
+    EXECUTE FUNCTION bookshelf_books_search_vector_update();
+
+-- Backfill existing books (fires the trigger)
+UPDATE bookshelf_books SET title = title WHERE search_vector IS NULL;
+
+COMMENT ON COLUMN bookshelf_books.search_vector IS 'Weighted full-text vector (title, ISBN, author, description), maintained by trigger';
+
+-- Turn free text from a visitor into a prefix tsquery: "tolk hob" -> 'tolk':* & 'hob':*
+-- Everything but letters and digits is dropped, so the input can never be a
+-- tsquery syntax error. Hyphens between digits are removed so ISBNs match as
+-- typed. Returns NULL when nothing searchable is left.
+CREATE OR REPLACE FUNCTION bookshelf_search_tsquery(search_query TEXT)
+RETURNS TSQUERY AS $$
+    SELECT to_tsquery('simple', string_agg(quote_literal(term) || ':*', ' & '))
+    FROM regexp_split_to_table(
+        lower(regexp_replace(
+            regexp_replace(COALESCE(search_query, ''), '(\d)-(?=\d)', '\1', 'g'),
+            '[^[:alnum:]]+', ' ', 'g'
+        )),
+        ' '
+    ) AS term
+    WHERE term <> '';
+$$ LANGUAGE sql IMMUTABLE;
+
+-- One page of bookshelf books from verified sites, with the total number of matches.
+-- A blank search_query lists every book; one with nothing searchable matches none.
+-- Books are returned as IDs in page order; the API loads the rows themselves.
+CREATE OR REPLACE FUNCTION search_bookshelf_books(
+    search_query TEXT DEFAULT NULL,
+    genre_filter TEXT DEFAULT NULL,
+    sort_order TEXT DEFAULT 'latest',
+    page_limit INTEGER DEFAULT 20,
+    page_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (book_id INTEGER, rank REAL, total_count BIGINT) AS $$
+    WITH query AS (
+        SELECT bookshelf_search_tsquery(search_query) AS tsq,
+               COALESCE(btrim(search_query), '') = '' AS match_all
+    ),
+    matches AS (
+        SELECT
+            b.id,
+            b.title,
+            b.publication_date,
+            b.synced_at,
+            CASE WHEN query.match_all THEN 0 ELSE ts_rank(b.search_vector, query.tsq) END AS search_rank
+        FROM bookshelf_books b
+        JOIN bookshelf_sites s ON s.site_url = b.site_url
+        CROSS JOIN query
+        WHERE s.verified_at IS NOT NULL
+          AND (query.match_all OR b.search_vector @@ query.tsq)
+          AND (genre_filter IS NULL OR EXISTS (
+              SELECT 1
+              FROM bookshelf_book_genres g
+              WHERE g.book_id = b.id AND g.genre_slug = genre_filter
+          ))
+    )
+    SELECT id, search_rank::REAL, COUNT(*) OVER ()
+    FROM matches
+    ORDER BY
+        CASE WHEN sort_order = 'relevance' THEN search_rank END DESC,
+        CASE WHEN sort_order = 'oldest' THEN publication_date END ASC,
+        CASE WHEN sort_order = 'title-asc' THEN title END ASC,
+        CASE WHEN sort_order = 'title-desc' THEN title END DESC,
+        synced_at DESC,
+        id DESC
+    LIMIT page_limit
+    OFFSET page_offset;
+$$ LANGUAGE sql STABLE;
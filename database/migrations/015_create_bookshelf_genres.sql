@@ -0,0 +1,77 @@
+-- Bookshelf genre catalog
+-- Labels and display order for the genre slugs books are synced with. Served with
+-- per-genre book counts by /api/bookshelf/genres, which the browse page builds
+-- its filters from. New genres are added as rows, not code.
+
+CREATE TABLE IF NOT EXISTS bookshelf_genres (
+    slug TEXT PRIMARY KEY CHECK (slug ~ '^[a-z0-9-]+$'),
+    label TEXT NOT NULL,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON TABLE bookshelf_genres IS 'Bookshelf genres: display labels and order for genre slugs';
+COMMENT ON COLUMN bookshelf_genres.sort_order IS 'Position in genre lists (then label); "other" goes last';
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE bookshelf_genres ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Public read genres"
+    ON bookshelf_genres
+    FOR SELECT
+    USING (true);
+
+CREATE POLICY "Service role has full access to bookshelf_genres"
+    ON bookshelf_genres
+    FOR ALL
+    TO service_role
+    USING (true)
+    WITH CHECK (true);
+
+-- The genres the plugin offers today
+INSERT INTO bookshelf_genres (slug, label, sort_order) VALUES
+    ('action-adventure', 'Action & Adventure', 0),
+    ('childrens', 'Children''s Books', 0),
+    ('fantasy', 'Fantasy', 0),
+    ('historical-fiction', 'Historical Fiction', 0),
+    ('horror', 'Horror', 0),
+    ('literary-fiction', 'Literary Fiction', 0),
+    ('mystery-crime', 'Mystery & Crime', 0),
+    ('non-fiction', 'Non-Fiction', 0),
+    ('poetry', 'Poetry', 0),
+    ('romance', 'Romance', 0),
+    ('science-fiction', 'Science Fiction', 0),
+    ('self-help', 'Self-Help', 0),
+    ('thriller-suspense', 'Thriller & Suspense', 0),
+    ('young-adult', 'Young Adult', 0),
+    ('other', 'Other', 100)
+ON CONFLICT (slug) DO NOTHING;
+
+-- Every genre with the number of books from verified sites in it, optionally
+-- only counting books that match a search (same rules as search_bookshelf_books()).
+-- Slugs in use but missing from the catalog are included, labelled from the slug.
+CREATE OR REPLACE FUNCTION bookshelf_genre_counts(search_query TEXT DEFAULT NULL)
+RETURNS TABLE (slug TEXT, label TEXT, book_count BIGINT) AS $$
+    WITH query AS (
+        SELECT bookshelf_search_tsquery(search_query) AS tsq,
+               COALESCE(btrim(search_query), '') = '' AS match_all
+    ),
+    counts AS (
+        SELECT g.genre_slug, COUNT(*) AS book_count
+        FROM bookshelf_book_genres g
+        JOIN bookshelf_books b ON b.id = g.book_id
+        JOIN bookshelf_sites s ON s.site_url = b.site_url
+        CROSS JOIN query
+        WHERE s.verified_at IS NOT NULL
+          AND (query.match_all OR b.search_vector @@ query.tsq)
+        GROUP BY g.genre_slug
+    )
+    SELECT
+        COALESCE(genres.slug, counts.genre_slug),
+        COALESCE(genres.label, initcap(replace(counts.genre_slug, '-', ' '))),
+        COALESCE(counts.book_count, 0)
+    FROM bookshelf_genres genres
+    FULL OUTER JOIN counts ON counts.genre_slug = genres.slug
+    ORDER BY COALESCE(genres.sort_order, 50), 2;
+$$ LANGUAGE sql STABLE;
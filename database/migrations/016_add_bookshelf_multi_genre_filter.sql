@@ -0,0 +1,57 @@
+-- Bookshelf multi-genre filter
+-- search_bookshelf_books() takes a list of genres instead of one. With
+-- genre_mode 'any' a book matches if it is in at least one of them, with 'all'
+-- only if it is in every one. An empty or NULL list doesn't filter.
+
+-- The genre parameter changes type, so replace the function rather than overload it
+DROP FUNCTION IF EXISTS search_bookshelf_books(TEXT, TEXT, TEXT, INTEGER, INTEGER);
+
+CREATE OR REPLACE FUNCTION search_bookshelf_books(
+    search_query TEXT DEFAULT NULL,
+    genre_filters TEXT[] DEFAULT NULL,
+    genre_mode TEXT DEFAULT 'any',
+    sort_order TEXT DEFAULT 'latest',
+    page_limit INTEGER DEFAULT 20,
+    page_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (book_id INTEGER, rank REAL, total_count BIGINT) AS $$
+    WITH query AS (
+        SELECT bookshelf_search_tsquery(search_query) AS tsq,
+               COALESCE(btrim(search_query), '') = '' AS match_all
+    ),
+    matches AS (
+        SELECT
+            b.id,
+            b.title,
+            b.publication_date,
+            b.synced_at,
+            CASE WHEN query.match_all THEN 0 ELSE ts_rank(b.search_vector, query.tsq) END AS search_rank
+        FROM bookshelf_books b
+        JOIN bookshelf_sites s ON s.site_url = b.site_url
+        CROSS JOIN query
+        WHERE s.verified_at IS NOT NULL
+          AND (query.match_all OR b.search_vector @@ query.tsq)
+          AND (
+              COALESCE(cardinality(genre_filters), 0) = 0
+              OR (
+                  SELECT COUNT(DISTINCT g.genre_slug)
+                  FROM bookshelf_book_genres g
+                  WHERE g.book_id = b.id AND g.genre_slug = ANY(genre_filters)
+              ) >= CASE
+                  WHEN genre_mode = 'all' THEN (SELECT COUNT(DISTINCT f) FROM unnest(genre_filters) AS f)
+                  ELSE 1
+              END
+          )
+    )
+    SELECT id, search_rank::REAL, COUNT(*) OVER ()
+    FROM matches
+    ORDER BY
+        CASE WHEN sort_order = 'relevance' THEN search_rank END DESC,
+        CASE WHEN sort_order = 'oldest' THEN publication_date END ASC,
+        CASE WHEN sort_order = 'title-asc' THEN title END ASC,
+        CASE WHEN sort_order = 'title-desc' THEN title END DESC,
+        synced_at DESC,
+        id DESC
+    LIMIT page_limit
+    OFFSET page_offset;
+$$ LANGUAGE sql STABLE;
@@ -0,0 +1,174 @@
+-- Bookshelf authors
+-- One author profile per registered site, keyed by the site's ID. The plugin
+-- sends the author's name, bio and links with every book; a trigger copies them
+-- from each synced book into the site's profile, so the latest sync wins.
+-- Served by /api/bookshelf/authors (search_bookshelf_authors()) and
+-- /api/bookshelf/authors/:id.
+
+CREATE TABLE IF NOT EXISTS bookshelf_authors (
+    site_id INTEGER PRIMARY KEY REFERENCES bookshelf_sites(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    bio TEXT NOT NULL DEFAULT '',
+    website TEXT NOT NULL DEFAULT '',
+    twitter TEXT NOT NULL DEFAULT '',
+    instagram TEXT NOT NULL DEFAULT '',
+
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON TABLE bookshelf_authors IS 'Bookshelf author profiles, one per registered site, copied from synced books';
+COMMENT ON COLUMN bookshelf_authors.site_id IS 'Site the author publishes on; also the author ID in the API';
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE bookshelf_authors ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Public read authors"
+    ON bookshelf_authors
+    FOR SELECT
+    USING (true);
+
+CREATE POLICY "Service role has full access to bookshelf_authors"
+    ON bookshelf_authors
+    FOR ALL
+    TO service_role
+    USING (true)
+    WITH CHECK (true);
+
+-- Copy the author fields of a synced book into its site's profile
+-- (books synced without an author name leave the profile alone)
+CREATE OR REPLACE FUNCTION bookshelf_books_sync_author()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF btrim(COALESCE(NEW.author_name, '')) = '' THEN
+        RETURN NULL;
+    END IF;
+
+    INSERT INTO bookshelf_authors (site_id, name, bio, website, twitter, instagram)
+    SELECT
+        s.id,
+        NEW.author_name,
+        COALESCE(NEW.author_bio, ''),
+        COALESCE(NEW.author_website, ''),
+        COALESCE(NEW.author_twitter, ''),
+        COALESCE(NEW.author_instagram, '')
+    FROM bookshelf_sites s
+    WHERE s.site_url = NEW.site_url
+    ON CONFLICT (site_id) DO UPDATE SET
+        name = EXCLUDED.name,
+        bio = EXCLUDED.bio,
+        website = EXCLUDED.website,
+        twitter = EXCLUDED.twitter,
+        instagram = EXCLUDED.instagram,
+        updated_at = NOW()
+    WHERE (bookshelf_authors.name, bookshelf_authors.bio, bookshelf_authors.website,
+           bookshelf_authors.twitter, bookshelf_authors.instagram)
+        IS DISTINCT FROM
+          (EXCLUDED.name, EXCLUDED.bio, EXCLUDED.website, EXCLUDED.twitter, EXCLUDED.instagram);
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS sync_bookshelf_books_author ON bookshelf_books;
+CREATE TRIGGER sync_bookshelf_books_author
+    AFTER INSERT OR UPDATE OF site_url, author_name, author_bio, author_website, author_twitter, author_instagram
+    ON bookshelf_books
+    FOR EACH ROW
+    EXECUTE FUNCTION bookshelf_books_sync_author();
+
+-- Backfill from each site's latest synced book with an author name
+INSERT INTO bookshelf_authors (site_id, name, bio, website, twitter, instagram)
+SELECT DISTINCT ON (s.id)
+    s.id,
+    b.author_name,
+    COALESCE(b.author_bio, ''),
+    COALESCE(b.author_website, ''),
+    COALESCE(b.author_twitter, ''),
+    COALESCE(b.author_instagram, '')
+FROM bookshelf_books b
+JOIN bookshelf_sites s ON s.site_url = b.site_url
+WHERE btrim(COALESCE(b.author_name, '')) <> ''
+ORDER BY s.id, b.synced_at DESC, b.id DESC
+ON CONFLICT (site_id) DO NOTHING;
+
+-- One page of authors on verified sites with at least one book, with the total
+-- number of matches. search_query matches author names by prefix (same rules as
+-- search_bookshelf_books()).
+-- sort_order: 'name' (A-Z), 'name-desc', 'books' (most books first), 'latest' (latest synced book first)
+CREATE OR REPLACE FUNCTION search_bookshelf_authors(
+    search_query TEXT DEFAULT NULL,
+    sort_order TEXT DEFAULT 'name',
+    page_limit INTEGER DEFAULT 20,
+    page_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (
+    author_id INTEGER,
+    name TEXT,
+    bio TEXT,
+    site_url TEXT,
+    home_url TEXT,
+    cover TEXT,
+    book_count BIGINT,
+    latest_synced_at TIMESTAMP WITH TIME ZONE,
+    total_count BIGINT
+) AS $$
+    WITH query AS (
+        SELECT bookshelf_search_tsquery(search_query) AS tsq,
+               COALESCE(btrim(search_query), '') = '' AS match_all
+    ),
+    authors AS (
+        SELECT
+            a.site_id,
+            a.name,
+            a.bio,
+            s.site_url,
+            s.home_url,
+            COUNT(b.id) AS book_count,
+            MAX(b.synced_at) AS latest_synced_at
+        FROM bookshelf_authors a
+        JOIN bookshelf_sites s ON s.id = a.site_id
+        JOIN bookshelf_books b ON b.site_url = s.site_url
+        CROSS JOIN query
+        WHERE s.verified_at IS NOT NULL
+          AND (query.match_all OR to_tsvector('simple', a.name) @@ query.tsq)
+        GROUP BY a.site_id, s.id
+    ),
+    page AS (
+        SELECT authors.*, COUNT(*) OVER () AS total_count
+        FROM authors
+        ORDER BY
+            CASE WHEN sort_order = 'name-desc' THEN lower(authors.name) END DESC,
+            CASE WHEN sort_order = 'books' THEN authors.book_count END DESC,
+            CASE WHEN sort_order = 'latest' THEN authors.latest_synced_at END DESC,
+            lower(authors.name) ASC,
+            authors.site_id ASC
+        LIMIT page_limit
+        OFFSET page_offset
+    )
+    -- Cover of the author's latest synced book
+    SELECT
+        page.site_id,
+        page.name,
+        page.bio,
+        page.site_url,
+        page.home_url,
+        latest.cover_medium,
+        page.book_count,
+        page.latest_synced_at,
+        page.total_count
+    FROM page
+    LEFT JOIN LATERAL (
+        SELECT b.cover_medium
+        FROM bookshelf_books b
+        WHERE b.site_url = page.site_url
+        ORDER BY b.synced_at DESC, b.id DESC
+        LIMIT 1
+    ) latest ON true
+    ORDER BY
+        CASE WHEN sort_order = 'name-desc' THEN lower(page.name) END DESC,
+        CASE WHEN sort_order = 'books' THEN page.book_count END DESC,
+        CASE WHEN sort_order = 'latest' THEN page.latest_synced_at END DESC,
+        lower(page.name) ASC,
+        page.site_id ASC;
+$$ LANGUAGE sql STABLE;
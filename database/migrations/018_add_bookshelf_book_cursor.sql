@@ -0,0 +1,102 @@
+-- Bookshelf cursor pagination
+-- search_bookshelf_books() can continue after a given book instead of skipping
+-- page_offset rows: pass the sort values of the last book of the previous page
+-- (after_id, after_synced_at, and after_rank, after_title or after_date for
+-- the sort order). Pages then don't shift when books are added or removed
+-- before them. The function also returns those values for every book, for
+-- building the next cursor (see api/_lib/bookshelf-catalog.js).
+--
+-- Every sort order ends with synced_at DESC, id DESC, so no two books tie.
+-- With a cursor, total_count only counts the books after it.
+
+-- The return type changes, so replace the function rather than overload it
+DROP FUNCTION IF EXISTS search_bookshelf_books(TEXT, TEXT[], TEXT, TEXT, INTEGER, INTEGER);
+
+CREATE OR REPLACE FUNCTION search_bookshelf_books(
+    search_query TEXT DEFAULT NULL,
+    genre_filters TEXT[] DEFAULT NULL,
+    genre_mode TEXT DEFAULT 'any',
+    sort_order TEXT DEFAULT 'latest',
+    page_limit INTEGER DEFAULT 20,
+    page_offset INTEGER DEFAULT 0,
+    after_id INTEGER DEFAULT NULL,
+    after_synced_at TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    after_rank REAL DEFAULT NULL,
+    after_title TEXT DEFAULT NULL,
+    after_date DATE DEFAULT NULL
+)
+RETURNS TABLE (
+    book_id INTEGER,
+    rank REAL,
+    title TEXT,
+    publication_date DATE,
+    synced_at TIMESTAMP WITH TIME ZONE,
+    total_count BIGINT
+) AS $$
+    WITH query AS (
+        SELECT bookshelf_search_tsquery(search_query) AS tsq,
+               COALESCE(btrim(search_query), '') = '' AS match_all
+    ),
+    matches AS (
+        SELECT
+            b.id,
+            b.title,
+            b.publication_date,
+            b.synced_at,
+            (CASE WHEN query.match_all THEN 0 ELSE ts_rank(b.search_vector, query.tsq) END)::REAL AS search_rank
+        FROM bookshelf_books b
+        JOIN bookshelf_sites s ON s.site_url = b.site_url
+        CROSS JOIN query
+        WHERE s.verified_at IS NOT NULL
+          AND (query.match_all OR b.search_vector @@ query.tsq)
+          AND (
+              COALESCE(cardinality(genre_filters), 0) = 0
+              OR (
+                  SELECT COUNT(DISTINCT g.genre_slug)
+                  FROM bookshelf_book_genres g
+                  WHERE g.book_id = b.id AND g.genre_slug = ANY(genre_filters)
+              ) >= CASE
+                  WHEN genre_mode = 'all' THEN (SELECT COUNT(DISTINCT f) FROM unnest(genre_filters) AS f)
+                  ELSE 1
+              END
+          )
+    ),
+    -- Books after the cursor, in the order below
+    remaining AS (
+        SELECT matches.*
+        FROM matches
+        WHERE after_id IS NULL
+           -- Same sort value as the cursor: break the tie on synced_at, id
+           OR (
+               CASE sort_order
+                   WHEN 'relevance' THEN matches.search_rank = after_rank
+                   WHEN 'oldest' THEN matches.publication_date IS NOT DISTINCT FROM after_date
+                   WHEN 'title-asc' THEN matches.title = after_title
+                   WHEN 'title-desc' THEN matches.title = after_title
+                   ELSE true
+               END
+               AND (matches.synced_at, matches.id) < (after_synced_at, after_id)
+           )
+           -- Sort value after the cursor's
+           OR CASE sort_order
+                  WHEN 'relevance' THEN matches.search_rank < after_rank
+                  -- Books without a publication date come last
+                  WHEN 'oldest' THEN after_date IS NOT NULL
+                      AND (matches.publication_date > after_date OR matches.publication_date IS NULL)
+                  WHEN 'title-asc' THEN matches.title > after_title
+                  WHEN 'title-desc' THEN matches.title < after_title
+                  ELSE false
+              END
+    )
+    SELECT id, search_rank, title, publication_date, synced_at, COUNT(*) OVER ()
+    FROM remaining
+    ORDER BY
+        CASE WHEN sort_order = 'relevance' THEN search_rank END DESC,
+        CASE WHEN sort_order = 'oldest' THEN publication_date END ASC,
+        CASE WHEN sort_order = 'title-asc' THEN title END ASC,
+        CASE WHEN sort_order = 'title-desc' THEN title END DESC,
+        synced_at DESC,
+        id DESC
+    LIMIT page_limit
+    OFFSET page_offset;
+$$ LANGUAGE sql STABLE;
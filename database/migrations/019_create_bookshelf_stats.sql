@@ -0,0 +1,96 @@
+-- Bookshelf statistics
+-- Totals for /api/bookshelf/stats, kept in a one-row materialized view so
+-- reading them is a single lookup. The API refreshes the view with
+-- refresh_bookshelf_stats() after books are synced or removed (at most once a
+-- minute), and the daily keepalive cron refreshes it too so "this week" moves
+-- on without syncs.
+--
+-- Books get a created_at (first synced) for "books added this week": synced_at
+-- changes on every sync.
+
+ALTER TABLE bookshelf_books
+    ADD COLUMN IF NOT EXISTS created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+-- Existing books: the best we know is their last sync
+UPDATE bookshelf_books
+SET created_at = synced_at
+WHERE synced_at IS NOT NULL AND synced_at < created_at;
+
+COMMENT ON COLUMN bookshelf_books.created_at IS 'When the book was first synced (synced_at is the latest sync)';
+
+CREATE INDEX IF NOT EXISTS idx_books_created_at ON bookshelf_books(created_at DESC);
+
+-- Books from verified sites, authors on verified sites with at least one book,
+-- books added in the last 7 days, and books per genre (as bookshelf_genre_counts()
+-- without a search; not called from here, as views are refreshed with a
+-- restricted search_path that functions without one can't resolve tables in)
+CREATE MATERIALIZED VIEW IF NOT EXISTS bookshelf_stats AS
+    WITH listed AS (
+        SELECT b.id, b.site_url, b.created_at
+        FROM bookshelf_books b
+        JOIN bookshelf_sites s ON s.site_url = b.site_url
+        WHERE s.verified_at IS NOT NULL
+    ),
+    genre_counts AS (
+        SELECT g.genre_slug, COUNT(*) AS book_count
+        FROM bookshelf_book_genres g
+        JOIN listed ON listed.id = g.book_id
+        GROUP BY g.genre_slug
+    )
+    SELECT
+        1 AS id,
+        (SELECT COUNT(*) FROM listed) AS total_books,
+        (
+            SELECT COUNT(*)
+            FROM bookshelf_authors a
+            JOIN bookshelf_sites s ON s.id = a.site_id
+            WHERE EXISTS (SELECT 1 FROM listed WHERE listed.site_url = s.site_url)
+        ) AS total_authors,
+        (SELECT COUNT(*) FROM listed WHERE created_at >= NOW() - INTERVAL '7 days') AS books_this_week,
+        (
+            SELECT COALESCE(
+                jsonb_agg(
+                    jsonb_build_object(
+                        'slug', COALESCE(genres.slug, genre_counts.genre_slug),
+                        'label', COALESCE(genres.label, initcap(replace(genre_counts.genre_slug, '-', ' '))),
+                        'count', COALESCE(genre_counts.book_count, 0)
+                    )
+                    ORDER BY
+                        COALESCE(genres.sort_order, 50),
+                        COALESCE(genres.label, initcap(replace(genre_counts.genre_slug, '-', ' ')))
+                ),
+                '[]'::jsonb
+            )
+            FROM bookshelf_genres genres
+            FULL OUTER JOIN genre_counts ON genre_counts.genre_slug = genres.slug
+        ) AS genres,
+        NOW() AS refreshed_at;
+
+-- REFRESH ... CONCURRENTLY needs a unique index, and keeps the stats readable while refreshing
+CREATE UNIQUE INDEX IF NOT EXISTS idx_bookshelf_stats_id ON bookshelf_stats(id);
+
+COMMENT ON MATERIALIZED VIEW bookshelf_stats IS 'Bookshelf totals for /api/bookshelf/stats, refreshed by refresh_bookshelf_stats()';
+
+-- Refresh the stats, unless they were refreshed less than min_interval_seconds
+-- ago (so a burst of syncs refreshes the view once). Returns TRUE if refreshed.
+CREATE OR REPLACE FUNCTION refresh_bookshelf_stats(min_interval_seconds INTEGER DEFAULT 0)
+RETURNS BOOLEAN AS $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM bookshelf_stats
+        WHERE refreshed_at > NOW() - make_interval(secs => min_interval_seconds)
+    ) THEN
+        RETURN FALSE;
+    END IF;
+
+    REFRESH MATERIALIZED VIEW CONCURRENTLY bookshelf_stats;
+    RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Materialized views have no RLS: only the API (service role) reads the stats
+REVOKE ALL ON bookshelf_stats FROM anon, authenticated;
+GRANT SELECT ON bookshelf_stats TO service_role;
+
+REVOKE EXECUTE ON FUNCTION refresh_bookshelf_stats(INTEGER) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION refresh_bookshelf_stats(INTEGER) TO service_role;
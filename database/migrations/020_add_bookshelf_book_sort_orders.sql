@@ -0,0 +1,127 @@
+-- Bookshelf sort orders: rating, reviews, release date, date added
+-- search_bookshelf_books() gains four sort orders:
+--   'rating'  - highest rated first
+--   'reviews' - most reviewed first
+--   'newest'  - newest releases first (publication_date)
+--   'added'   - recently added first (created_at, first sync; 'latest' is the latest sync)
+-- Books without a rating, review count, publication date or created_at come
+-- last, and ties break on synced_at DESC, id DESC as in every sort order, so
+-- pages never overlap. Cursors (migration 018) take the new sort values in
+-- after_rating, after_review_count, after_date and after_created_at.
+
+-- The return type changes, so replace the function rather than overload it
+DROP FUNCTION IF EXISTS search_bookshelf_books(TEXT, TEXT[], TEXT, TEXT, INTEGER, INTEGER, INTEGER, TIMESTAMP WITH TIME ZONE, REAL, TEXT, DATE);
+
+CREATE OR REPLACE FUNCTION search_bookshelf_books(
+    search_query TEXT DEFAULT NULL,
+    genre_filters TEXT[] DEFAULT NULL,
+    genre_mode TEXT DEFAULT 'any',
+    sort_order TEXT DEFAULT 'latest',
+    page_limit INTEGER DEFAULT 20,
+    page_offset INTEGER DEFAULT 0,
+    after_id INTEGER DEFAULT NULL,
+    after_synced_at TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    after_rank REAL DEFAULT NULL,
+    after_title TEXT DEFAULT NULL,
+    after_date DATE DEFAULT NULL,
+    after_rating NUMERIC DEFAULT NULL,
+    after_review_count INTEGER DEFAULT NULL,
+    after_created_at TIMESTAMP WITH TIME ZONE DEFAULT NULL
+)
+RETURNS TABLE (
+    book_id INTEGER,
+    rank REAL,
+    title TEXT,
+    publication_date DATE,
+    rating NUMERIC,
+    review_count INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE,
+    synced_at TIMESTAMP WITH TIME ZONE,
+    total_count BIGINT
+) AS $$
+    WITH query AS (
+        SELECT bookshelf_search_tsquery(search_query) AS tsq,
+               COALESCE(btrim(search_query), '') = '' AS match_all
+    ),
+    matches AS (
+        SELECT
+            b.id,
+            b.title,
+            b.publication_date,
+            b.rating,
+            b.review_count,
+            b.created_at,
+            b.synced_at,
+            (CASE WHEN query.match_all THEN 0 ELSE ts_rank(b.search_vector, query.tsq) END)::REAL AS search_rank
+        FROM bookshelf_books b
+        JOIN bookshelf_sites s ON s.site_url = b.site_url
+        CROSS JOIN query
+        WHERE s.verified_at IS NOT NULL
+          AND (query.match_all OR b.search_vector @@ query.tsq)
+          AND (
+              COALESCE(cardinality(genre_filters), 0) = 0
+              OR (
+                  SELECT COUNT(DISTINCT g.genre_slug)
+                  FROM bookshelf_book_genres g
+                  WHERE g.book_id = b.id AND g.genre_slug = ANY(genre_filters)
+              ) >= CASE
+                  WHEN genre_mode = 'all' THEN (SELECT COUNT(DISTINCT f) FROM unnest(genre_filters) AS f)
+                  ELSE 1
+              END
+          )
+    ),
+    -- Books after the cursor, in the order below
+    remaining AS (
+        SELECT matches.*
+        FROM matches
+        WHERE after_id IS NULL
+           -- Same sort value as the cursor: break the tie on synced_at, id
+           OR (
+               CASE sort_order
+                   WHEN 'relevance' THEN matches.search_rank = after_rank
+                   WHEN 'oldest' THEN matches.publication_date IS NOT DISTINCT FROM after_date
+                   WHEN 'newest' THEN matches.publication_date IS NOT DISTINCT FROM after_date
+                   WHEN 'rating' THEN matches.rating IS NOT DISTINCT FROM after_rating
+                   WHEN 'reviews' THEN matches.review_count IS NOT DISTINCT FROM after_review_count
+                   WHEN 'added' THEN matches.created_at IS NOT DISTINCT FROM after_created_at
+                   WHEN 'title-asc' THEN matches.title = after_title
+                   WHEN 'title-desc' THEN matches.title = after_title
+                   ELSE true
+               END
+               AND (matches.synced_at, matches.id) < (after_synced_at, after_id)
+           )
+           -- Sort value after the cursor's
+           OR CASE sort_order
+                  WHEN 'relevance' THEN matches.search_rank < after_rank
+                  -- Books without the sort value come last
+                  WHEN 'oldest' THEN after_date IS NOT NULL
+                      AND (matches.publication_date > after_date OR matches.publication_date IS NULL)
+                  WHEN 'newest' THEN after_date IS NOT NULL
+                      AND (matches.publication_date < after_date OR matches.publication_date IS NULL)
+                  WHEN 'rating' THEN after_rating IS NOT NULL
+                      AND (matches.rating < after_rating OR matches.rating IS NULL)
+                  WHEN 'reviews' THEN after_review_count IS NOT NULL
+                      AND (matches.review_count < after_review_count OR matches.review_count IS NULL)
+                  WHEN 'added' THEN after_created_at IS NOT NULL
+                      AND (matches.created_at < after_created_at OR matches.created_at IS NULL)
+                  WHEN 'title-asc' THEN matches.title > after_title
+                  WHEN 'title-desc' THEN matches.title < after_title
+                  ELSE false
+              END
+    )
+    SELECT id, search_rank, title, publication_date, rating, review_count, created_at, synced_at, COUNT(*) OVER ()
+    FROM remaining
+    ORDER BY
+        CASE WHEN sort_order = 'relevance' THEN search_rank END DESC,
+        CASE WHEN sort_order = 'oldest' THEN publication_date END ASC,
+        CASE WHEN sort_order = 'title-asc' THEN title END ASC,
+        CASE WHEN sort_order = 'title-desc' THEN title END DESC,
+        CASE WHEN sort_order = 'newest' THEN publication_date END DESC NULLS LAST,
+        CASE WHEN sort_order = 'rating' THEN rating END DESC NULLS LAST,
+        CASE WHEN sort_order = 'reviews' THEN review_count END DESC NULLS LAST,
+        CASE WHEN sort_order = 'added' THEN created_at END DESC NULLS LAST,
+        synced_at DESC,
+        id DESC
+    LIMIT page_limit
+    OFFSET page_offset;
+$$ LANGUAGE sql STABLE;
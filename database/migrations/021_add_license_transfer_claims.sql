@@ -0,0 +1,53 @@
+-- License transfer claims
+-- /api/transfer-license claims a transfer with claim_license_transfer() before
+-- calling Lemon Squeezy, so the transfer cooldown holds even when two transfers
+-- of the same license run at once. The claim is then marked completed, or
+-- failed if nothing was moved (failed transfers don't start a cooldown).
+
+ALTER TABLE license_transfers
+    ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'completed'
+        CHECK (status IN ('pending', 'completed', 'failed'));
+
+COMMENT ON TABLE license_transfers IS 'License transfers between sites (for the transfer cooldown)';
+COMMENT ON COLUMN license_transfers.status IS 'pending while the transfer runs, then completed or failed';
+
+-- Claim a transfer unless the license was transferred (or is being transferred)
+-- within cooldown_seconds. Returns the new transfer's ID, or NULL with the time
+-- of the transfer that blocks it.
+CREATE OR REPLACE FUNCTION claim_license_transfer(
+    p_license_id BIGINT,
+    p_from_site_url TEXT,
+    p_to_site_url TEXT,
+    p_from_instance_id TEXT,
+    cooldown_seconds INTEGER
+)
+RETURNS TABLE (
+    transfer_id BIGINT,
+    last_transfer_at TIMESTAMP WITH TIME ZONE
+) AS $$
+DECLARE
+    latest TIMESTAMP WITH TIME ZONE;
+BEGIN
+    -- Concurrent claims for the same license wait here until this one commits
+    PERFORM 1 FROM licenses WHERE id = p_license_id FOR UPDATE;
+
+    SELECT MAX(t.created_at) INTO latest
+    FROM license_transfers t
+    WHERE t.license_id = p_license_id
+      AND t.status IN ('pending', 'completed')
+      AND t.created_at > NOW() - make_interval(secs => cooldown_seconds);
+
+    IF latest IS NOT NULL THEN
+        RETURN QUERY SELECT NULL::BIGINT, latest;
+        RETURN;
+    END IF;
+
+    RETURN QUERY
+    INSERT INTO license_transfers (license_id, from_site_url, to_site_url, from_instance_id, status)
+    VALUES (p_license_id, p_from_site_url, p_to_site_url, p_from_instance_id, 'pending')
+    RETURNING id, created_at;
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION claim_license_transfer(BIGINT, TEXT, TEXT, TEXT, INTEGER) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION claim_license_transfer(BIGINT, TEXT, TEXT, TEXT, INTEGER) TO service_role;
@@ -0,0 +1,177 @@
+/**
+ * BookPeek Bookshelf - Author Page JavaScript
+ * Loads one author's profile and pages through their books
+ */
+
+let authorId = null;
+let currentPage = 1;
+let currentSort = 'latest';
+
+/**
+ * Initialize author page
+ */
+document.addEventListener('DOMContentLoaded', async () => {
+    authorId = getAuthorIdFromPath();
+
+    if (!authorId) {
+        document.getElementById('author-profile').innerHTML = '<p class="no-books">Author not found.</p>';
+        return;
+    }
+
+    currentSort = getUrlParam('sort') || 'latest';
+    currentPage = parseInt(getUrlParam('page')) || 1;
+
+    const sortSelect = document.getElementById('author-sort');
+    sortSelect.value = currentSort;
+    sortSelect.addEventListener('change', (e) => {
+        currentSort = e.target.value;
+        currentPage = 1;
+        updateUrlParams({ sort: currentSort, page: null });
+        loadAuthor();
+    });
+
+    // Genre labels for the book cards (without them, labels are made from the slugs)
+    await fetchGenres().catch(error => console.error('Failed to load genres:', error));
+
+    loadAuthor();
+});
+
+/**
+ * Gets the author ID from a /author/<id>/<slug> path, or from ?id= on the plain page
+ * @returns {string|null} Author ID
+ */
+function getAuthorIdFromPath() {
+    const match = window.location.pathname.match(/^\/author\/(\d+)/);
+
+    if (match) {
+        return match[1];
+    }
+
+    const id = getUrlParam('id');
+    return id && /^\d+$/.test(id) ? id : null;
+}
+
+/**
+ * Load the author and a page of their books from API
+ */
+async function loadAuthor() {
+    const profile = document.getElementById('author-profile');
+    const grid = document.getElementById('author-books-grid');
+
+    grid.innerHTML = '<div class="loading">Loading books...</div>';
+
+    try {
+        const params = new URLSearchParams({
+            page: currentPage,
+            limit: 20,
+            sort: currentSort
+        });
+
+        const response = await fetch(`/api/bookshelf/authors/${authorId}?${params.toString()}`);
+        const data = await response.json();
+
+        if (response.status === 404) {
+            profile.innerHTML = '<p class="no-books">This author is no longer on the Bookshelf.</p>';
+            return;
+        }
+
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to load author');
+        }
+
+        const { author } = data;
+
+        document.title = `${author.name} - BookPeek Bookshelf`;
+
+        // Show the canonical URL if the slug in the address is missing or outdated
+        if (window.location.pathname.startsWith('/author/') && window.location.pathname !== getAuthorPageUrl(author)) {
+            window.history.replaceState({}, '', getAuthorPageUrl(author) + window.location.search);
+        }
+
+        profile.innerHTML = '';
+        profile.appendChild(createAuthorProfile(author));
+
+        // Books
+        document.getElementById('author-books-title').textContent = `Books by ${author.name}`;
+        document.getElementById('books-count').textContent = `${author.book_count} ${author.book_count === 1 ? 'book' : 'books'}`;
+
+        grid.innerHTML = '';
+
+        if (data.books.length === 0) {
+            grid.innerHTML = '<p class="no-books">No books on this page.</p>';
+        } else {
+            data.books.forEach(book => {
+                grid.appendChild(createBookCard(book));
+            });
+        }
+
+        renderPagination(data.pagination, goToPage);
+        document.getElementById('author-books').hidden = false;
+
+    } catch (error) {
+        console.error('Failed to load author:', error);
+        profile.innerHTML = '<p class="error">Failed to load author. Please try again later.</p>';
+    }
+}
+
+/**
+ * Creates the author profile section
+ * @param {Object} author - Author data from API
+ * @returns {HTMLElement} Author profile element
+ */
+function createAuthorProfile(author) {
+    const section = document.createElement('div');
+    section.className = 'author-profile';
+
+    const name = document.createElement('h1');
+    name.textContent = author.name;
+    section.appendChild(name);
+
+    const meta = document.createElement('p');
+    meta.className = 'author-card-meta';
+    meta.textContent = author.site_name ? `${author.site_name} · ${author.site}` : author.site;
+    section.appendChild(meta);
+
+    if (author.bio) {
+        const bio = document.createElement('p');
+        bio.className = 'book-detail-description';
+        bio.textContent = author.bio;
+        section.appendChild(bio);
+    }
+
+    // Links (only web links from the author's site are shown)
+    const links = document.createElement('div');
+    links.className = 'author-links';
+
+    [
+        [author.site_url, "Author's Bookshelf Site"],
+        [author.website, 'Website'],
+        [author.twitter, 'Twitter'],
+        [author.instagram, 'Instagram']
+    ].forEach(([href, text]) => {
+        if (typeof href === 'string' && /^https?:\/\//i.test(href)) {
+            const link = document.createElement('a');
+            link.href = href;
+            link.className = 'book-link';
+            link.textContent = text;
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+            links.appendChild(link);
+        }
+    });
+
+    section.appendChild(links);
+
+    return section;
+}
+
+/**
+ * Go to a page of the author's books
+ * @param {number} page - Page number
+ */
+function goToPage(page) {
+    currentPage = page;
+    updateUrlParams({ page: currentPage });
+    loadAuthor();
+    document.getElementById('author-books').scrollIntoView({ behavior: 'smooth' });
+}
@@ -0,0 +1 @@
+let authorId=null,currentPage=1,currentSort="latest";function getAuthorIdFromPath(){const t=window.location.pathname.match(/^\/author\/(\d+)/);if(t)return t[1];const e=getUrlParam("id");return e&&/^\d+$/.test(e)?e:null}async function loadAuthor(){const t=document.getElementById("author-profile"),e=document.getElementById("author-books-grid");e.innerHTML='<div class="loading">Loading books...</div>';try{const o=new URLSearchParams({page:currentPage,limit:20,sort:currentSort}),n=await fetch(`/api/bookshelf/authors/${authorId}?${o.toString()}`),r=await n.json();if(404===n.status)return void(t.innerHTML='<p class="no-books">This author is no longer on the Bookshelf.</p>');if(!r.success)throw new Error(r.error||"Failed to load author");const{author:a}=r;document.title=`${a.name} - BookPeek Bookshelf`,window.location.pathname.startsWith("/author/")&&window.location.pathname!==getAuthorPageUrl(a)&&window.history.replaceState({},"",getAuthorPageUrl(a)+window.location.search),t.innerHTML="",t.appendChild(createAuthorProfile(a)),document.getElementById("author-books-title").textContent=`Books by ${a.name}`,document.getElementById("books-count").textContent=`${a.book_count} ${1===a.book_count?"book":"books"}`,e.innerHTML="",0===r.books.length?e.innerHTML='<p class="no-books">No books on this page.</p>':r.books.forEach(t=>{e.appendChild(createBookCard(t))}),renderPagination(r.pagination,goToPage),document.getElementById("author-books").hidden=!1}catch(e){console.error("Failed to load author:",e),t.innerHTML='<p class="error">Failed to load author. Please try again later.</p>'}}function createAuthorProfile(t){const e=document.createElement("div");e.className="author-profile";const o=document.createElement("h1");o.textContent=t.name,e.appendChild(o);const n=document.createElement("p");if(n.className="author-card-meta",n.textContent=t.site_name?`${t.site_name} · ${t.site}`:t.site,e.appendChild(n),t.bio){const o=document.createElement("p");o.className="book-detail-description",o.textContent=t.bio,e.appendChild(o)}const r=document.createElement("div");return r.className="author-links",[[t.site_url,"Author's Bookshelf Site"],[t.website,"Website"],[t.twitter,"Twitter"],[t.instagram,"Instagram"]].forEach(([t,e])=>{if("string"==typeof t&&/^https?:\/\//i.test(t)){const o=document.createElement("a");o.href=t,o.className="book-link",o.textContent=e,o.target="_blank",o.rel="noopener noreferrer",r.appendChild(o)}}),e.appendChild(r),e}function goToPage(t){currentPage=t,updateUrlParams({page:currentPage}),loadAuthor(),document.getElementById("author-books").scrollIntoView({behavior:"smooth"})}document.addEventListener("DOMContentLoaded",async()=>{if(authorId=getAuthorIdFromPath(),!authorId)return void(document.getElementById("author-profile").innerHTML='<p class="no-books">Author not found.</p>');currentSort=getUrlParam("sort")||"latest",currentPage=parseInt(getUrlParam("page"))||1;const t=document.getElementById("author-sort");t.value=currentSort,t.addEventListener("change",t=>{currentSort=t.target.value,currentPage=1,updateUrlParams({sort:currentSort,page:null}),loadAuthor()}),await fetchGenres().catch(t=>console.error("Failed to load genres:",t)),loadAuthor()});
\ No newline at end of file
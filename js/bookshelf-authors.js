@@ -0,0 +1,143 @@
+/**
+ * BookPeek Bookshelf - Authors Page JavaScript
+ * Handles search, sorting, and pagination for the author directory
+ */
+
+let currentPage = 1;
+let currentSearch = '';
+let currentSort = 'name';
+
+/**
+ * Initialize authors page
+ */
+document.addEventListener('DOMContentLoaded', () => {
+    // Get initial filters from URL
+    currentSearch = getUrlParam('search') || '';
+    currentSort = getUrlParam('sort') || 'name';
+    currentPage = parseInt(getUrlParam('page')) || 1;
+
+    document.getElementById('search-input').value = currentSearch;
+    document.getElementById('sort-select').value = currentSort;
+
+    // Search input
+    document.getElementById('search-input').addEventListener('input', debounce((e) => {
+        currentSearch = e.target.value;
+        currentPage = 1;
+        updateUrlParams({ search: currentSearch, page: currentPage });
+        loadAuthors();
+    }, 500));
+
+    // Sort select
+    document.getElementById('sort-select').addEventListener('change', (e) => {
+        currentSort = e.target.value;
+        currentPage = 1;
+        updateUrlParams({ sort: currentSort, page: currentPage });
+        loadAuthors();
+    });
+
+    loadAuthors();
+});
+
+/**
+ * Load authors from API
+ */
+async function loadAuthors() {
+    const grid = document.getElementById('authors-grid');
+    const resultsCount = document.getElementById('results-count');
+
+    // Show loading state
+    grid.innerHTML = '<div class="loading">Loading authors...</div>';
+    resultsCount.textContent = 'Loading...';
+
+    try {
+        const params = new URLSearchParams({
+            page: currentPage,
+            limit: 24,
+            sort: currentSort
+        });
+
+        if (currentSearch) {
+            params.append('search', currentSearch);
+        }
+
+        const response = await fetch(`/api/bookshelf/authors?${params.toString()}`);
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to load authors');
+        }
+
+        // Update results count
+        const { total, page, limit } = data.pagination;
+
+        if (total === 0) {
+            resultsCount.textContent = 'No authors found';
+        } else {
+            resultsCount.textContent = `Showing ${(page - 1) * limit + 1}-${Math.min(page * limit, total)} of ${total} authors`;
+        }
+
+        // Render authors
+        grid.innerHTML = '';
+
+        if (data.authors.length === 0) {
+            grid.innerHTML = '<p class="no-books">No authors found matching your search.</p>';
+        } else {
+            data.authors.forEach(author => {
+                grid.appendChild(createAuthorCard(author));
+            });
+        }
+
+        renderPagination(data.pagination, goToPage);
+
+    } catch (error) {
+        console.error('Failed to load authors:', error);
+        grid.innerHTML = '<p class="error">Failed to load authors. Please try again later.</p>';
+        resultsCount.textContent = 'Error loading authors';
+    }
+}
+
+/**
+ * Creates an author card linking to the author page
+ * @param {Object} author - Author data from API
+ * @returns {HTMLElement} Author card element
+ */
+function createAuthorCard(author) {
+    const card = document.createElement('a');
+    card.href = getAuthorPageUrl(author);
+    card.className = 'author-card';
+
+    // Cover of the author's latest book
+    const cover = document.createElement('img');
+    cover.src = author.cover || '/images/placeholder-book.jpg';
+    cover.alt = '';
+    cover.className = 'author-card-cover';
+    cover.loading = 'lazy';
+    card.appendChild(cover);
+
+    const info = document.createElement('div');
+
+    const name = document.createElement('h3');
+    name.className = 'author-card-name';
+    name.textContent = author.name;
+    info.appendChild(name);
+
+    const meta = document.createElement('p');
+    meta.className = 'author-card-meta';
+    meta.textContent = `${author.book_count} ${author.book_count === 1 ? 'book' : 'books'} · ${author.site}`;
+    info.appendChild(meta);
+
+    card.appendChild(info);
+
+    return card;
+}
+
+/**
+ * Go to a page of authors
+ * @param {number} page - Page number
+ */
+function goToPage(page) {
+    currentPage = page;
+    updateUrlParams({ page: currentPage });
+    loadAuthors();
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+}
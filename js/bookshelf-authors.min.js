@@ -0,0 +1 @@
+let currentPage=1,currentSearch="",currentSort="name";async function loadAuthors(){const e=document.getElementById("authors-grid"),t=document.getElementById("results-count");e.innerHTML='<div class="loading">Loading authors...</div>',t.textContent="Loading...";try{const r=new URLSearchParams({page:currentPage,limit:24,sort:currentSort});currentSearch&&r.append("search",currentSearch);const a=await fetch(`/api/bookshelf/authors?${r.toString()}`),o=await a.json();if(!o.success)throw new Error(o.error||"Failed to load authors");const{total:n,page:c,limit:u}=o.pagination;t.textContent=0===n?"No authors found":`Showing ${(c-1)*u+1}-${Math.min(c*u,n)} of ${n} authors`,e.innerHTML="",0===o.authors.length?e.innerHTML='<p class="no-books">No authors found matching your search.</p>':o.authors.forEach(t=>{e.appendChild(createAuthorCard(t))}),renderPagination(o.pagination,goToPage)}catch(r){console.error("Failed to load authors:",r),e.innerHTML='<p class="error">Failed to load authors. Please try again later.</p>',t.textContent="Error loading authors"}}function createAuthorCard(e){const t=document.createElement("a");t.href=getAuthorPageUrl(e),t.className="author-card";const r=document.createElement("img");r.src=e.cover||"/images/placeholder-book.jpg",r.alt="",r.className="author-card-cover",r.loading="lazy",t.appendChild(r);const a=document.createElement("div"),o=document.createElement("h3");o.className="author-card-name",o.textContent=e.name,a.appendChild(o);const n=document.createElement("p");return n.className="author-card-meta",n.textContent=`${e.book_count} ${1===e.book_count?"book":"books"} · ${e.site}`,a.appendChild(n),t.appendChild(a),t}function goToPage(e){currentPage=e,updateUrlParams({page:currentPage}),loadAuthors(),window.scrollTo({top:0,behavior:"smooth"})}document.addEventListener("DOMContentLoaded",()=>{currentSearch=getUrlParam("search")||"",currentSort=getUrlParam("sort")||"name",currentPage=parseInt(getUrlParam("page"))||1,document.getElementById("search-input").value=currentSearch,document.getElementById("sort-select").value=currentSort,document.getElementById("search-input").addEventListener("input",debounce(e=>{currentSearch=e.target.value,currentPage=1,updateUrlParams({search:currentSearch,page:currentPage}),loadAuthors()},500)),document.getElementById("sort-select").addEventListener("change",e=>{currentSort=e.target.value,currentPage=1,updateUrlParams({sort:currentSort,page:currentPage}),loadAuthors()}),loadAuthors()});
\ No newline at end of file
@@ -0,0 +1,282 @@
+/**
+ * BookPeek Bookshelf - Book Page JavaScript
+ * Loads one book, with more books by its author and in its genres
+ */
+
+/**
+ * Initialize book page
+ */
+document.addEventListener('DOMContentLoaded', async () => {
+    const bookId = getBookIdFromPath();
+
+    if (!bookId) {
+        document.getElementById('book-detail').innerHTML = '<p class="no-books">Book not found.</p>';
+        return;
+    }
+
+    // Genre labels for the badges (without them, labels are made from the slugs)
+    await fetchGenres().catch(error => console.error('Failed to load genres:', error));
+
+    loadBook(bookId);
+});
+
+/**
+ * Gets the book ID from a /book/<id>/<slug> path, or from ?id= on the plain page
+ * @returns {string|null} Book ID
+ */
+function getBookIdFromPath() {
+    const match = window.location.pathname.match(/^\/book\/(\d+)/);
+
+    if (match) {
+        return match[1];
+    }
+
+    const id = getUrlParam('id');
+    return id && /^\d+$/.test(id) ? id : null;
+}
+
+/**
+ * Load the book from API and render the page
+ * @param {string} bookId - Book ID
+ */
+async function loadBook(bookId) {
+    const container = document.getElementById('book-detail');
+
+    try {
+        const response = await fetch(`/api/bookshelf/books/${bookId}`);
+        const data = await response.json();
+
+        if (response.status === 404) {
+            container.innerHTML = '<p class="no-books">This book is no longer on the Bookshelf.</p>';
+            return;
+        }
+
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to load book');
+        }
+
+        const { book } = data;
+
+        document.title = `${book.title} by ${book.author.name || 'Unknown Author'} - BookPeek Bookshelf`;
+
+        // Show the canonical URL if the slug in the address is missing or outdated
+        if (window.location.pathname.startsWith('/book/') && window.location.pathname !== getBookPageUrl(book)) {
+            window.history.replaceState({}, '', getBookPageUrl(book));
+        }
+
+        container.innerHTML = '';
+        container.appendChild(createBookDetail(book));
+
+        if (book.author.bio) {
+            container.appendChild(createAuthorBio(book.author));
+        }
+
+        renderRelatedBooks('more-by-author', `More by ${book.author.name || 'This Author'}`, data.more_by_author);
+        renderRelatedBooks('more-in-genre', `More in ${book.genres.map(formatGenreName).join(', ')}`, data.more_in_genre);
+
+    } catch (error) {
+        console.error('Failed to load book:', error);
+        container.innerHTML = '<p class="error">Failed to load book. Please try again later.</p>';
+    }
+}
+
+/**
+ * Creates the main book section
+ * @param {Object} book - Book data from API
+ * @returns {HTMLElement} Book detail element
+ */
+function createBookDetail(book) {
+    const detail = document.createElement('div');
+    detail.className = 'book-detail';
+
+    // Cover
+    const cover = document.createElement('img');
+    cover.src = book.cover.large || book.cover.full || book.cover.medium || '/images/placeholder-book.jpg';
+    cover.alt = book.title;
+    cover.className = 'book-detail-cover';
+    detail.appendChild(cover);
+
+    const info = document.createElement('div');
+    info.className = 'book-detail-info';
+
+    // Title
+    const title = document.createElement('h1');
+    title.textContent = book.title;
+    info.appendChild(title);
+
+    // Author
+    const author = document.createElement('p');
+    author.className = 'book-author';
+    author.textContent = 'by ';
+    author.appendChild(createAuthorLink(book.author));
+    info.appendChild(author);
+
+    // Genres (link to the browse page)
+    if (book.genres.length > 0) {
+        const genresContainer = document.createElement('div');
+        genresContainer.className = 'book-genres';
+
+        book.genres.forEach(genre => {
+            const badge = document.createElement('a');
+            badge.href = `/browse?genre=${encodeURIComponent(genre)}`;
+            badge.className = 'genre-badge';
+            badge.textContent = formatGenreName(genre);
+            genresContainer.appendChild(badge);
+        });
+
+        info.appendChild(genresContainer);
+    }
+
+    // Rating
+    if (book.rating && book.rating > 0) {
+        const ratingContainer = document.createElement('div');
+        ratingContainer.className = 'book-rating';
+
+        const stars = document.createElement('span');
+        stars.className = 'stars';
+        stars.textContent = getStarRating(book.rating);
+        ratingContainer.appendChild(stars);
+
+        const ratingText = document.createElement('span');
+        ratingText.textContent = `${book.rating} (${book.review_count || 0} reviews)`;
+        ratingContainer.appendChild(ratingText);
+
+        info.appendChild(ratingContainer);
+    }
+
+    // Facts
+    const facts = [];
+
+    if (book.publication_date) {
+        facts.push(['Published', new Date(book.publication_date).toLocaleDateString(undefined, {
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric',
+            timeZone: 'UTC'
+        })]);
+    }
+
+    if (book.formats.length > 0) {
+        facts.push(['Formats', book.formats.join(', ')]);
+    }
+
+    if (book.isbn) {
+        facts.push(['ISBN', book.isbn]);
+    }
+
+    if (facts.length > 0) {
+        const factList = document.createElement('dl');
+        factList.className = 'book-facts';
+
+        facts.forEach(([label, value]) => {
+            const term = document.createElement('dt');
+            term.textContent = label;
+            factList.appendChild(term);
+
+            const description = document.createElement('dd');
+            description.textContent = value;
+            factList.appendChild(description);
+        });
+
+        info.appendChild(factList);
+    }
+
+    // Description
+    if (book.description) {
+        const description = document.createElement('p');
+        description.className = 'book-detail-description';
+        description.textContent = book.description;
+        info.appendChild(description);
+    }
+
+    // Actions
+    const actions = document.createElement('div');
+    actions.className = 'book-actions';
+
+    actions.appendChild(createActionLink(book.book_url || book.author.site_url, "View on Author's Site", 'btn-view-site'));
+
+    // Buy on Amazon button (prefer .com, fallback to .in)
+    const amazonLink = book.purchase_links.amazon_com || book.purchase_links.amazon_in;
+    if (isHttpUrl(amazonLink)) {
+        actions.appendChild(createActionLink(addAffiliateTag(amazonLink), 'Buy on Amazon', 'btn-buy', 'nofollow'));
+    }
+
+    if (isHttpUrl(book.purchase_links.other)) {
+        actions.appendChild(createActionLink(book.purchase_links.other, 'Buy Elsewhere', 'btn-buy', 'nofollow'));
+    }
+
+    info.appendChild(actions);
+    detail.appendChild(info);
+
+    return detail;
+}
+
+/**
+ * Creates the "About the Author" section
+ * @param {Object} author - Author data from API
+ * @returns {HTMLElement} Author bio element
+ */
+function createAuthorBio(author) {
+    const section = document.createElement('div');
+    section.className = 'author-bio';
+
+    const heading = document.createElement('h2');
+    heading.textContent = `About ${author.name || 'the Author'}`;
+    section.appendChild(heading);
+
+    const bio = document.createElement('p');
+    bio.className = 'book-detail-description';
+    bio.textContent = author.bio;
+    section.appendChild(bio);
+
+    if (isHttpUrl(author.website)) {
+        const website = document.createElement('p');
+        website.appendChild(createActionLink(author.website, 'Author Website', 'book-link'));
+        section.appendChild(website);
+    }
+
+    return section;
+}
+
+/**
+ * Renders a related books grid, or hides it when there are none
+ * @param {string} sectionId - Section element ID
+ * @param {string} title - Section heading
+ * @param {Array} books - Books from API
+ */
+function renderRelatedBooks(sectionId, title, books) {
+    const section = document.getElementById(sectionId);
+
+    if (!books || books.length === 0) {
+        section.hidden = true;
+        return;
+    }
+
+    document.getElementById(`${sectionId}-title`).textContent = title;
+
+    const grid = document.getElementById(`${sectionId}-grid`);
+    grid.innerHTML = '';
+    books.forEach(book => {
+        grid.appendChild(createBookCard(book));
+    });
+
+    section.hidden = false;
+}
+
+/**
+ * Creates a link opening in a new tab
+ * @param {string} href - Link URL
+ * @param {string} text - Link text
+ * @param {string} className - CSS class
+ * @param {string} extraRel - Extra rel value (e.g., 'nofollow')
+ * @returns {HTMLElement} Link element
+ */
+function createActionLink(href, text, className, extraRel = '') {
+    const link = document.createElement('a');
+    link.href = href;
+    link.className = className;
+    link.textContent = text;
+    link.target = '_blank';
+    link.rel = `noopener noreferrer ${extraRel}`.trim();
+    return link;
+}
@@ -0,0 +1 @@
+function getBookIdFromPath(){const e=window.location.pathname.match(/^\/book\/(\d+)/);if(e)return e[1];const t=getUrlParam("id");return t&&/^\d+$/.test(t)?t:null}async function loadBook(e){const t=document.getElementById("book-detail");try{const o=await fetch(`/api/bookshelf/books/${e}`),n=await o.json();if(404===o.status)return void(t.innerHTML='<p class="no-books">This book is no longer on the Bookshelf.</p>');if(!n.success)throw new Error(n.error||"Failed to load book");const{book:a}=n;document.title=`${a.title} by ${a.author.name||"Unknown Author"} - BookPeek Bookshelf`,window.location.pathname.startsWith("/book/")&&window.location.pathname!==getBookPageUrl(a)&&window.history.replaceState({},"",getBookPageUrl(a)),t.innerHTML="",t.appendChild(createBookDetail(a)),a.author.bio&&t.appendChild(createAuthorBio(a.author)),renderRelatedBooks("more-by-author",`More by ${a.author.name||"This Author"}`,n.more_by_author),renderRelatedBooks("more-in-genre",`More in ${a.genres.map(formatGenreName).join(", ")}`,n.more_in_genre)}catch(e){console.error("Failed to load book:",e),t.innerHTML='<p class="error">Failed to load book. Please try again later.</p>'}}function createBookDetail(e){const t=document.createElement("div");t.className="book-detail";const o=document.createElement("img");o.src=e.cover.large||e.cover.full||e.cover.medium||"/images/placeholder-book.jpg",o.alt=e.title,o.className="book-detail-cover",t.appendChild(o);const n=document.createElement("div");n.className="book-detail-info";const a=document.createElement("h1");a.textContent=e.title,n.appendChild(a);const r=document.createElement("p");if(r.className="book-author",r.textContent="by ",r.appendChild(createAuthorLink(e.author)),n.appendChild(r),e.genres.length>0){const t=document.createElement("div");t.className="book-genres",e.genres.forEach(e=>{const o=document.createElement("a");o.href=`/browse?genre=${encodeURIComponent(e)}`,o.className="genre-badge",o.textContent=formatGenreName(e),t.appendChild(o)}),n.appendChild(t)}if(e.rating&&e.rating>0){const t=document.createElement("div");t.className="book-rating";const o=document.createElement("span");o.className="stars",o.textContent=getStarRating(e.rating),t.appendChild(o);const a=document.createElement("span");a.textContent=`${e.rating} (${e.review_count||0} reviews)`,t.appendChild(a),n.appendChild(t)}const i=[];if(e.publication_date&&i.push(["Published",new Date(e.publication_date).toLocaleDateString(void 0,{year:"numeric",month:"long",day:"numeric",timeZone:"UTC"})]),e.formats.length>0&&i.push(["Formats",e.formats.join(", ")]),e.isbn&&i.push(["ISBN",e.isbn]),i.length>0){const e=document.createElement("dl");e.className="book-facts",i.forEach(([t,o])=>{const n=document.createElement("dt");n.textContent=t,e.appendChild(n);const a=document.createElement("dd");a.textContent=o,e.appendChild(a)}),n.appendChild(e)}if(e.description){const t=document.createElement("p");t.className="book-detail-description",t.textContent=e.description,n.appendChild(t)}const c=document.createElement("div");c.className="book-actions",c.appendChild(createActionLink(e.book_url||e.author.site_url,"View on Author's Site","btn-view-site"));const d=e.purchase_links.amazon_com||e.purchase_links.amazon_in;return isHttpUrl(d)&&c.appendChild(createActionLink(addAffiliateTag(d),"Buy on Amazon","btn-buy","nofollow")),isHttpUrl(e.purchase_links.other)&&c.appendChild(createActionLink(e.purchase_links.other,"Buy Elsewhere","btn-buy","nofollow")),n.appendChild(c),t.appendChild(n),t}function createAuthorBio(e){const t=document.createElement("div");t.className="author-bio";const o=document.createElement("h2");o.textContent=`About ${e.name||"the Author"}`,t.appendChild(o);const n=document.createElement("p");if(n.className="book-detail-description",n.textContent=e.bio,t.appendChild(n),isHttpUrl(e.website)){const o=document.createElement("p");o.appendChild(createActionLink(e.website,"Author Website","book-link")),t.appendChild(o)}return t}function renderRelatedBooks(e,t,o){const n=document.getElementById(e);if(!o||0===o.length)return void(n.hidden=!0);document.getElementById(`${e}-title`).textContent=t;const a=document.getElementById(`${e}-grid`);a.innerHTML="",o.forEach(e=>{a.appendChild(createBookCard(e))}),n.hidden=!1}function createActionLink(e,t,o,n=""){const a=document.createElement("a");return a.href=e,a.className=o,a.textContent=t,a.target="_blank",a.rel=`noopener noreferrer ${n}`.trim(),a}document.addEventListener("DOMContentLoaded",async()=>{const e=getBookIdFromPath();e?(await fetchGenres().catch(e=>console.error("Failed to load genres:",e)),loadBook(e)):document.getElementById("book-detail").innerHTML='<p class="no-books">Book not found.</p>'});
\ No newline at end of file
@@ -1,33 +1,36 @@
 /**
  * BookPeek Bookshelf - Browse Page JavaScript
  * Handles filtering, pagination, and book loading for the browse page
+ * With infinite scroll on, pages are fetched by cursor as the reader scrolls
  */
 
 let currentPage = 1;
-let currentGenre = null;
+let currentGenres = [];
+let currentGenreMode = 'any';
 let currentSearch = '';
 let currentSort = 'latest';
 let totalPages = 1;
+let infiniteScroll = false;
+let nextCursor = null;
+let loadingMore = false;
+let shownBooks = 0;
+let totalResults = 0;
+let booksRequest = 0;
+let scrollObserver = null;
 
 /**
  * Initialize browse page
  */
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
     // Get initial filters from URL
-    currentGenre = getUrlParam('genre');
+    currentGenres = (getUrlParam('genre') || '').split(',').filter(slug => slug);
+    currentGenreMode = getUrlParam('genre_mode') === 'all' ? 'all' : 'any';
     currentSearch = getUrlParam('search') || '';
     currentSort = getUrlParam('sort') || 'latest';
     currentPage = parseInt(getUrlParam('page')) || 1;
+    infiniteScroll = getUrlParam('scroll') === 'infinite';
 
     // Set initial filter states
-    if (currentGenre) {
-        const genreCheckbox = document.querySelector(`input[name="genre"][value="${currentGenre}"]`);
-        if (genreCheckbox) {
-            genreCheckbox.checked = true;
-            document.querySelector('input[name="genre"][value="all"]').checked = false;
-        }
-    }
-
     if (currentSearch) {
         document.getElementById('search-input').value = currentSearch;
     }
@@ -36,9 +39,22 @@ document.addEventListener('DOMContentLoaded', () => {
         document.getElementById('sort-select').value = currentSort;
     }
 
+    document.getElementById('genre-mode-select').value = currentGenreMode;
+    document.getElementById('infinite-scroll-toggle').checked = infiniteScroll;
+
+    // Load more books when the end of the grid comes into view
+    scrollObserver = new IntersectionObserver((entries) => {
+        if (entries.some(entry => entry.isIntersecting)) {
+            loadMoreBooks();
+        }
+    }, { rootMargin: '400px' });
+
     // Set up event listeners
     setupEventListeners();
 
+    // Load genre filters first, so book cards get their genre labels
+    await loadGenres();
+
     // Load initial books
     loadBooks();
 });
@@ -53,42 +69,38 @@ function setupEventListeners() {
         currentSearch = e.target.value;
         currentPage = 1;
         updateUrlParams({ search: currentSearch, page: currentPage });
+        loadGenres();
         loadBooks();
     }, 500));
 
-    // Genre checkboxes
-    const genreCheckboxes = document.querySelectorAll('input[name="genre"]');
-    genreCheckboxes.forEach(checkbox => {
-        checkbox.addEventListener('change', (e) => {
-            if (e.target.value === 'all') {
-                // Uncheck all other genres
-                genreCheckboxes.forEach(cb => {
-                    if (cb.value !== 'all') cb.checked = false;
-                });
-                currentGenre = null;
-            } else {
-                // Uncheck "All Genres"
-                document.querySelector('input[name="genre"][value="all"]').checked = false;
-
-                // Get selected genre (only one allowed)
-                const selectedGenres = Array.from(genreCheckboxes)
-                    .filter(cb => cb.checked && cb.value !== 'all')
-                    .map(cb => cb.value);
-
-                // Uncheck all except the current one
-                genreCheckboxes.forEach(cb => {
-                    if (cb.value !== 'all' && cb.value !== e.target.value) {
-                        cb.checked = false;
-                    }
-                });
-
-                currentGenre = selectedGenres[0] || null;
-            }
-
-            currentPage = 1;
-            updateUrlParams({ genre: currentGenre, page: currentPage });
-            loadBooks();
-        });
+    // Genre checkboxes (rendered by loadGenres(), so listen on the container)
+    const genreFilters = document.getElementById('genre-filters');
+    genreFilters.addEventListener('change', (e) => {
+        if (e.target.name !== 'genre') return;
+
+        // "All Genres" clears the selection
+        if (e.target.value === 'all') {
+            currentGenres = [];
+        } else if (e.target.checked) {
+            currentGenres = [...currentGenres, e.target.value];
+        } else {
+            currentGenres = currentGenres.filter(slug => slug !== e.target.value);
+        }
+
+        updateGenreCheckboxes();
+
+        currentPage = 1;
+        updateUrlParams({ genre: currentGenres.join(','), page: currentPage });
+        loadBooks();
+    });
+
+    // Genre mode select: books in any or all of the selected genres
+    const genreModeSelect = document.getElementById('genre-mode-select');
+    genreModeSelect.addEventListener('change', (e) => {
+        currentGenreMode = e.target.value;
+        currentPage = 1;
+        updateUrlParams({ genre_mode: currentGenreMode === 'all' ? 'all' : null, page: currentPage });
+        loadBooks();
     });
 
     // Sort select
@@ -100,11 +112,21 @@ function setupEventListeners() {
         loadBooks();
     });
 
+    // Infinite scroll toggle (a display preference, so Reset Filters keeps it)
+    const infiniteScrollToggle = document.getElementById('infinite-scroll-toggle');
+    infiniteScrollToggle.addEventListener('change', (e) => {
+        infiniteScroll = e.target.checked;
+        currentPage = 1;
+        updateUrlParams({ scroll: infiniteScroll ? 'infinite' : null, page: null });
+        loadBooks();
+    });
+
     // Reset filters button
     const resetBtn = document.getElementById('reset-filters');
     resetBtn.addEventListener('click', () => {
         // Reset all filters
-        currentGenre = null;
+        currentGenres = [];
+        currentGenreMode = 'any';
         currentSearch = '';
         currentSort = 'latest';
         currentPage = 1;
@@ -112,52 +134,138 @@ function setupEventListeners() {
         // Reset UI
         document.getElementById('search-input').value = '';
         document.getElementById('sort-select').value = 'latest';
-        document.querySelectorAll('input[name="genre"]').forEach(cb => {
-            cb.checked = cb.value === 'all';
-        });
+        document.getElementById('genre-mode-select').value = 'any';
+        updateGenreCheckboxes();
 
         // Update URL and reload
-        updateUrlParams({ genre: null, search: null, sort: null, page: null });
+        updateUrlParams({ genre: null, genre_mode: null, search: null, sort: null, page: null });
+        loadGenres();
         loadBooks();
     });
 }
 
+/**
+ * Load genre filters from API, with book counts for the current search
+ */
+async function loadGenres() {
+    try {
+        renderGenreFilters(await fetchGenres(currentSearch));
+    } catch (error) {
+        console.error('Failed to load genres:', error);
+    }
+}
+
+/**
+ * Render genre filter checkboxes after "All Genres"
+ * Genres without books are disabled, unless selected
+ * @param {Array} genres - Genres from API ({ slug, label, count })
+ */
+function renderGenreFilters(genres) {
+    const container = document.getElementById('genre-filters');
+
+    container.querySelectorAll('.genre-checkbox[data-genre]').forEach(label => label.remove());
+
+    genres.forEach(genre => {
+        const label = document.createElement('label');
+        label.className = 'genre-checkbox';
+        label.dataset.genre = genre.slug;
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.name = 'genre';
+        checkbox.value = genre.slug;
+        checkbox.disabled = genre.count === 0 && !currentGenres.includes(genre.slug);
+        label.appendChild(checkbox);
+
+        if (checkbox.disabled) {
+            label.classList.add('is-empty');
+        }
+
+        const name = document.createElement('span');
+        name.textContent = genre.label;
+        label.appendChild(name);
+
+        const count = document.createElement('span');
+        count.className = 'genre-count';
+        count.textContent = `(${genre.count})`;
+        label.appendChild(count);
+
+        container.appendChild(label);
+    });
+
+    updateGenreCheckboxes();
+}
+
+/**
+ * Check the boxes matching the selected genres
+ * The any/all choice only matters with two or more genres selected
+ */
+function updateGenreCheckboxes() {
+    document.querySelectorAll('input[name="genre"]').forEach(cb => {
+        cb.checked = cb.value === 'all' ? currentGenres.length === 0 : currentGenres.includes(cb.value);
+    });
+
+    document.getElementById('genre-mode-select').disabled = currentGenres.length < 2;
+}
+
+/**
+ * Build the API query for the current filters
+ * @returns {URLSearchParams} Query parameters (without page or cursor)
+ */
+function buildBooksParams() {
+    const params = new URLSearchParams({
+        limit: 20,
+        sort: currentSort
+    });
+
+    if (currentGenres.length > 0) {
+        params.append('genre', currentGenres.join(','));
+        params.append('genre_mode', currentGenreMode);
+    }
+
+    if (currentSearch) {
+        params.append('search', currentSearch);
+    }
+
+    return params;
+}
+
 /**
  * Load books from API
+ * With infinite scroll on, this loads the first page and loadMoreBooks() the rest
  */
 async function loadBooks() {
     const grid = document.getElementById('books-grid');
     const resultsCount = document.getElementById('results-count');
+    const sentinel = document.getElementById('scroll-sentinel');
+    const requestId = ++booksRequest;
 
     // Show loading state
     grid.innerHTML = '<div class="loading">Loading books...</div>';
     resultsCount.textContent = 'Loading...';
+    sentinel.hidden = true;
+    nextCursor = null;
+    loadingMore = false;
 
     try {
         // Build API URL
-        const params = new URLSearchParams({
-            page: currentPage,
-            limit: 20,
-            sort: currentSort
-        });
-
-        if (currentGenre) {
-            params.append('genre', currentGenre);
-        }
-
-        if (currentSearch) {
-            params.append('search', currentSearch);
-        }
+        const params = buildBooksParams();
+        params.append('page', infiniteScroll ? 1 : currentPage);
 
         const response = await fetch(`/api/bookshelf/books?${params.toString()}`);
         const data = await response.json();
 
+        // Filters changed while loading
+        if (requestId !== booksRequest) return;
+
         if (!data.success) {
             throw new Error(data.error || 'Failed to load books');
         }
 
         // Update pagination info
         totalPages = data.pagination.pages;
+        totalResults = data.pagination.total;
+        shownBooks = data.books.length;
 
         // Update results count
         const { total, page, limit } = data.pagination;
@@ -166,6 +274,8 @@ async function loadBooks() {
 
         if (total === 0) {
             resultsCount.textContent = 'No books found';
+        } else if (infiniteScroll) {
+            resultsCount.textContent = `Showing ${shownBooks} of ${total} books`;
         } else {
             resultsCount.textContent = `Showing ${startNum}-${endNum} of ${total} books`;
         }
@@ -181,8 +291,14 @@ async function loadBooks() {
             });
         }
 
-        // Render pagination
-        renderPagination(data.pagination);
+        // Render pagination, or get ready to load more on scroll
+        if (infiniteScroll) {
+            document.getElementById('pagination').innerHTML = '';
+            nextCursor = data.pagination.next_cursor;
+            watchScrollSentinel();
+        } else {
+            renderPagination(data.pagination, goToPage);
+        }
 
         // Scroll to top of results
         window.scrollTo({ top: 0, behavior: 'smooth' });
@@ -195,110 +311,73 @@ async function loadBooks() {
 }
 
 /**
- * Render pagination controls
- * @param {Object} pagination - Pagination data from API
+ * Load the next page of books by cursor and add it to the grid (infinite scroll)
  */
-function renderPagination(pagination) {
-    const paginationContainer = document.getElementById('pagination');
-    paginationContainer.innerHTML = '';
+async function loadMoreBooks() {
+    if (!infiniteScroll || !nextCursor || loadingMore) return;
 
-    if (pagination.pages <= 1) {
-        return; // No pagination needed
-    }
+    const grid = document.getElementById('books-grid');
+    const sentinel = document.getElementById('scroll-sentinel');
+    const requestId = booksRequest;
 
-    const { page, pages } = pagination;
-
-    // Previous button
-    const prevBtn = document.createElement('button');
-    prevBtn.className = 'page-btn';
-    prevBtn.textContent = '← Previous';
-    prevBtn.disabled = page === 1;
-    prevBtn.addEventListener('click', () => {
-        if (page > 1) {
-            currentPage = page - 1;
-            updateUrlParams({ page: currentPage });
-            loadBooks();
-        }
-    });
-    paginationContainer.appendChild(prevBtn);
+    loadingMore = true;
 
-    // Page number buttons (show max 7 buttons)
-    const maxButtons = 7;
-    let startPage = Math.max(1, page - Math.floor(maxButtons / 2));
-    let endPage = Math.min(pages, startPage + maxButtons - 1);
+    try {
+        const params = buildBooksParams();
+        params.append('cursor', nextCursor);
 
-    // Adjust start if we're near the end
-    if (endPage - startPage < maxButtons - 1) {
-        startPage = Math.max(1, endPage - maxButtons + 1);
-    }
+        const response = await fetch(`/api/bookshelf/books?${params.toString()}`);
+        const data = await response.json();
 
-    // First page + ellipsis if needed
-    if (startPage > 1) {
-        const firstBtn = createPageButton(1, page);
-        paginationContainer.appendChild(firstBtn);
+        // Filters changed while loading
+        if (requestId !== booksRequest) return;
 
-        if (startPage > 2) {
-            const ellipsis = document.createElement('span');
-            ellipsis.textContent = '...';
-            ellipsis.style.padding = '10px';
-            paginationContainer.appendChild(ellipsis);
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to load books');
         }
-    }
 
-    // Page number buttons
-    for (let i = startPage; i <= endPage; i++) {
-        const pageBtn = createPageButton(i, page);
-        paginationContainer.appendChild(pageBtn);
-    }
+        data.books.forEach(book => {
+            grid.appendChild(createBookCard(book));
+        });
 
-    // Last page + ellipsis if needed
-    if (endPage < pages) {
-        if (endPage < pages - 1) {
-            const ellipsis = document.createElement('span');
-            ellipsis.textContent = '...';
-            ellipsis.style.padding = '10px';
-            paginationContainer.appendChild(ellipsis);
-        }
+        shownBooks += data.books.length;
+        document.getElementById('results-count').textContent = `Showing ${shownBooks} of ${Math.max(shownBooks, totalResults)} books`;
 
-        const lastBtn = createPageButton(pages, page);
-        paginationContainer.appendChild(lastBtn);
-    }
+        nextCursor = data.pagination.next_cursor;
+        watchScrollSentinel();
 
-    // Next button
-    const nextBtn = document.createElement('button');
-    nextBtn.className = 'page-btn';
-    nextBtn.textContent = 'Next →';
-    nextBtn.disabled = page === pages;
-    nextBtn.addEventListener('click', () => {
-        if (page < pages) {
-            currentPage = page + 1;
-            updateUrlParams({ page: currentPage });
-            loadBooks();
-        }
-    });
-    paginationContainer.appendChild(nextBtn);
+    } catch (error) {
+        console.error('Failed to load more books:', error);
+        nextCursor = null;
+        sentinel.hidden = false;
+        sentinel.innerHTML = '<p class="error">Failed to load more books. Please try again later.</p>';
+    } finally {
+        loadingMore = false;
+    }
 }
 
 /**
- * Create a page number button
- * @param {number} pageNum - Page number
- * @param {number} currentPage - Current active page
- * @returns {HTMLElement} Button element
+ * Show the infinite scroll sentinel while there are more books, and (re)observe it,
+ * so more books load right away if it is still in view
  */
-function createPageButton(pageNum, currentPage) {
-    const btn = document.createElement('button');
-    btn.className = 'page-btn';
-    btn.textContent = pageNum;
+function watchScrollSentinel() {
+    const sentinel = document.getElementById('scroll-sentinel');
 
-    if (pageNum === currentPage) {
-        btn.classList.add('active');
-    }
+    scrollObserver.unobserve(sentinel);
+    sentinel.innerHTML = '<div class="loading">Loading more books...</div>';
+    sentinel.hidden = !nextCursor;
 
-    btn.addEventListener('click', () => {
-        window.currentPage = pageNum;
-        updateUrlParams({ page: pageNum });
-        loadBooks();
-    });
+    if (nextCursor) {
+        scrollObserver.observe(sentinel);
+    }
+}
 
-    return btn;
+/**
+ * Go to a page of results
+ * @param {number} page - Page number
+ */
+function goToPage(page) {
+    currentPage = page;
+    updateUrlParams({ page: currentPage });
+    loadBooks();
 }
@@ -1 +1 @@
-let currentPage=1,currentGenre=null,currentSearch="",currentSort="latest",totalPages=1;function setupEventListeners(){document.getElementById("search-input").addEventListener("input",debounce(e=>{currentSearch=e.target.value,currentPage=1,updateUrlParams({search:currentSearch,page:currentPage}),loadBooks()},500));const e=document.querySelectorAll('input[name="genre"]');e.forEach(t=>{t.addEventListener("change",t=>{if("all"===t.target.value)e.forEach(e=>{"all"!==e.value&&(e.checked=!1)}),currentGenre=null;else{document.querySelector('input[name="genre"][value="all"]').checked=!1;const n=Array.from(e).filter(e=>e.checked&&"all"!==e.value).map(e=>e.value);e.forEach(e=>{"all"!==e.value&&e.value!==t.target.value&&(e.checked=!1)}),currentGenre=n[0]||null}currentPage=1,updateUrlParams({genre:currentGenre,page:currentPage}),loadBooks()})});document.getElementById("sort-select").addEventListener("change",e=>{currentSort=e.target.value,currentPage=1,updateUrlParams({sort:currentSort,page:currentPage}),loadBooks()});document.getElementById("reset-filters").addEventListener("click",()=>{currentGenre=null,currentSearch="",currentSort="latest",currentPage=1,document.getElementById("search-input").value="",document.getElementById("sort-select").value="latest",document.querySelectorAll('input[name="genre"]').forEach(e=>{e.checked="all"===e.value}),updateUrlParams({genre:null,search:null,sort:null,page:null}),loadBooks()})}async function loadBooks(){const e=document.getElementById("books-grid"),t=document.getElementById("results-count");e.innerHTML='<div class="loading">Loading books...</div>',t.textContent="Loading...";try{const n=new URLSearchParams({page:currentPage,limit:20,sort:currentSort});currentGenre&&n.append("genre",currentGenre),currentSearch&&n.append("search",currentSearch);const r=await fetch(`/api/bookshelf/books?${n.toString()}`),a=await r.json();if(!a.success)throw new Error(a.error||"Failed to load books");totalPages=a.pagination.pages;const{total:o,page:c,limit:l}=a.pagination,u=(c-1)*l+1,s=Math.min(c*l,o);t.textContent=0===o?"No books found":`Showing ${u}-${s} of ${o} books`,e.innerHTML="",0===a.books.length?e.innerHTML='<p class="no-books">No books found matching your filters. Try adjusting your search or genre selection.</p>':a.books.forEach(t=>{e.appendChild(createBookCard(t))}),renderPagination(a.pagination),window.scrollTo({top:0,behavior:"smooth"})}catch(n){console.error("Failed to load books:",n),e.innerHTML='<p class="error">Failed to load books. Please try again later.</p>',t.textContent="Error loading books"}}function renderPagination(e){const t=document.getElementById("pagination");if(t.innerHTML="",e.pages<=1)return;const{page:n,pages:r}=e,a=document.createElement("button");a.className="page-btn",a.textContent="← Previous",a.disabled=1===n,a.addEventListener("click",()=>{n>1&&(currentPage=n-1,updateUrlParams({page:currentPage}),loadBooks())}),t.appendChild(a);let o=Math.max(1,n-Math.floor(3.5)),c=Math.min(r,o+7-1);if(c-o<6&&(o=Math.max(1,c-7+1)),o>1){const e=createPageButton(1,n);if(t.appendChild(e),o>2){const e=document.createElement("span");e.textContent="...",e.style.padding="10px",t.appendChild(e)}}for(let e=o;e<=c;e++){const r=createPageButton(e,n);t.appendChild(r)}if(c<r){if(c<r-1){const e=document.createElement("span");e.textContent="...",e.style.padding="10px",t.appendChild(e)}const e=createPageButton(r,n);t.appendChild(e)}const l=document.createElement("button");l.className="page-btn",l.textContent="Next →",l.disabled=n===r,l.addEventListener("click",()=>{n<r&&(currentPage=n+1,updateUrlParams({page:currentPage}),loadBooks())}),t.appendChild(l)}function createPageButton(e,t){const n=document.createElement("button");return n.className="page-btn",n.textContent=e,e===t&&n.classList.add("active"),n.addEventListener("click",()=>{window.currentPage=e,updateUrlParams({page:e}),loadBooks()}),n}document.addEventListener("DOMContentLoaded",()=>{if(currentGenre=getUrlParam("genre"),currentSearch=getUrlParam("search")||"",currentSort=getUrlParam("sort")||"latest",currentPage=parseInt(getUrlParam("page"))||1,currentGenre){const e=document.querySelector(`input[name="genre"][value="${currentGenre}"]`);e&&(e.checked=!0,document.querySelector('input[name="genre"][value="all"]').checked=!1)}currentSearch&&(document.getElementById("search-input").value=currentSearch),currentSort&&(document.getElementById("sort-select").value=currentSort),setupEventListeners(),loadBooks()});
\ No newline at end of file
+let currentPage=1,currentGenres=[],currentGenreMode="any",currentSearch="",currentSort="latest",totalPages=1,infiniteScroll=!1,nextCursor=null,loadingMore=!1,shownBooks=0,totalResults=0,booksRequest=0,scrollObserver=null;function setupEventListeners(){document.getElementById("search-input").addEventListener("input",debounce(e=>{currentSearch=e.target.value,currentPage=1,updateUrlParams({search:currentSearch,page:currentPage}),loadGenres(),loadBooks()},500));document.getElementById("genre-filters").addEventListener("change",e=>{"genre"===e.target.name&&(currentGenres="all"===e.target.value?[]:e.target.checked?[...currentGenres,e.target.value]:currentGenres.filter(n=>n!==e.target.value),updateGenreCheckboxes(),currentPage=1,updateUrlParams({genre:currentGenres.join(","),page:currentPage}),loadBooks())});document.getElementById("genre-mode-select").addEventListener("change",e=>{currentGenreMode=e.target.value,currentPage=1,updateUrlParams({genre_mode:"all"===currentGenreMode?"all":null,page:currentPage}),loadBooks()});document.getElementById("sort-select").addEventListener("change",e=>{currentSort=e.target.value,currentPage=1,updateUrlParams({sort:currentSort,page:currentPage}),loadBooks()});document.getElementById("infinite-scroll-toggle").addEventListener("change",e=>{infiniteScroll=e.target.checked,currentPage=1,updateUrlParams({scroll:infiniteScroll?"infinite":null,page:null}),loadBooks()});document.getElementById("reset-filters").addEventListener("click",()=>{currentGenres=[],currentGenreMode="any",currentSearch="",currentSort="latest",currentPage=1,document.getElementById("search-input").value="",document.getElementById("sort-select").value="latest",document.getElementById("genre-mode-select").value="any",updateGenreCheckboxes(),updateUrlParams({genre:null,genre_mode:null,search:null,sort:null,page:null}),loadGenres(),loadBooks()})}async function loadGenres(){try{renderGenreFilters(await fetchGenres(currentSearch))}catch(e){console.error("Failed to load genres:",e)}}function renderGenreFilters(e){const n=document.getElementById("genre-filters");n.querySelectorAll(".genre-checkbox[data-genre]").forEach(e=>e.remove()),e.forEach(e=>{const t=document.createElement("label");t.className="genre-checkbox",t.dataset.genre=e.slug;const r=document.createElement("input");r.type="checkbox",r.name="genre",r.value=e.slug,r.disabled=0===e.count&&!currentGenres.includes(e.slug),t.appendChild(r),r.disabled&&t.classList.add("is-empty");const o=document.createElement("span");o.textContent=e.label,t.appendChild(o);const a=document.createElement("span");a.className="genre-count",a.textContent=`(${e.count})`,t.appendChild(a),n.appendChild(t)}),updateGenreCheckboxes()}function updateGenreCheckboxes(){document.querySelectorAll('input[name="genre"]').forEach(e=>{e.checked="all"===e.value?0===currentGenres.length:currentGenres.includes(e.value)}),document.getElementById("genre-mode-select").disabled=currentGenres.length<2}function buildBooksParams(){const e=new URLSearchParams({limit:20,sort:currentSort});return currentGenres.length>0&&(e.append("genre",currentGenres.join(",")),e.append("genre_mode",currentGenreMode)),currentSearch&&e.append("search",currentSearch),e}async function loadBooks(){const e=document.getElementById("books-grid"),n=document.getElementById("results-count"),t=document.getElementById("scroll-sentinel"),r=++booksRequest;e.innerHTML='<div class="loading">Loading books...</div>',n.textContent="Loading...",t.hidden=!0,nextCursor=null,loadingMore=!1;try{const t=buildBooksParams();t.append("page",infiniteScroll?1:currentPage);const o=await fetch(`/api/bookshelf/books?${t.toString()}`),a=await o.json();if(r!==booksRequest)return;if(!a.success)throw new Error(a.error||"Failed to load books");totalPages=a.pagination.pages,totalResults=a.pagination.total,shownBooks=a.books.length;const{total:l,page:s,limit:c}=a.pagination,d=(s-1)*c+1,u=Math.min(s*c,l);n.textContent=0===l?"No books found":infiniteScroll?`Showing ${shownBooks} of ${l} books`:`Showing ${d}-${u} of ${l} books`,e.innerHTML="",0===a.books.length?e.innerHTML='<p class="no-books">No books found matching your filters. Try adjusting your search or genre selection.</p>':a.books.forEach(n=>{e.appendChild(createBookCard(n))}),infiniteScroll?(document.getElementById("pagination").innerHTML="",nextCursor=a.pagination.next_cursor,watchScrollSentinel()):renderPagination(a.pagination,goToPage),window.scrollTo({top:0,behavior:"smooth"})}catch(t){console.error("Failed to load books:",t),e.innerHTML='<p class="error">Failed to load books. Please try again later.</p>',n.textContent="Error loading books"}}async function loadMoreBooks(){if(!infiniteScroll||!nextCursor||loadingMore)return;const e=document.getElementById("books-grid"),n=document.getElementById("scroll-sentinel"),t=booksRequest;loadingMore=!0;try{const n=buildBooksParams();n.append("cursor",nextCursor);const r=await fetch(`/api/bookshelf/books?${n.toString()}`),o=await r.json();if(t!==booksRequest)return;if(!o.success)throw new Error(o.error||"Failed to load books");o.books.forEach(n=>{e.appendChild(createBookCard(n))}),shownBooks+=o.books.length,document.getElementById("results-count").textContent=`Showing ${shownBooks} of ${Math.max(shownBooks,totalResults)} books`,nextCursor=o.pagination.next_cursor,watchScrollSentinel()}catch(e){console.error("Failed to load more books:",e),nextCursor=null,n.hidden=!1,n.innerHTML='<p class="error">Failed to load more books. Please try again later.</p>'}finally{loadingMore=!1}}function watchScrollSentinel(){const e=document.getElementById("scroll-sentinel");scrollObserver.unobserve(e),e.innerHTML='<div class="loading">Loading more books...</div>',e.hidden=!nextCursor,nextCursor&&scrollObserver.observe(e)}function goToPage(e){currentPage=e,updateUrlParams({page:currentPage}),loadBooks()}document.addEventListener("DOMContentLoaded",async()=>{currentGenres=(getUrlParam("genre")||"").split(",").filter(e=>e),currentGenreMode="all"===getUrlParam("genre_mode")?"all":"any",currentSearch=getUrlParam("search")||"",currentSort=getUrlParam("sort")||"latest",currentPage=parseInt(getUrlParam("page"))||1,infiniteScroll="infinite"===getUrlParam("scroll"),currentSearch&&(document.getElementById("search-input").value=currentSearch),currentSort&&(document.getElementById("sort-select").value=currentSort),document.getElementById("genre-mode-select").value=currentGenreMode,document.getElementById("infinite-scroll-toggle").checked=infiniteScroll,scrollObserver=new IntersectionObserver(e=>{e.some(e=>e.isIntersecting)&&loadMoreBooks()},{rootMargin:"400px"}),setupEventListeners(),await loadGenres(),loadBooks()});
\ No newline at end of file
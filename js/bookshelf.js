@@ -18,8 +18,9 @@ function createBookCard(book) {
     const card = document.createElement('div');
     card.className = 'book-card';
 
-    // Cover image wrapper
-    const coverWrapper = document.createElement('div');
+    // Cover image wrapper (links to the book page)
+    const coverWrapper = document.createElement('a');
+    coverWrapper.href = getBookPageUrl(book);
     coverWrapper.className = 'book-cover-wrapper';
 
     const coverImg = document.createElement('img');
@@ -37,13 +38,19 @@ function createBookCard(book) {
     // Title
     const title = document.createElement('h3');
     title.className = 'book-title';
-    title.textContent = book.title;
+
+    const titleLink = document.createElement('a');
+    titleLink.href = getBookPageUrl(book);
+    titleLink.className = 'book-link';
+    titleLink.textContent = book.title;
+    title.appendChild(titleLink);
     info.appendChild(title);
 
     // Author
     const author = document.createElement('p');
     author.className = 'book-author';
-    author.textContent = `by ${book.author.name || 'Unknown Author'}`;
+    author.textContent = 'by ';
+    author.appendChild(createAuthorLink(book.author));
     info.appendChild(author);
 
     // Genres
@@ -93,7 +100,7 @@ function createBookCard(book) {
 
     // Buy on Amazon button (prefer .com, fallback to .in)
     const amazonLink = book.purchase_links.amazon_com || book.purchase_links.amazon_in;
-    if (amazonLink) {
+    if (isHttpUrl(amazonLink)) {
         const buyBtn = document.createElement('a');
         buyBtn.href = addAffiliateTag(amazonLink);
         buyBtn.className = 'btn-buy';
@@ -109,31 +116,96 @@ function createBookCard(book) {
     return card;
 }
 
+/**
+ * Gets the bookshelf page URL of a book
+ * @param {Object} book - Book data from API
+ * @returns {string} Book page URL (e.g., '/book/123/the-hobbit')
+ */
+function getBookPageUrl(book) {
+    return book.slug
+        ? `/book/${book.id}/${encodeURIComponent(book.slug)}`
+        : `/book/${book.id}`;
+}
+
+/**
+ * Gets the bookshelf page URL of an author
+ * @param {Object} author - Author data from API (or a book's author)
+ * @returns {string} Author page URL (e.g., '/author/12/j-r-r-tolkien')
+ */
+function getAuthorPageUrl(author) {
+    const slug = (author.name || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+
+    return slug ? `/author/${author.id}/${slug}` : `/author/${author.id}`;
+}
+
+/**
+ * Creates a link to a book's author page, or plain text for books without an author
+ * @param {Object} author - A book's author from API
+ * @returns {Node} Link element or text node
+ */
+function createAuthorLink(author) {
+    if (!author.id) {
+        return document.createTextNode(author.name || 'Unknown Author');
+    }
+
+    const link = document.createElement('a');
+    link.href = getAuthorPageUrl(author);
+    link.className = 'book-link';
+    link.textContent = author.name;
+    return link;
+}
+
+/**
+ * Genre labels by slug, filled in by fetchGenres()
+ */
+const genreLabels = {};
+
+/**
+ * Fetches bookshelf genres with their labels and book counts
+ * Also remembers the labels for formatGenreName()
+ * @param {string} search - Only count books matching this search (optional)
+ * @returns {Promise<Array>} Genres ({ slug, label, count })
+ */
+async function fetchGenres(search = '') {
+    const params = new URLSearchParams();
+
+    if (search) {
+        params.append('search', search);
+    }
+
+    const response = await fetch(`/api/bookshelf/genres?${params.toString()}`);
+    const data = await response.json();
+
+    if (!data.success) {
+        throw new Error(data.error || 'Failed to load genres');
+    }
+
+    data.genres.forEach(genre => {
+        genreLabels[genre.slug] = genre.label;
+    });
+
+    return data.genres;
+}
+
 /**
  * Formats genre slug to readable name
  * @param {string} slug - Genre slug (e.g., 'science-fiction')
- * @returns {string} Formatted genre name (e.g., 'Science Fiction')
+ * @returns {string} Genre label from fetchGenres(), or one made from the slug (e.g., 'Science Fiction')
  */
 function formatGenreName(slug) {
-    const genreMap = {
-        'action-adventure': 'Action & Adventure',
-        'childrens': "Children's Books",
-        'fantasy': 'Fantasy',
-        'historical-fiction': 'Historical Fiction',
-        'horror': 'Horror',
-        'literary-fiction': 'Literary Fiction',
-        'mystery-crime': 'Mystery & Crime',
-        'non-fiction': 'Non-Fiction',
-        'poetry': 'Poetry',
-        'romance': 'Romance',
-        'science-fiction': 'Science Fiction',
-        'self-help': 'Self-Help',
-        'thriller-suspense': 'Thriller & Suspense',
-        'young-adult': 'Young Adult',
-        'other': 'Other'
-    };
+    if (genreLabels[slug]) {
+        return genreLabels[slug];
+    }
 
-    return genreMap[slug] || slug;
+    return slug
+        .split('-')
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
 }
 
 /**
@@ -151,6 +223,15 @@ function getStarRating(rating) {
            '☆'.repeat(emptyStars);
 }
 
+/**
+ * Checks that a URL from an author's site is a web link
+ * @param {string} url - URL to check
+ * @returns {boolean} True for http(s) URLs
+ */
+function isHttpUrl(url) {
+    return typeof url === 'string' && /^https?:\/\//i.test(url);
+}
+
 /**
  * Adds Amazon affiliate tag to URL
  * @param {string} url - Amazon product URL
@@ -177,6 +258,113 @@ function addAffiliateTag(url) {
     }
 }
 
+/**
+ * Renders pagination controls into #pagination
+ * @param {Object} pagination - Pagination data from API
+ * @param {Function} onPageChange - Called with the page number to go to
+ */
+function renderPagination(pagination, onPageChange) {
+    const paginationContainer = document.getElementById('pagination');
+    paginationContainer.innerHTML = '';
+
+    if (pagination.pages <= 1) {
+        return; // No pagination needed
+    }
+
+    const { page, pages } = pagination;
+
+    // Previous button
+    const prevBtn = document.createElement('button');
+    prevBtn.className = 'page-btn';
+    prevBtn.textContent = '← Previous';
+    prevBtn.disabled = page === 1;
+    prevBtn.addEventListener('click', () => {
+        if (page > 1) {
+            onPageChange(page - 1);
+        }
+    });
+    paginationContainer.appendChild(prevBtn);
+
+    // Page number buttons (show max 7 buttons)
+    const maxButtons = 7;
+    let startPage = Math.max(1, page - Math.floor(maxButtons / 2));
+    let endPage = Math.min(pages, startPage + maxButtons - 1);
+
+    // Adjust start if we're near the end
+    if (endPage - startPage < maxButtons - 1) {
+        startPage = Math.max(1, endPage - maxButtons + 1);
+    }
+
+    // First page + ellipsis if needed
+    if (startPage > 1) {
+        paginationContainer.appendChild(createPageButton(1, page, onPageChange));
+
+        if (startPage > 2) {
+            paginationContainer.appendChild(createPageEllipsis());
+        }
+    }
+
+    // Page number buttons
+    for (let i = startPage; i <= endPage; i++) {
+        paginationContainer.appendChild(createPageButton(i, page, onPageChange));
+    }
+
+    // Last page + ellipsis if needed
+    if (endPage < pages) {
+        if (endPage < pages - 1) {
+            paginationContainer.appendChild(createPageEllipsis());
+        }
+
+        paginationContainer.appendChild(createPageButton(pages, page, onPageChange));
+    }
+
+    // Next button
+    const nextBtn = document.createElement('button');
+    nextBtn.className = 'page-btn';
+    nextBtn.textContent = 'Next →';
+    nextBtn.disabled = page === pages;
+    nextBtn.addEventListener('click', () => {
+        if (page < pages) {
+            onPageChange(page + 1);
+        }
+    });
+    paginationContainer.appendChild(nextBtn);
+}
+
+/**
+ * Create a page number button
+ * @param {number} pageNum - Page number
+ * @param {number} currentPage - Current active page
+ * @param {Function} onPageChange - Called with the page number when clicked
+ * @returns {HTMLElement} Button element
+ */
+function createPageButton(pageNum, currentPage, onPageChange) {
+    const btn = document.createElement('button');
+    btn.className = 'page-btn';
+    btn.textContent = pageNum;
+
+    if (pageNum === currentPage) {
+        btn.classList.add('active');
+    }
+
+    btn.addEventListener('click', () => {
+        onPageChange(pageNum);
+    });
+
+    return btn;
+}
+
+/**
+ * Create the "..." between page buttons
+ * @returns {HTMLElement} Ellipsis element
+ */
+function createPageEllipsis() {
+    const ellipsis = document.createElement('span');
+    ellipsis.textContent = '...';
+    ellipsis.style.padding = '10px';
+    return ellipsis;
+}
+
 /**
  * Gets URL query parameters
  * @param {string} param - Parameter name
@@ -1 +1 @@
-const AMAZON_AFFILIATE_TAG="bookpeek-20";function createBookCard(e){const t=document.createElement("div");t.className="book-card";const n=document.createElement("div");n.className="book-cover-wrapper";const o=document.createElement("img");o.src=e.cover.medium||e.cover.large||"/images/placeholder-book.jpg",o.alt=e.title,o.className="book-cover",o.loading="lazy",n.appendChild(o),t.appendChild(n);const a=document.createElement("div");a.className="book-info";const r=document.createElement("h3");r.className="book-title",r.textContent=e.title,a.appendChild(r);const c=document.createElement("p");if(c.className="book-author",c.textContent=`by ${e.author.name||"Unknown Author"}`,a.appendChild(c),e.genres&&e.genres.length>0){const t=document.createElement("div");t.className="book-genres",e.genres.forEach(e=>{const n=document.createElement("span");n.className="genre-badge",n.textContent=formatGenreName(e),t.appendChild(n)}),a.appendChild(t)}if(e.rating&&e.rating>0){const t=document.createElement("div");t.className="book-rating";const n=document.createElement("span");n.className="stars",n.textContent=getStarRating(e.rating),t.appendChild(n);const o=document.createElement("span");o.textContent=`${e.rating} (${e.review_count||0} reviews)`,t.appendChild(o),a.appendChild(t)}const i=document.createElement("div");i.className="book-actions";const s=document.createElement("a");s.href=e.book_url||e.author.site_url,s.className="btn-view-site",s.textContent="View on Author's Site",s.target="_blank",s.rel="noopener noreferrer",i.appendChild(s);const l=e.purchase_links.amazon_com||e.purchase_links.amazon_in;if(l){const e=document.createElement("a");e.href=addAffiliateTag(l),e.className="btn-buy",e.textContent="Buy on Amazon",e.target="_blank",e.rel="noopener noreferrer nofollow",i.appendChild(e)}return a.appendChild(i),t.appendChild(a),t}function formatGenreName(e){return{"action-adventure":"Action & Adventure",childrens:"Children's Books",fantasy:"Fantasy","historical-fiction":"Historical Fiction",horror:"Horror","literary-fiction":"Literary Fiction","mystery-crime":"Mystery & Crime","non-fiction":"Non-Fiction",poetry:"Poetry",romance:"Romance","science-fiction":"Science Fiction","self-help":"Self-Help","thriller-suspense":"Thriller & Suspense","young-adult":"Young Adult",other:"Other"}[e]||e}function getStarRating(e){const t=Math.floor(e),n=e%1>=.5,o=5-t-(n?1:0);return"★".repeat(t)+(n?"½":"")+"☆".repeat(o)}function addAffiliateTag(e){if(!e)return"";try{const t=new URL(e);return t.hostname.includes("amazon.")?(t.searchParams.set("tag","bookpeek-20"),t.toString()):e}catch(t){return console.error("Invalid URL:",e),e}}function getUrlParam(e){return new URLSearchParams(window.location.search).get(e)}function updateUrlParams(e){const t=new URLSearchParams(window.location.search);Object.keys(e).forEach(n=>{e[n]?t.set(n,e[n]):t.delete(n)});const n=`${window.location.pathname}?${t.toString()}`;window.history.pushState({},"",n)}function debounce(e,t){let n;return function(...o){clearTimeout(n),n=setTimeout(()=>{clearTimeout(n),e(...o)},t)}}
\ No newline at end of file
+const AMAZON_AFFILIATE_TAG="bookpeek-20";function createBookCard(e){const t=document.createElement("div");t.className="book-card";const n=document.createElement("a");n.href=getBookPageUrl(e),n.className="book-cover-wrapper";const a=document.createElement("img");a.src=e.cover.medium||e.cover.large||"/images/placeholder-book.jpg",a.alt=e.title,a.className="book-cover",a.loading="lazy",n.appendChild(a),t.appendChild(n);const o=document.createElement("div");o.className="book-info";const r=document.createElement("h3");r.className="book-title";const c=document.createElement("a");c.href=getBookPageUrl(e),c.className="book-link",c.textContent=e.title,r.appendChild(c),o.appendChild(r);const s=document.createElement("p");if(s.className="book-author",s.textContent="by ",s.appendChild(createAuthorLink(e.author)),o.appendChild(s),e.genres&&e.genres.length>0){const t=document.createElement("div");t.className="book-genres",e.genres.forEach(e=>{const n=document.createElement("span");n.className="genre-badge",n.textContent=formatGenreName(e),t.appendChild(n)}),o.appendChild(t)}if(e.rating&&e.rating>0){const t=document.createElement("div");t.className="book-rating";const n=document.createElement("span");n.className="stars",n.textContent=getStarRating(e.rating),t.appendChild(n);const a=document.createElement("span");a.textContent=`${e.rating} (${e.review_count||0} reviews)`,t.appendChild(a),o.appendChild(t)}const i=document.createElement("div");i.className="book-actions";const l=document.createElement("a");l.href=e.book_url||e.author.site_url,l.className="btn-view-site",l.textContent="View on Author's Site",l.target="_blank",l.rel="noopener noreferrer",i.appendChild(l);const d=e.purchase_links.amazon_com||e.purchase_links.amazon_in;if(isHttpUrl(d)){const e=document.createElement("a");e.href=addAffiliateTag(d),e.className="btn-buy",e.textContent="Buy on Amazon",e.target="_blank",e.rel="noopener noreferrer nofollow",i.appendChild(e)}return o.appendChild(i),t.appendChild(o),t}function getBookPageUrl(e){return e.slug?`/book/${e.id}/${encodeURIComponent(e.slug)}`:`/book/${e.id}`}function getAuthorPageUrl(e){const t=(e.name||"").normalize("NFKD").replace(/[\u0300-\u036f]/g,"").toLowerCase().replace(/[^a-z0-9]+/g,"-").replace(/^-+|-+$/g,"");return t?`/author/${e.id}/${t}`:`/author/${e.id}`}function createAuthorLink(e){if(!e.id)return document.createTextNode(e.name||"Unknown Author");const t=document.createElement("a");return t.href=getAuthorPageUrl(e),t.className="book-link",t.textContent=e.name,t}const genreLabels={};async function fetchGenres(e=""){const t=new URLSearchParams;e&&t.append("search",e);const n=await fetch(`/api/bookshelf/genres?${t.toString()}`),a=await n.json();if(!a.success)throw new Error(a.error||"Failed to load genres");return a.genres.forEach(e=>{genreLabels[e.slug]=e.label}),a.genres}function formatGenreName(e){return genreLabels[e]?genreLabels[e]:e.split("-").map(e=>e.charAt(0).toUpperCase()+e.slice(1)).join(" ")}function getStarRating(e){const t=Math.floor(e),n=e%1>=.5,a=5-t-(n?1:0);return"★".repeat(t)+(n?"½":"")+"☆".repeat(a)}function isHttpUrl(e){return"string"==typeof e&&/^https?:\/\//i.test(e)}function addAffiliateTag(e){if(!e)return"";try{const t=new URL(e);return t.hostname.includes("amazon.")?(t.searchParams.set("tag","bookpeek-20"),t.toString()):e}catch(t){return console.error("Invalid URL:",e),e}}function renderPagination(e,t){const n=document.getElementById("pagination");if(n.innerHTML="",e.pages<=1)return;const{page:a,pages:o}=e,r=document.createElement("button");r.className="page-btn",r.textContent="← Previous",r.disabled=1===a,r.addEventListener("click",()=>{a>1&&t(a-1)}),n.appendChild(r);let c=Math.max(1,a-Math.floor(3.5)),s=Math.min(o,c+7-1);s-c<6&&(c=Math.max(1,s-7+1)),c>1&&(n.appendChild(createPageButton(1,a,t)),c>2&&n.appendChild(createPageEllipsis()));for(let e=c;e<=s;e++)n.appendChild(createPageButton(e,a,t));s<o&&(s<o-1&&n.appendChild(createPageEllipsis()),n.appendChild(createPageButton(o,a,t)));const i=document.createElement("button");i.className="page-btn",i.textContent="Next →",i.disabled=a===o,i.addEventListener("click",()=>{a<o&&t(a+1)}),n.appendChild(i)}function createPageButton(e,t,n){const a=document.createElement("button");return a.className="page-btn",a.textContent=e,e===t&&a.classList.add("active"),a.addEventListener("click",()=>{n(e)}),a}function createPageEllipsis(){const e=document.createElement("span");return e.textContent="...",e.style.padding="10px",e}function getUrlParam(e){return new URLSearchParams(window.location.search).get(e)}function updateUrlParams(e){const t=new URLSearchParams(window.location.search);Object.keys(e).forEach(n=>{e[n]?t.set(n,e[n]):t.delete(n)});const n=`${window.location.pathname}?${t.toString()}`;window.history.pushState({},"",n)}function debounce(e,t){let n;return function(...a){clearTimeout(n),n=setTimeout(()=>{clearTimeout(n),e(...a)},t)}}
\ No newline at end of file
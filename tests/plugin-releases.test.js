@@ -0,0 +1,39 @@
+/**
+ * Release compatibility checks against a site's last heartbeat
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkReleaseCompatibility } from '../api/_lib/plugin-releases.js';
+
+const RELEASE = { version: '1.1.0', tested_up_to: '6.4', requires_php: '7.4' };
+
+test('reports nothing for a site that never sent a heartbeat', () => {
+  assert.deepEqual(checkReleaseCompatibility(RELEASE, null), {
+    php_version: null,
+    php_supported: null,
+    wp_version: null,
+    wp_tested: null
+  });
+});
+
+test('holds back releases the site PHP version cannot run', () => {
+  assert.equal(checkReleaseCompatibility(RELEASE, { php_version: '7.3.33' }).php_supported, false);
+  assert.equal(checkReleaseCompatibility(RELEASE, { php_version: '7.4.0' }).php_supported, true);
+  assert.equal(checkReleaseCompatibility(RELEASE, { php_version: '8.2.12-1ubuntu' }).php_supported, true);
+});
+
+test('flags WordPress versions newer than tested_up_to', () => {
+  const compatibility = checkReleaseCompatibility(RELEASE, { php_version: '8.2', wp_version: '6.5.2' });
+
+  assert.equal(compatibility.wp_tested, false);
+  assert.equal(compatibility.wp_version, '6.5.2');
+  assert.equal(compatibility.php_supported, true);
+});
+
+test('counts patch releases of the tested WordPress version as tested', () => {
+  assert.equal(checkReleaseCompatibility(RELEASE, { wp_version: '6.4.3' }).wp_tested, true);
+  assert.equal(checkReleaseCompatibility(RELEASE, { wp_version: '6.4' }).wp_tested, true);
+  assert.equal(checkReleaseCompatibility(RELEASE, { wp_version: '6.3.1' }).wp_tested, true);
+  assert.equal(checkReleaseCompatibility(RELEASE, { wp_version: '6.5-RC1' }).wp_tested, false);
+});
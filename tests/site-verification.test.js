@@ -0,0 +1,218 @@
+/**
+ * Bookshelf domain verification against a local stand-in for an author's site
+ *
+ * The stand-in listens on 127.0.0.1, so these tests turn on
+ * BOOKSHELF_VERIFY_ALLOW_PRIVATE_HOSTS. Tests that check private hosts are
+ * refused turn it off for the hop under test.
+ */
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import dns from 'dns';
+import http from 'http';
+
+process.env.SUPABASE_URL ||= 'http://127.0.0.1:54321';
+process.env.SUPABASE_SERVICE_KEY ||= 'test-service-key';
+
+const { findVerificationNonce, VERIFICATION_PATH } = await import('../api/_lib/site-verification.js');
+
+const NONCE = 'bookpeek-0123456789abcdef0123456789abcdef';
+
+let server;
+let origin;
+let routes;
+let hits;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    hits.push(req.url);
+
+    const route = routes[req.url];
+
+    if (!route) {
+      res.writeHead(404).end();
+      return;
+    }
+
+    route(req, res);
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+beforeEach(() => {
+  process.env.BOOKSHELF_VERIFY_ALLOW_PRIVATE_HOSTS = 'true';
+  routes = {};
+  hits = [];
+});
+
+test('finds the nonce in the well-known file', async () => {
+  routes[VERIFICATION_PATH] = (req, res) => res.end(`${NONCE}\n`);
+
+  const result = await findVerificationNonce(origin, NONCE);
+
+  assert.deepEqual(result, { found: true, method: 'well_known', errors: [] });
+  assert.deepEqual(hits, [VERIFICATION_PATH]);
+});
+
+test('finds the nonce in the home page meta tag', async () => {
+  routes['/'] = (req, res) => {
+    res.setHeader('Content-Type', 'text/html');
+    res.end(`<html><head><meta content="${NONCE}" name="BookPeek-Verification"></head></html>`);
+  };
+
+  const result = await findVerificationNonce(origin, NONCE);
+
+  assert.equal(result.found, true);
+  assert.equal(result.method, 'meta_tag');
+  assert.deepEqual(result.errors, [`${VERIFICATION_PATH}: HTTP 404`]);
+});
+
+test('does not match a different nonce', async () => {
+  routes[VERIFICATION_PATH] = (req, res) => res.end('bookpeek-somebody-else');
+  routes['/'] = (req, res) => res.end('<meta name="bookpeek-verification" content="bookpeek-somebody-else">');
+
+  const result = await findVerificationNonce(origin, NONCE);
+
+  assert.deepEqual(result, { found: false, method: null, errors: [] });
+});
+
+test('follows redirects within the site', async () => {
+  routes[VERIFICATION_PATH] = (req, res) => res.writeHead(301, { Location: '/moved.txt' }).end();
+  routes['/moved.txt'] = (req, res) => res.end(NONCE);
+
+  const result = await findVerificationNonce(origin, NONCE);
+
+  assert.equal(result.method, 'well_known');
+  assert.deepEqual(hits, [VERIFICATION_PATH, '/moved.txt']);
+});
+
+test('follows a redirect to the www variant of the site', async t => {
+  t.mock.method(dns.promises, 'lookup', async (hostname, options) => {
+    return options?.all ? [{ address: '127.0.0.1', family: 4 }] : { address: '127.0.0.1', family: 4 };
+  });
+  const port = server.address().port;
+
+  routes[VERIFICATION_PATH] = (req, res) => {
+    if (req.headers.host === `author.test:${port}`) {
+      res.writeHead(301, { Location: `http://www.author.test:${port}${VERIFICATION_PATH}` }).end();
+    } else {
+      res.end(NONCE);
+    }
+  };
+
+  const result = await findVerificationNonce(`http://author.test:${port}`, NONCE);
+
+  assert.equal(result.method, 'well_known');
+  assert.deepEqual(hits, [VERIFICATION_PATH, VERIFICATION_PATH]);
+});
+
+test('refuses a redirect to another site', async () => {
+  // localhost is the same server, but not the site that was challenged
+  const elsewhere = `http://localhost:${server.address().port}/elsewhere`;
+
+  routes[VERIFICATION_PATH] = (req, res) => res.writeHead(302, { Location: elsewhere }).end();
+  routes['/'] = (req, res) => res.writeHead(302, { Location: elsewhere }).end();
+  routes['/elsewhere'] = (req, res) => res.end(NONCE);
+
+  const result = await findVerificationNonce(origin, NONCE);
+
+  assert.equal(result.found, false);
+  assert.deepEqual(result.errors, [
+    `${VERIFICATION_PATH}: redirect leaves the site`,
+    'home page: redirect leaves the site'
+  ]);
+  assert.ok(!hits.includes('/elsewhere'));
+});
+
+test('refuses a redirect off a subdirectory site', async () => {
+  routes[`/blog${VERIFICATION_PATH}`] = (req, res) => res.writeHead(302, { Location: VERIFICATION_PATH }).end();
+  routes[VERIFICATION_PATH] = (req, res) => res.end(NONCE);
+
+  const result = await findVerificationNonce(`${origin}/blog`, NONCE);
+
+  assert.equal(result.found, false);
+  assert.equal(result.errors[0], `${VERIFICATION_PATH}: redirect leaves the site`);
+  assert.ok(!hits.includes(VERIFICATION_PATH));
+});
+
+test('refuses a redirect to a private host', async () => {
+  // The first hop stands in for a public site; the redirect target is checked
+  // with private hosts refused again
+  const redirect = (req, res) => {
+    process.env.BOOKSHELF_VERIFY_ALLOW_PRIVATE_HOSTS = 'false';
+    res.writeHead(302, { Location: `${origin}/internal` }).end();
+  };
+  routes[VERIFICATION_PATH] = redirect;
+  routes['/'] = (req, res) => {
+    process.env.BOOKSHELF_VERIFY_ALLOW_PRIVATE_HOSTS = 'true';
+    redirect(req, res);
+  };
+  routes['/internal'] = (req, res) => res.end(NONCE);
+
+  const result = await findVerificationNonce(origin, NONCE);
+
+  assert.equal(result.found, false);
+  assert.deepEqual(result.errors, [
+    `${VERIFICATION_PATH}: host does not resolve to a public address`,
+    'home page: host does not resolve to a public address'
+  ]);
+  assert.ok(!hits.includes('/internal'));
+});
+
+test('refuses private hosts', async () => {
+  process.env.BOOKSHELF_VERIFY_ALLOW_PRIVATE_HOSTS = 'false';
+
+  const result = await findVerificationNonce(origin, NONCE);
+
+  assert.equal(result.found, false);
+  assert.equal(result.errors.length, 2);
+  assert.deepEqual(hits, []);
+});
+
+test('connects to the address that was checked', async t => {
+  // Later answers for the host point elsewhere, so the request has to use the
+  // address from the lookup that was checked
+  let answers = 0;
+  const lookup = t.mock.method(dns.promises, 'lookup', async (hostname, options) => {
+    const address = answers++ === 0 ? '127.0.0.1' : '192.0.2.1';
+
+    return options?.all ? [{ address, family: 4 }] : { address, family: 4 };
+  });
+  const port = server.address().port;
+
+  routes[VERIFICATION_PATH] = (req, res) => {
+    assert.equal(req.headers.host, `author.test:${port}`);
+    res.end(NONCE);
+  };
+
+  const result = await findVerificationNonce(`http://author.test:${port}`, NONCE);
+
+  assert.equal(result.method, 'well_known');
+  assert.equal(lookup.mock.callCount(), 1);
+  assert.equal(lookup.mock.calls[0].arguments[0], 'author.test');
+});
+
+test('times out on a site that does not respond', async () => {
+  routes[VERIFICATION_PATH] = () => {};
+  routes['/'] = (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.write('<html><head>');
+  };
+
+  const started = Date.now();
+  const result = await findVerificationNonce(origin, NONCE);
+
+  assert.equal(result.found, false);
+  assert.deepEqual(result.errors, [
+    `${VERIFICATION_PATH}: request timed out`,
+    'home page: request timed out'
+  ]);
+  assert.ok(Date.now() - started < 8000);
+});